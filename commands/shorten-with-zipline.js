@@ -0,0 +1,13 @@
+// commands/shorten-with-zipline.js
+import { ContextMenuCommandBuilder, ApplicationCommandType, InteractionContextType } from 'discord.js';
+import { handleMessageShorten } from './zipline.js';
+
+// message context menu; routed by this English name, localized names are display only
+export const data = new ContextMenuCommandBuilder()
+  .setName('Shorten links with Zipline')
+  .setType(ApplicationCommandType.Message)
+  .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel);
+
+export const localizationKey = 'command.shortenWithZipline';
+
+export const execute = handleMessageShorten;
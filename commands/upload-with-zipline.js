@@ -0,0 +1,13 @@
+// commands/upload-with-zipline.js
+import { ContextMenuCommandBuilder, ApplicationCommandType, InteractionContextType } from 'discord.js';
+import { handleMessageUpload } from './zipline.js';
+
+// message context menu; routed by this English name, localized names are display only
+export const data = new ContextMenuCommandBuilder()
+  .setName('Upload with Zipline')
+  .setType(ApplicationCommandType.Message)
+  .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel);
+
+export const localizationKey = 'command.uploadWithZipline';
+
+export const execute = handleMessageUpload;
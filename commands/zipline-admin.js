@@ -0,0 +1,244 @@
+// commands/zipline-admin.js
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+  ChannelType,
+  InteractionContextType,
+} from 'discord.js';
+import chalk from 'chalk';
+import { reportError, interactionDetails } from '../utils/errorReporter.js';
+import {
+  getGuildSettings,
+  setGuildSettings,
+  resetGuildSettings,
+  isGuildManager,
+  localeFor,
+} from './zipline.js';
+import { parseExpiry, parseCompression, formatExpiry } from '../utils/uploadSettings.js';
+import { t } from '../utils/i18n.js';
+import { config } from '../utils/config.js';
+
+
+// --- logging ---
+function logError(error, ctx = '', details = {}) {
+  console.error(chalk.red('[ERROR]'), ctx);
+  if (error instanceof Error) console.error(chalk.red(error.stack));
+  else console.error(chalk.red(error));
+  reportError(error, ctx, details);
+}
+
+
+// --- helpers ---
+// "none"/"off"/"reset" clear a default; undefined = option not given
+function parseDefault(value, parse) {
+  if (value === null) return undefined;
+  return parse(value);
+}
+
+function buildSettingsEmbed(guild, settings, locale) {
+  const allowed = enabled => t(locale, enabled ? 'admin.allowed' : 'admin.disabled');
+  const roles = settings.allowedRoles.length
+    ? settings.allowedRoles.map(id => `<@&${id}>`).join(', ')
+    : t(locale, 'admin.everyone');
+  const mirrors = settings.mirrorChannels.length
+    ? settings.mirrorChannels
+      .map(m => `<#${m.channelId}> (${t(locale, m.mode === 'thread' ? 'admin.modeThread' : 'admin.modeReply')})`)
+      .join('\n')
+    : t(locale, 'common.none');
+
+  return new EmbedBuilder()
+    .setTitle(t(locale, 'admin.title', { guild: guild ? guild.name : t(locale, 'admin.thisServer') }))
+    .addFields(
+      { name: t(locale, 'admin.guestUploads'), value: allowed(settings.guestUploads), inline: true },
+      { name: t(locale, 'admin.publicResults'), value: allowed(settings.publicResults), inline: true },
+      { name: t(locale, 'admin.roles'), value: roles, inline: false },
+      {
+        name: t(locale, 'admin.defaultExpiry'),
+        value: settings.defaultExpiry ? formatExpiry(settings.defaultExpiry) : t(locale, 'admin.userSetting'),
+        inline: true,
+      },
+      { name: t(locale, 'admin.defaultCompression'), value: settings.defaultCompression || t(locale, 'admin.userSetting'), inline: true },
+      { name: t(locale, 'admin.mirrorChannels'), value: mirrors, inline: false },
+      {
+        name: t(locale, 'admin.statusAlerts'),
+        value: settings.statusAlertChannelId ? `<#${settings.statusAlertChannelId}>` : t(locale, 'admin.disabled'),
+        inline: false,
+      },
+    )
+    .setColor(0x00b0ff)
+    .setFooter({ text: t(locale, 'admin.footer') });
+}
+
+
+// --- slash command data ---
+export const data = new SlashCommandBuilder()
+  .setName('zipline-admin')
+  .setDescription('Configure Zipline Bot for this server')
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub => sub.setName('show').setDescription('Show the current server settings'))
+  .addSubcommand(sub =>
+    sub.setName('guest-uploads')
+      .setDescription('Allow or block uploads from members without a linked Zipline account')
+      .addBooleanOption(opt => opt.setName('enabled').setDescription('Allow guest uploads').setRequired(true)),
+  )
+  .addSubcommand(sub =>
+    sub.setName('public-results')
+      .setDescription('Allow or block posting upload results publicly')
+      .addBooleanOption(opt => opt.setName('enabled').setDescription('Allow public results').setRequired(true)),
+  )
+  .addSubcommand(sub =>
+    sub.setName('defaults')
+      .setDescription('Set upload defaults that override member settings ("none" clears)')
+      .addStringOption(opt => opt.setName('expiry').setDescription('Default expiry, e.g. 7d (or "none")').setMaxLength(45))
+      .addStringOption(opt => opt.setName('compression').setDescription('Default compression, e.g. 50 (or "none")').setMaxLength(45)),
+  )
+  .addSubcommandGroup(group =>
+    group.setName('roles')
+      .setDescription('Limit upload/delete commands to certain roles')
+      .addSubcommand(sub =>
+        sub.setName('add')
+          .setDescription('Allow a role to use upload/delete commands')
+          .addRoleOption(opt => opt.setName('role').setDescription('Role to allow').setRequired(true)),
+      )
+      .addSubcommand(sub =>
+        sub.setName('remove')
+          .setDescription('Remove a role from the allowed list')
+          .addRoleOption(opt => opt.setName('role').setDescription('Role to remove').setRequired(true)),
+      )
+      .addSubcommand(sub => sub.setName('clear').setDescription('Let everyone use upload/delete commands again')),
+  )
+  .addSubcommandGroup(group =>
+    group.setName('mirror')
+      .setDescription('Automatically upload attachments posted in a channel')
+      .addSubcommand(sub =>
+        sub.setName('add')
+          .setDescription('Mirror every attachment posted in a channel to Zipline')
+          .addChannelOption(opt =>
+            opt.setName('channel')
+              .setDescription('Channel to mirror')
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+              .setRequired(true),
+          )
+          .addStringOption(opt =>
+            opt.setName('mode')
+              .setDescription('How to post the links (default: reply)')
+              .addChoices(
+                { name: 'Reply to each message', value: 'reply' },
+                { name: 'Summary message in a thread', value: 'thread' },
+              ),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('remove')
+          .setDescription('Stop mirroring a channel')
+          .addChannelOption(opt => opt.setName('channel').setDescription('Channel to stop mirroring').setRequired(true)),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub.setName('status-alerts')
+      .setDescription('Post Zipline outage and recovery alerts in a channel')
+      .addChannelOption(opt =>
+        opt.setName('channel')
+          .setDescription('Channel for the alerts (omit to turn them off)')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement),
+      ),
+  )
+  .addSubcommand(sub => sub.setName('reset').setDescription('Reset all server settings to the defaults'));
+
+
+// --- main execute(interaction) ---
+export async function execute(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
+  const sub = interaction.options.getSubcommand(true);
+  const locale = localeFor(interaction);
+
+  try {
+    if (!interaction.guildId) {
+      await interaction.reply({ content: t(locale, 'admin.guildOnly'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+    // default member permissions can be overridden per server, so check again
+    if (!isGuildManager(interaction)) {
+      await interaction.reply({ content: t(locale, 'admin.needManageGuild'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const guildId = interaction.guildId;
+    const settings = getGuildSettings(guildId);
+
+    if (group === 'roles') {
+      const role = sub === 'clear' ? null : interaction.options.getRole('role', true);
+      if (sub === 'add' && !settings.allowedRoles.includes(role.id)) {
+        settings.allowedRoles = [...settings.allowedRoles, role.id];
+      }
+      if (sub === 'remove') settings.allowedRoles = settings.allowedRoles.filter(id => id !== role.id);
+      if (sub === 'clear') settings.allowedRoles = [];
+      setGuildSettings(guildId, settings);
+    }
+
+    if (group === 'mirror' && sub === 'add' && !config.enableMirrorChannels) {
+      await interaction.reply({ content: t(locale, 'admin.mirrorDisabled'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (group === 'mirror') {
+      const channel = interaction.options.getChannel('channel', true);
+      settings.mirrorChannels = settings.mirrorChannels.filter(m => m.channelId !== channel.id);
+      if (sub === 'add') {
+        settings.mirrorChannels.push({
+          channelId: channel.id,
+          mode: interaction.options.getString('mode') || 'reply',
+          threadId: null,
+          summaryMessageId: null,
+        });
+      }
+      setGuildSettings(guildId, settings);
+    }
+
+    if (sub === 'guest-uploads') {
+      settings.guestUploads = interaction.options.getBoolean('enabled', true);
+      setGuildSettings(guildId, settings);
+    }
+
+    if (sub === 'public-results') {
+      settings.publicResults = interaction.options.getBoolean('enabled', true);
+      setGuildSettings(guildId, settings);
+    }
+
+    if (sub === 'defaults') {
+      const expiry = parseDefault(interaction.options.getString('expiry'), input => parseExpiry(input, { allowDates: false }));
+      const compression = parseDefault(interaction.options.getString('compression'), parseCompression);
+      const invalid = [expiry, compression].find(parsed => parsed && !parsed.ok);
+      if (invalid) {
+        await interaction.reply({ content: `❗ ${t(locale, invalid.error, invalid.vars)}`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      if (expiry !== undefined) settings.defaultExpiry = expiry.value;
+      if (compression !== undefined) settings.defaultCompression = compression.value;
+      setGuildSettings(guildId, settings);
+    }
+
+    if (sub === 'status-alerts') {
+      settings.statusAlertChannelId = interaction.options.getChannel('channel')?.id || null;
+      setGuildSettings(guildId, settings);
+    }
+
+    if (sub === 'reset') {
+      resetGuildSettings(guildId);
+    }
+
+    const title = sub === 'show' ? null : t(locale, 'admin.updated');
+    await interaction.reply({
+      content: title,
+      embeds: [buildSettingsEmbed(interaction.guild, getGuildSettings(guildId), locale)],
+      allowedMentions: { parse: [] },
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (error) {
+    logError(error, 'zipline-admin.execute', interactionDetails(interaction));
+    throw error;
+  }
+}
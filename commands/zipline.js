@@ -10,6 +10,9 @@ import {
   TextInputBuilder,
   TextInputStyle,
   InteractionType,
+  StringSelectMenuBuilder,
+  PermissionFlagsBits,
+  InteractionContextType,
 } from 'discord.js';
 import fs from 'fs';
 import path from 'path';
@@ -17,83 +20,173 @@ import fetch from 'node-fetch';
 import FormData from 'form-data';
 import chalk from 'chalk';
 import os from 'os';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { setTimeout as setTimeoutPromise } from 'timers/promises';
+import { createTokenCipher } from '../utils/tokenCrypto.js';
+import { createStorage } from '../utils/storage/index.js';
+import { reportError, interactionDetails } from '../utils/errorReporter.js';
+import { createUploadQueue } from '../utils/uploadQueue.js';
+import { createGuestLimiter } from '../utils/guestLimits.js';
+import { parseExpiry, parseCompression, formatExpiry, expiryHasPassed, COMPRESSION_MIN, COMPRESSION_MAX } from '../utils/uploadSettings.js';
+import { t, LOCALE_NAMES } from '../utils/i18n.js';
+import { config } from '../utils/config.js';
+import { commandMention } from '../utils/commandRegistry.js';
+import { counter, gauge } from '../utils/metrics.js';
+import { createUptimeMonitor } from '../utils/uptimeMonitor.js';
+import { createInstanceGuard } from '../utils/instanceGuard.js';
 
 
 // --- config & constants ---
-const config = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
-
+// defaults and validation live in utils/config.js
 const ZIPLINE_BASE_URL = config.ziplineBaseUrl;
+// accounts are keyed by normalized URLs (see normalizeInstanceUrl), so the default instance is too
+const DEFAULT_INSTANCE_URL = normalizeInstanceUrl(ZIPLINE_BASE_URL) || ZIPLINE_BASE_URL;
 const ANON_ZIPLINE_BASE_URL = config.anonymousZiplineBaseUrl;
 const ANON_ZIPLINE_TOKEN = config.anonymousZiplineToken;
-const ANON_UPLOAD_EXPIRY = config.anonymousUploadExpiry || null;
+const ANON_UPLOAD_EXPIRY = config.anonymousUploadExpiry;
+const GUEST_LIMITS = config.guestLimits;
+const MIRROR_FALLBACK_TOKEN = config.mirrorFallbackToken; // used in mirror channels for members without a token
 
 // chunk upload config
-const CHUNK_THRESHOLD = config.chunkThresholdBytes || 100 * 1024 * 1024; // 100MB default
-const CHUNK_SIZE = config.chunkSizeBytes || 8 * 1024 * 1024;       // 8MB default
+const CHUNK_THRESHOLD = config.chunkThresholdBytes;
+const CHUNK_SIZE = config.chunkSizeBytes;
+const CHUNK_CONCURRENCY = config.chunkConcurrency;              // chunks in flight at once
+const CHUNK_MEMORY_LIMIT = config.chunkMemoryLimitBytes;        // caps in-flight chunk buffers
+const CHUNK_RETRIES = config.chunkRetries;                      // retries per chunk
+const CHUNK_RETRY_BASE_DELAY = config.chunkRetryBaseDelayMs;    // doubles per attempt
+const RESUME_STATE_TTL = 24 * 60 * 60 * 1000;                        // Discord CDN links expire anyway
+const TEMP_DIR_PREFIX = 'zipline-bot-';                              // under os.tmpdir()
+
+// Zipline health checks (/api/version), used by /zipline status, /healthz and the uptime monitor
+const VERSION_CHECK_TIMEOUT = 10 * 1000;
+const UPTIME_CHECK_INTERVAL = config.uptimeCheckIntervalSeconds * 1000; // 0 = no background checks
+
+// upload queue config (one job = one /zipline upload, context menu upload or resume)
+const UPLOAD_CONCURRENCY = config.uploadConcurrency;
+const UPLOAD_CONCURRENCY_PER_USER = config.uploadConcurrencyPerUser;
 
 const DATA_DIR = './data';
-const TOKENS_FILE = path.join(DATA_DIR, 'userTokens.json');
-const SETTINGS_FILE = path.join(DATA_DIR, 'userSettings.json');
-const IDS_FILE = path.join(DATA_DIR, 'userIds.json');
-
+const STORAGE_DRIVER = config.storage.driver;
+const SQLITE_PATH = config.storage.sqlitePath;
 
-// --- fs init ---
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-if (!fs.existsSync(TOKENS_FILE)) fs.writeFileSync(TOKENS_FILE, '{}');
-if (!fs.existsSync(SETTINGS_FILE)) fs.writeFileSync(SETTINGS_FILE, '{}');
-if (!fs.existsSync(IDS_FILE)) fs.writeFileSync(IDS_FILE, '{}');
+// user-linked instances can't reach private addresses unless the operator configured them
+const instanceGuard = createInstanceGuard({
+  trustedUrls: [ZIPLINE_BASE_URL, ANON_ZIPLINE_BASE_URL, ...config.trustedInstanceUrls].filter(Boolean),
+});
 
-let userTokens = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
-let userSettings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
-let userIds = JSON.parse(fs.readFileSync(IDS_FILE, 'utf8'));
+// token encryption (ZIPLINE_BOT_TOKEN_KEY keeps the key out of config.json)
+const tokenCipher = createTokenCipher(config.tokenEncryptionKey, config.previousTokenEncryptionKeys);
 
 
 // --- logging ---
-function logError(error, ctx = '') {
+function logError(error, ctx = '', details = {}) {
   console.error(chalk.red('[ERROR]'), ctx);
   if (error instanceof Error) console.error(chalk.red(error.stack));
   else console.error(chalk.red(error));
+  reportError(error, ctx, details);
 }
 
 
-// --- storage helpers ---
-function saveTokens() { fs.writeFileSync(TOKENS_FILE, JSON.stringify(userTokens, null, 2)); }
-function saveSettings() { fs.writeFileSync(SETTINGS_FILE, JSON.stringify(userSettings, null, 2)); }
-function saveIds() { fs.writeFileSync(IDS_FILE, JSON.stringify(userIds, null, 2)); }
+// --- storage init ---
+const storage = await createStorage({
+  driver: STORAGE_DRIVER,
+  dataDir: DATA_DIR,
+  sqlitePath: SQLITE_PATH,
+  tokenCipher,
+  defaultInstanceUrl: DEFAULT_INSTANCE_URL,
+  defaultInstanceAliases: [ZIPLINE_BASE_URL],
+});
 
-function getUserToken(userId) { return userTokens[userId] || null; }
-function setUserToken(userId, token) { userTokens[userId] = token; saveTokens(); }
-function deleteUserToken(userId) { delete userTokens[userId]; saveTokens(); }
+
+// --- storage helpers ---
+// { baseUrl, token } of the user's active (or the given) Zipline instance
+function getUserAccount(userId, baseUrl = null) {
+  try {
+    return storage.getUserAccount(userId, baseUrl);
+  } catch (e) {
+    logError(e, `zipline.getUserAccount(${userId})`);
+    return null;
+  }
+}
+function listUserInstances(userId) { return storage.listUserInstances(userId); }
+function deleteUserToken(userId, baseUrl = null) { return storage.deleteUserToken(userId, baseUrl); }
+
+// folder ids only mean something on the instance they came from
+function setUserToken(userId, token, baseUrl) {
+  const previous = getUserAccount(userId);
+  storage.setUserToken(userId, token, baseUrl);
+  if (previous && previous.baseUrl !== baseUrl) clearFolderSetting(userId);
+}
+function setActiveInstance(userId, baseUrl) {
+  const previous = getUserAccount(userId);
+  if (!storage.setActiveInstance(userId, baseUrl)) return false;
+  if (previous && previous.baseUrl !== baseUrl) clearFolderSetting(userId);
+  return true;
+}
 
 function getUserSettings(userId) {
-  return userSettings[userId] || { expiry: null, compression: null };
+  return storage.getUserSettings(userId);
 }
 function setUserSettings(userId, settings) {
-  userSettings[userId] = {
+  storage.setUserSettings(userId, {
     expiry: settings.expiry ? settings.expiry.trim() : null,
     compression: settings.compression ? settings.compression.trim() : null,
-  };
-  saveSettings();
+    folder: settings.folder ? String(settings.folder) : null,
+    folderName: settings.folder && settings.folderName ? settings.folderName : null,
+    locale: settings.locale && LOCALE_NAMES[settings.locale] ? settings.locale : null,
+  });
+}
+
+// the user's chosen bot language, otherwise their Discord client language
+function localeFor(interaction) {
+  try {
+    return getUserSettings(interaction.user.id).locale || interaction.locale;
+  } catch {
+    return interaction.locale;
+  }
+}
+
+function clearFolderSetting(userId) {
+  const settings = getUserSettings(userId);
+  if (settings.folder) setUserSettings(userId, { ...settings, folder: null, folderName: null });
+}
+
+function getGuildSettings(guildId) {
+  return storage.getGuildSettings(guildId);
+}
+function setGuildSettings(guildId, settings) {
+  storage.setGuildSettings(guildId, settings);
+}
+function resetGuildSettings(guildId) {
+  storage.deleteGuildSettings(guildId);
 }
 
 function getBotUserId(discordUserId) {
-  return userIds[discordUserId] || null;
+  return storage.getBotUserId(discordUserId);
 }
 function ensureAssignBotUserId(discordUserId) {
-  if (userIds[discordUserId]) return userIds[discordUserId];
-  const existing = Object.values(userIds)
-    .map(v => parseInt(v, 10))
-    .filter(n => !isNaN(n));
-  const next = (existing.length ? Math.max(...existing) : 0) + 1;
-  userIds[discordUserId] = next;
-  saveIds();
-  return next;
+  return storage.ensureAssignBotUserId(discordUserId);
+}
+
+// encrypt plaintext tokens and re-encrypt tokens from rotated keys on module load
+if (tokenCipher.enabled) {
+  try {
+    const migrated = storage.migrateTokens();
+    if (migrated > 0) {
+      console.log(chalk.blue('[INFO]'), `Encrypted ${migrated} stored token(s) with the current key.`);
+    }
+  } catch (e) {
+    console.warn('Failed to migrate stored tokens:', e.message);
+  }
+} else {
+  console.warn(chalk.yellow('[WARN]'), 'No tokenEncryptionKey configured; Zipline tokens are stored in plaintext.');
 }
 
 // assign IDs on module load for users that already had tokens
 try {
-  Object.keys(userTokens).forEach(uid => {
-    if (!userIds[uid]) {
+  storage.listTokenUserIds().forEach(uid => {
+    if (!getBotUserId(uid)) {
       ensureAssignBotUserId(uid);
     }
   });
@@ -101,16 +194,112 @@ try {
   console.warn('Failed to assign IDs to existing users:', e.message);
 }
 
+// remove temp dirs a crashed process left behind
+try {
+  const cutoff = Date.now() - 60 * 60 * 1000;
+  for (const entry of fs.readdirSync(os.tmpdir())) {
+    if (!entry.startsWith(TEMP_DIR_PREFIX)) continue;
+    const full = path.join(os.tmpdir(), entry);
+    if (fs.statSync(full).mtimeMs < cutoff) fs.rmSync(full, { recursive: true, force: true });
+  }
+} catch (e) {
+  console.warn('Failed to clean up temp upload files:', e.message);
+}
+
+// drop resume state of chunked uploads nobody resumed
+try {
+  const now = Date.now();
+  for (const [resumeId, state] of storage.listPartialUploads()) {
+    if (!state || now - (state.updatedAt || 0) > RESUME_STATE_TTL) storage.deletePartialUpload(resumeId);
+  }
+} catch (e) {
+  console.warn('Failed to clean up stale partial uploads:', e.message);
+}
+
+
+// --- guest limits ---
+const guestLimiter = createGuestLimiter(GUEST_LIMITS, {
+  get: key => storage.getGuestUsage(key),
+  set: (key, events) => storage.setGuestUsage(key, events),
+}, formatFileSize);
+
+// turns a failed limit check into a message that tells the user when to try again
+function guestLimitMessage(result, locale) {
+  const message = t(locale, result.reason, result.vars);
+  if (!result.retryAt) return message;
+  return `${message} ${t(locale, 'guest.retryAt', { time: `<t:${Math.ceil(result.retryAt / 1000)}:R>` })}`;
+}
+
+// thrown from the upload helpers; err.guestLimit keeps the result so callers can show it translated
+function guestLimitError(result) {
+  const err = new Error(guestLimitMessage(result, 'en'));
+  err.guestLimit = result;
+  return err;
+}
+
+// same idea for other failures users should read in their language: err.messageId is a locales/ key.
+// A cause fills the {reason} placeholder, translated as well when it has a message id of its own.
+function localizedError(messageId, vars = {}, cause = null) {
+  const err = new Error(t('en', messageId, cause ? { ...vars, reason: cause.message } : vars), cause ? { cause } : undefined);
+  err.messageId = messageId;
+  err.vars = vars;
+  return err;
+}
+
+function uploadErrorMessage(e, locale) {
+  if (e && e.guestLimit) return guestLimitMessage(e.guestLimit, locale);
+  if (e && e.messageId) {
+    return t(locale, e.messageId, e.cause ? { ...e.vars, reason: uploadErrorMessage(e.cause, locale) } : e.vars);
+  }
+  // refused by instanceGuard, either directly or while connecting
+  if (e && e.code === 'EBLOCKEDADDRESS') return t(locale, 'upload.blockedInstance');
+  // requests that never got an answer; the details are in the log
+  if (e && e.name === 'FetchError') return t(locale, 'upload.networkError');
+  return e instanceof Error ? e.message : String(e);
+}
+
+
+// --- upload queue ---
+const uploadQueue = createUploadQueue({
+  concurrency: UPLOAD_CONCURRENCY,
+  perUserConcurrency: UPLOAD_CONCURRENCY_PER_USER,
+});
+
+gauge('zipline_bot_upload_queue_jobs', 'Upload jobs currently running or waiting in the queue', () => {
+  const { running, queued } = uploadQueue.stats();
+  return [{ labels: { state: 'running' }, value: running }, { labels: { state: 'queued' }, value: queued }];
+});
+
 
 // --- Zipline API helpers ---
-async function validateZiplineToken(token) {
+// "https://zip.example.com/" -> "https://zip.example.com"; null when it isn't an http(s) URL
+function normalizeInstanceUrl(input) {
+  try {
+    const url = new URL(String(input).trim());
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+// every request to a Zipline instance goes through here (see instanceGuard above)
+function instanceFetch(baseUrl, url, init = {}) {
+  try {
+    return fetch(url, { ...init, ...instanceGuard.fetchOptions(baseUrl) });
+  } catch (e) {
+    return Promise.reject(e);
+  }
+}
+
+async function validateZiplineToken(token, baseUrl = ZIPLINE_BASE_URL) {
   try {
-    const res = await fetch(`${ZIPLINE_BASE_URL}/api/user`, {
+    const res = await instanceFetch(baseUrl, `${baseUrl}/api/user`, {
       headers: { Authorization: token },
     });
 
     if (!res.ok) {
-      return { valid: false, error: `HTTP ${res.status} - Invalid token or unauthorized` };
+      return { valid: false, status: res.status };
     }
 
     const data = await res.json();
@@ -121,106 +310,269 @@ async function validateZiplineToken(token) {
       quota: data.quota || { used: 0, max: '∞' },
     };
   } catch {
-    return { valid: false, error: 'Network error or invalid Zipline URL' };
+    return { valid: false, status: null };
   }
 }
 
-async function ziplineGetMe(token) {
-  const res = await fetch(`${ZIPLINE_BASE_URL}/api/user`, {
-    headers: { Authorization: token },
+async function ziplineGetMe(account) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user`, {
+    headers: { Authorization: account.token },
   });
   if (!res.ok) throw new Error(`Zipline /api/user error ${res.status}`);
   const data = await res.json();
   return data.user || data;
 }
 
-async function ziplineFetchUserUploads(token, page = 1, perpage = 50) {
-  const url = `${ZIPLINE_BASE_URL}/api/user/files?page=${page}&perpage=${perpage}&sortBy=createdAt&order=desc&filter=all`;
-  const res = await fetch(url, { headers: { Authorization: token } });
+async function ziplineFetchUserUploads(account, page = 1, perpage = 50, {
+  searchField = 'name',
+  searchQuery,
+  favorite = false,
+  sortBy = 'createdAt',
+  order = 'desc',
+} = {}) {
+  const params = new URLSearchParams({
+    page: String(page),
+    perpage: String(perpage),
+    sortBy,
+    order,
+    filter: 'all',
+  });
+  if (searchQuery) {
+    params.set('searchField', searchField);
+    params.set('searchQuery', searchQuery);
+  }
+  if (favorite) params.set('favorite', 'true');
+  const url = `${account.baseUrl}/api/user/files?${params}`;
+  const res = await instanceFetch(account.baseUrl, url, { headers: { Authorization: account.token } });
   const text = await res.text();
-  if (!res.ok) throw new Error(`Zipline /api/user/files error ${res.status}: ${text}`);
+  if (!res.ok) throw new Error(`Zipline /api/user/files error ${res.status}`);
   return JSON.parse(text);
 }
 
-async function ziplineFetchAllUserUploads(token) {
-  let allUploads = [];
-  let page = 1;
-  const perpage = 50;
-  while (true) {
-    const resp = await ziplineFetchUserUploads(token, page, perpage);
-    if (!resp.page || resp.page.length === 0) break;
-    allUploads.push(...resp.page);
-    if (page >= resp.pages) break;
-    page++;
-  }
-  return allUploads;
+async function ziplineGetFile(account, fileId) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/files/${encodeURIComponent(fileId)}`, {
+    headers: { Authorization: account.token },
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline /api/user/files/${fileId} error ${res.status}`);
+  return JSON.parse(text);
 }
 
+async function ziplineDeleteFile(account, fileId) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/files/${encodeURIComponent(fileId)}`, {
+    method: 'DELETE',
+    headers: { Authorization: account.token },
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline file delete error ${res.status}`);
+  try { return JSON.parse(text); } catch { return text; }
+}
 
-// --- upload helpers (normal + partial) ---
-async function ziplineUploadFromUrl(token, fileUrl, filename, userId, onProgress) {
-  const settings = getUserSettings(userId);
+async function ziplineUpdateFile(account, fileId, patch) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/files/${encodeURIComponent(fileId)}`, {
+    method: 'PATCH',
+    headers: { Authorization: account.token, 'Content-Type': 'application/json' },
+    body: JSON.stringify(patch),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline file update error ${res.status}`);
+  return JSON.parse(text);
+}
 
-  const headRes = await fetch(fileUrl, { method: 'HEAD' });
-  const contentLengthHead = parseInt(headRes.headers.get('content-length') || '0', 10) || 0;
+async function ziplineFetchFolders(account) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/folders?noincl=true`, {
+    headers: { Authorization: account.token },
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline /api/user/folders error ${res.status}`);
+  return JSON.parse(text);
+}
 
-  const dlRes = await fetch(fileUrl);
-  if (!dlRes.ok) throw new Error('Failed to download attachment');
+async function ziplineCreateFolder(account, name, isPublic = false) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/folders`, {
+    method: 'POST',
+    headers: { Authorization: account.token, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, isPublic }),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline folder create error ${res.status}`);
+  return JSON.parse(text);
+}
 
-  const contentLength = contentLengthHead || parseInt(dlRes.headers.get('content-length') || '0', 10) || 0;
-  const contentType = dlRes.headers.get('content-type') || undefined;
+async function ziplineGetFolder(account, folderId) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/folders/${encodeURIComponent(folderId)}`, {
+    headers: { Authorization: account.token },
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline /api/user/folders/${folderId} error ${res.status}`);
+  return JSON.parse(text);
+}
 
-  // large files -> partial upload
-  if (contentLength >= CHUNK_THRESHOLD && contentLength > 0) {
-    return ziplinePartialUpload({
-      baseUrl: ZIPLINE_BASE_URL,
-      authToken: token,
-      fileUrl,
-      filename,
-      contentLength,
-      contentType,
-      settings,
-      onProgress,
-    });
-  }
+async function ziplineDeleteFolder(account, folderId) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/folders/${encodeURIComponent(folderId)}`, {
+    method: 'DELETE',
+    headers: { Authorization: account.token, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ delete: 'folder' }),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline folder delete error ${res.status}`);
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+async function ziplineAddFileToFolder(account, folderId, fileId) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/folders/${encodeURIComponent(folderId)}`, {
+    method: 'PUT',
+    headers: { Authorization: account.token, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: fileId }),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline folder add error ${res.status}`);
+  return JSON.parse(text);
+}
+
+async function ziplineShortenUrl(account, destination, { vanity, maxViews, password } = {}) {
+  const headers = { Authorization: account.token, 'Content-Type': 'application/json' };
+  if (maxViews) headers['x-zipline-max-views'] = String(maxViews);
+  if (password) headers['x-zipline-password'] = password;
+
+  const body = { destination };
+  if (vanity) body.vanity = vanity;
+
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/urls`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline shorten error ${res.status}`);
+  return JSON.parse(text);
+}
+
+async function ziplineFetchUrls(account) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/urls`, {
+    headers: { Authorization: account.token },
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline /api/user/urls error ${res.status}`);
+  return JSON.parse(text);
+}
 
-  // small files -> normal /api/upload
-  const tmpPath = path.join('./', `tmp_${Date.now()}_${filename}`);
-  const fileStream = fs.createWriteStream(tmpPath);
-  await new Promise((res, rej) => {
-    dlRes.body.pipe(fileStream);
-    dlRes.body.on('error', rej);
-    fileStream.on('finish', res);
+async function ziplineDeleteUrl(account, urlId) {
+  const res = await instanceFetch(account.baseUrl, `${account.baseUrl}/api/user/urls/${encodeURIComponent(urlId)}`, {
+    method: 'DELETE',
+    headers: { Authorization: account.token },
   });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Zipline url delete error ${res.status}`);
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+
+// --- upload metrics ---
+// mode: user (own token), guest (anonymous instance) or partial (chunked, either kind)
+const uploadsTotal = counter('zipline_bot_uploads_total', 'Files uploaded successfully, by mode');
+const uploadBytesTotal = counter('zipline_bot_upload_bytes_total', 'Bytes uploaded successfully, by mode');
+const uploadFailuresTotal = counter('zipline_bot_upload_failures_total', 'Failed uploads, by mode and cause');
+
+function uploadFailureCause(e, signal) {
+  if ((signal && signal.aborted) || (e && e.cancelled)) return 'cancelled';
+  if (e && e.guestLimit) return 'guest_limit';
+  if (e && e.download) return 'download';
+  // no status means the request never got a response, same as for chunk retries
+  if (!e || !e.status) return 'network';
+  return e.status >= 500 ? 'server_error' : 'rejected';
+}
 
+// runs one upload and counts its outcome; run(track) may set track.mode and track.bytes once known
+async function trackUpload(mode, bytes, run, signal) {
+  const track = { mode, bytes };
+  try {
+    const resp = await run(track);
+    uploadsTotal.inc({ mode: track.mode });
+    uploadBytesTotal.inc({ mode: track.mode }, track.bytes);
+    return resp;
+  } catch (e) {
+    uploadFailuresTotal.inc({ mode: track.mode, cause: uploadFailureCause(e, signal) });
+    throw e;
+  }
+}
+
+
+// --- upload helpers (normal + partial) ---
+function anonUploadSettings() {
+  return ANON_UPLOAD_EXPIRY ? { expiry: ANON_UPLOAD_EXPIRY, compression: null } : {};
+}
+
+// saved defaults merged with per-upload options -> x-zipline-* headers
+function uploadSettingsHeaders(settings = {}) {
+  const headers = {};
+  if (settings.expiry) headers['x-zipline-deletes-at'] = settings.expiry;
+  if (settings.compression) headers['x-zipline-compression'] = settings.compression;
+  if (settings.folder) headers['x-zipline-folder'] = settings.folder;
+  if (settings.password) headers['x-zipline-password'] = settings.password;
+  if (settings.maxViews) headers['x-zipline-max-views'] = String(settings.maxViews);
+  if (settings.format) headers['x-zipline-format'] = settings.format;
+  if (settings.domain) headers['x-zipline-domain'] = settings.domain;
+  return headers;
+}
+
+// a date saved as a default (or a resumed upload's date) may have passed; Zipline would refuse it,
+// and uploading without it would keep a file the user wanted gone
+function checkUploadSettings(settings = {}) {
+  if (expiryHasPassed(settings.expiry)) {
+    throw localizedError('upload.expiryPassed', {
+      date: formatExpiry(settings.expiry),
+      command: commandMention('zipline', 'settings'),
+    });
+  }
+}
+
+// single multipart POST to /api/upload; file is a stream or Buffer
+async function ziplinePostUpload({
+  baseUrl,
+  authToken,
+  file,
+  filename,
+  contentType,
+  knownLength,
+  settings = {},
+  label = 'Zipline upload',
+  signal,
+}) {
+  checkUploadSettings(settings);
   const form = new FormData();
-  form.append('file', fs.createReadStream(tmpPath), { filename });
+  const fileOptions = { filename };
+  if (contentType) fileOptions.contentType = contentType;
+  if (knownLength) fileOptions.knownLength = knownLength;
+  form.append('file', file, fileOptions);
 
   const headers = {
-    Authorization: token,
+    Authorization: authToken,
     ...form.getHeaders(),
+    ...uploadSettingsHeaders(settings),
   };
 
-  if (settings.expiry && settings.expiry !== '') {
-    headers['x-zipline-deletes-at'] = settings.expiry;
-  }
-  if (settings.compression && settings.compression !== '') {
-    headers['x-zipline-compression'] = settings.compression;
+  // buffers and streams of known size get a Content-Length instead of chunked encoding
+  if (Buffer.isBuffer(file) || knownLength) {
+    headers['Content-Length'] = String(form.getLengthSync());
   }
 
   headers['x-zipline-original-name'] = 'true';
 
-  const resUpload = await fetch(`${ZIPLINE_BASE_URL}/api/upload`, {
+  const resUpload = await instanceFetch(baseUrl, `${baseUrl}/api/upload`, {
     method: 'POST',
     headers,
     body: form,
+    signal,
   });
 
   const resText = await resUpload.text();
-  if (tmpPath && fs.existsSync(tmpPath)) {
-    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+  if (!resUpload.ok) {
+    const err = localizedError('upload.rejected', { status: resUpload.status });
+    err.message = `${label} error ${resUpload.status}`;
+    err.status = resUpload.status;
+    throw err;
   }
-  if (!resUpload.ok) throw new Error(`Zipline upload error ${resUpload.status}: ${resText}`);
 
   try {
     return JSON.parse(resText);
@@ -229,78 +581,234 @@ async function ziplineUploadFromUrl(token, fileUrl, filename, userId, onProgress
   }
 }
 
-async function ziplineAnonUploadFromUrl(fileUrl, filename, onProgress) {
-  if (!ANON_ZIPLINE_BASE_URL || !ANON_ZIPLINE_TOKEN) {
-    throw new Error('Guest Zipline instance or token not configured in config.json');
+// one GET per upload; resuming asks for the remaining bytes only
+async function openUploadSource(fileUrl, startOffset = 0, signal) {
+  // byte ranges only line up with the file when the body isn't compressed in transit
+  const dlRes = await fetch(fileUrl, {
+    ...(startOffset > 0 ? { headers: { Range: `bytes=${startOffset}-`, 'Accept-Encoding': 'identity' } } : {}),
+    signal,
+  });
+  if (!dlRes.ok) {
+    const err = localizedError('upload.downloadFailed');
+    err.download = true;
+    throw err;
   }
 
-  const headRes = await fetch(fileUrl, { method: 'HEAD' });
-  const contentLengthHead = parseInt(headRes.headers.get('content-length') || '0', 10) || 0;
+  // node-fetch decodes gzip/brotli bodies, but Content-Length is still the compressed size;
+  // treat it as unknown so the decoded body goes through withTempFile and gets measured
+  const encoding = (dlRes.headers.get('content-encoding') || 'identity').trim().toLowerCase();
+  const encoded = encoding !== 'identity';
+  if (encoded && dlRes.status === 206) {
+    // a range of the compressed body can't be decoded on its own
+    if (typeof dlRes.body.destroy === 'function') dlRes.body.destroy();
+    const err = localizedError('upload.downloadFailed');
+    err.download = true;
+    throw err;
+  }
+  const ranged = startOffset > 0 && dlRes.status === 206;
+  const length = encoded ? 0 : parseInt(dlRes.headers.get('content-length') || '0', 10) || 0;
+
+  return {
+    body: dlRes.body,
+    contentLength: ranged ? startOffset + length : length,
+    contentType: dlRes.headers.get('content-type') || undefined,
+    // sources that ignore Range send everything again; drop what was already uploaded
+    skipBytes: startOffset > 0 && !ranged ? startOffset : 0,
+  };
+}
+
+// only used when the source doesn't say how big it is
+async function withTempFile(body, fn, signal) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), TEMP_DIR_PREFIX));
+  try {
+    const tmpPath = path.join(dir, 'upload.bin');
+    await pipeline(body, fs.createWriteStream(tmpPath), { signal });
+    return await fn(tmpPath, fs.statSync(tmpPath).size);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// downloads once and streams straight into /api/upload or the chunked upload
+async function ziplineStreamUpload({
+  baseUrl,
+  authToken,
+  fileUrl,
+  filename,
+  settings,
+  onProgress,
+  userId = null,
+  anon = false,
+  label,
+  signal,
+  checkSource,
+  track = {},
+}) {
+  checkUploadSettings(settings);
+  const source = await openUploadSource(fileUrl, 0, signal);
 
-  const dlRes = await fetch(fileUrl);
-  if (!dlRes.ok) throw new Error('Failed to download attachment');
+  // lets callers reject a file once its size and type are known
+  const check = size => {
+    if (!checkSource) return;
+    try {
+      checkSource({ size, contentType: source.contentType });
+    } catch (e) {
+      if (typeof source.body.destroy === 'function') source.body.destroy();
+      throw e;
+    }
+  };
 
-  const contentLength = contentLengthHead || parseInt(dlRes.headers.get('content-length') || '0', 10) || 0;
-  const contentType = dlRes.headers.get('content-type') || undefined;
+  const upload = (body, contentLength) => {
+    track.bytes = contentLength;
+    // large files -> partial upload
+    if (contentLength >= CHUNK_THRESHOLD) {
+      track.mode = 'partial';
+      return ziplinePartialUpload({
+        baseUrl,
+        authToken,
+        source: body,
+        fileUrl,
+        filename,
+        contentLength,
+        contentType: source.contentType,
+        anon,
+        settings,
+        onProgress,
+        userId,
+        signal,
+      });
+    }
 
-  if (contentLength >= CHUNK_THRESHOLD && contentLength > 0) {
-    return ziplinePartialUpload({
-      baseUrl: ANON_ZIPLINE_BASE_URL,
-      authToken: ANON_ZIPLINE_TOKEN,
-      fileUrl,
+    // small files -> normal /api/upload
+    return ziplinePostUpload({
+      baseUrl,
+      authToken,
+      file: body,
       filename,
-      contentLength,
-      contentType,
-      anon: true,
-      settings: ANON_UPLOAD_EXPIRY ? { expiry: ANON_UPLOAD_EXPIRY, compression: null } : {},
-      onProgress,
+      contentType: source.contentType,
+      knownLength: contentLength,
+      settings,
+      label,
+      signal,
     });
+  };
+
+  if (source.contentLength > 0) {
+    check(source.contentLength);
+    return upload(source.body, source.contentLength);
   }
+  return withTempFile(source.body, (tmpPath, size) => {
+    check(size);
+    return upload(fs.createReadStream(tmpPath), size);
+  }, signal);
+}
 
-  const tmpPath = path.join('./', `tmp_anon_${Date.now()}_${filename}`);
-  const fileStream = fs.createWriteStream(tmpPath);
-  await new Promise((res, rej) => {
-    dlRes.body.pipe(fileStream);
-    dlRes.body.on('error', rej);
-    fileStream.on('finish', res);
-  });
+async function ziplineUploadFromUrl(account, fileUrl, filename, userId, onProgress, overrides = {}, signal) {
+  return trackUpload('user', 0, track => ziplineStreamUpload({
+    baseUrl: account.baseUrl,
+    authToken: account.token,
+    fileUrl,
+    filename,
+    settings: { ...getUserSettings(userId), ...overrides },
+    onProgress,
+    userId,
+    signal,
+    track,
+  }), signal);
+}
 
-  const form = new FormData();
-  form.append('file', fs.createReadStream(tmpPath), { filename });
+async function ziplineAnonUploadFromUrl(fileUrl, filename, onProgress, userId = null, signal) {
+  if (!ANON_ZIPLINE_BASE_URL || !ANON_ZIPLINE_TOKEN) {
+    throw localizedError('upload.guestNotConfigured');
+  }
 
-  const headers = {
-    Authorization: ANON_ZIPLINE_TOKEN,
-    ...form.getHeaders(),
-  };
+  return guestStreamUpload({
+    baseUrl: ANON_ZIPLINE_BASE_URL,
+    authToken: ANON_ZIPLINE_TOKEN,
+    settings: anonUploadSettings(),
+    anon: true,
+    label: 'Guest Zipline upload',
+  }, fileUrl, filename, onProgress, userId, signal);
+}
 
-  if (ANON_UPLOAD_EXPIRY && ANON_UPLOAD_EXPIRY !== '') {
-    headers['x-zipline-deletes-at'] = ANON_UPLOAD_EXPIRY;
-  }
+// mirror uploads by members without a token go to the fallback account, but count as guest uploads
+async function ziplineFallbackUploadFromUrl(account, fileUrl, filename, onProgress, userId, overrides = {}, signal) {
+  return guestStreamUpload({
+    baseUrl: account.baseUrl,
+    authToken: account.token,
+    settings: { ...getUserSettings(userId), ...overrides },
+    anon: false,
+    label: 'Mirror fallback upload',
+  }, fileUrl, filename, onProgress, userId, signal);
+}
 
-  headers['x-zipline-original-name'] = 'true';
+// streams one file while enforcing and recording the guest limits
+async function guestStreamUpload(target, fileUrl, filename, onProgress, userId, signal) {
+  return trackUpload('guest', 0, async track => {
+    const allowed = guestLimiter.checkUser(userId);
+    if (!allowed.ok) throw guestLimitError(allowed);
 
-  const resUpload = await fetch(`${ANON_ZIPLINE_BASE_URL}/api/upload`, {
-    method: 'POST',
-    headers,
-    body: form,
-  });
+    let size = 0;
+    const resp = await ziplineStreamUpload({
+      ...target,
+      fileUrl,
+      filename,
+      onProgress,
+      userId,
+      signal,
+      track,
+      checkSource: source => {
+        const result = guestLimiter.checkFile({ userId, filename, ...source });
+        if (!result.ok) throw guestLimitError(result);
+        size = source.size;
+      },
+    });
+    guestLimiter.record(userId, size);
+    return resp;
+  }, signal);
+}
 
-  const resText = await resUpload.text();
-  if (tmpPath && fs.existsSync(tmpPath)) {
-    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
-  }
-  if (!resUpload.ok) throw new Error(`Guest Zipline upload error ${resUpload.status}: ${resText}`);
+// in-memory content (e.g. pasted text) goes straight to /api/upload
+async function ziplineUploadBuffer(account, buffer, filename, userId, contentType, overrides = {}) {
+  return trackUpload('user', buffer.length, () => ziplinePostUpload({
+    baseUrl: account.baseUrl,
+    authToken: account.token,
+    file: buffer,
+    filename,
+    contentType,
+    settings: { ...getUserSettings(userId), ...overrides },
+  }));
+}
 
-  try {
-    return JSON.parse(resText);
-  } catch {
-    return resText;
+async function ziplineAnonUploadBuffer(buffer, filename, contentType, userId = null) {
+  if (!ANON_ZIPLINE_BASE_URL || !ANON_ZIPLINE_TOKEN) {
+    throw localizedError('upload.guestNotConfigured');
   }
+
+  return trackUpload('guest', buffer.length, async () => {
+    const allowed = guestLimiter.checkFile({ userId, filename, contentType, size: buffer.length });
+    if (!allowed.ok) throw guestLimitError(allowed);
+
+    const resp = await ziplinePostUpload({
+      baseUrl: ANON_ZIPLINE_BASE_URL,
+      authToken: ANON_ZIPLINE_TOKEN,
+      file: buffer,
+      filename,
+      contentType,
+      settings: anonUploadSettings(),
+      label: 'Guest Zipline upload',
+    });
+    guestLimiter.record(userId, buffer.length);
+    return resp;
+  });
 }
 
+// reads the source stream chunk by chunk and keeps up to CHUNK_CONCURRENCY chunks in flight;
+// the last chunk is only sent once every earlier chunk has been acknowledged
 async function ziplinePartialUpload({
   baseUrl,
   authToken,
+  source,
   fileUrl,
   filename,
   contentLength,
@@ -308,119 +816,252 @@ async function ziplinePartialUpload({
   anon = false,
   settings = {},
   onProgress,
+  userId = null,
+  resumeId = null,
+  startOffset = 0,
+  skipBytes = 0,
+  partialIdentifier: resumeIdentifier = null,
+  signal,
 }) {
   const partialUrl = `${baseUrl.replace(/\/$/, '')}/api/upload/partial`;
+  // one chunk of the memory limit is the read-ahead buffer, the rest is for chunks in flight
+  const maxInFlight = Math.max(1, Math.min(CHUNK_CONCURRENCY, Math.floor(CHUNK_MEMORY_LIMIT / CHUNK_SIZE) - 1));
 
-  const dlRes = await fetch(fileUrl);
-  if (!dlRes.ok) throw new Error('Failed to download attachment for partial upload');
-
-  /* Optimized buffering to prevent memory leaks */
-  const iterator = dlRes.body[Symbol.asyncIterator]();
-  let accumulatedChunks = [];
-  let accumulatedLen = 0;
-  let uploadedBytes = 0;
-  let partialIdentifier = null;
-
-  while (true) {
-    const { value, done } = await iterator.next();
-
-    if (value) {
-      accumulatedChunks.push(Buffer.from(value));
-      accumulatedLen += value.length;
-    }
-
-    // Process if we have enough data (>= CHUNK_SIZE) OR if we are done and have data left
-    while (accumulatedLen >= CHUNK_SIZE || (done && accumulatedLen > 0)) {
-      let buffer = Buffer.concat(accumulatedChunks);
-      accumulatedChunks = [];
-      accumulatedLen = 0;
-
-      // Slice chunks out of the consolidated buffer
-      while (buffer.length >= CHUNK_SIZE || (done && buffer.length > 0)) {
-        // If not done, we strictly need CHUNK_SIZE
-        if (!done && buffer.length < CHUNK_SIZE) {
-          // Push remainder back and wait for more data
-          accumulatedChunks.push(buffer);
-          accumulatedLen += buffer.length;
-          buffer = Buffer.alloc(0);
-          break;
-        }
-
-        const amountToSend = Math.min(buffer.length, CHUNK_SIZE);
-        const sending = buffer.slice(0, amountToSend);
+  const id = resumeId || crypto.randomUUID();
+  let readOffset = startOffset;     // where the next chunk starts
+  let uploadedBytes = startOffset;  // everything below this has been acknowledged
+  let ackedBytes = startOffset;     // includes chunks acknowledged out of order
+  let partialIdentifier = resumeIdentifier;
+  let chunkIndex = Math.floor(startOffset / CHUNK_SIZE);
 
-        // Keep remainder
-        const remainder = buffer.slice(amountToSend);
-        buffer = remainder;
+  const saveResumeState = () => {
+    try {
+      storage.setPartialUpload(id, {
+        userId,
+        anon,
+        baseUrl,
+        fileUrl,
+        filename,
+        contentLength,
+        contentType,
+        settings,
+        partialIdentifier,
+        uploadedBytes,
+        updatedAt: Date.now(),
+      });
+    } catch (e) {
+      logError(e, 'zipline.ziplinePartialUpload.saveResumeState');
+    }
+  };
+  saveResumeState();
 
-        // WRITE TO DISK
-        const tmpChunkPath = path.join('./', `tmp_chunk_${Date.now()}_${Math.random().toString(36).substring(7)}.bin`);
-        fs.writeFileSync(tmpChunkPath, sending);
+  const ackedOutOfOrder = new Map(); // offset -> length
+  const inFlight = new Set();
+  let failure = null;
 
-        let effectiveContentLength = contentLength;
-        // Check if this is truly the last piece we will ever send
-        const isRefEmpty = (buffer.length === 0 && accumulatedChunks.length === 0 && done);
+  const handleResponse = (resp, offset, length) => {
+    if (resp && resp.partialSuccess === false) {
+      throw localizedError('upload.partialRejected');
+    }
+    if (resp && resp.partialIdentifier) {
+      partialIdentifier = resp.partialIdentifier;
+    }
 
-        if (isRefEmpty) {
-          // Fix for content-length mismatch if source size was inexact
-          effectiveContentLength = uploadedBytes + sending.length;
-        }
+    ackedOutOfOrder.set(offset, length);
+    ackedBytes += length;
+    while (ackedOutOfOrder.has(uploadedBytes)) {
+      const len = ackedOutOfOrder.get(uploadedBytes);
+      ackedOutOfOrder.delete(uploadedBytes);
+      uploadedBytes += len;
+    }
+    saveResumeState();
+    if (onProgress) onProgress(ackedBytes, contentLength);
+  };
 
-        const isLast = (uploadedBytes + sending.length) >= effectiveContentLength;
+  const waitForAll = async () => {
+    await Promise.all(inFlight);
+    if (failure) throw failure;
+  };
 
-        console.log(`[DEBUG] Chunk: ${uploadedBytes}-${uploadedBytes + sending.length - 1}/${effectiveContentLength}, isLast: ${isLast}, done: ${done}`);
+  const iterator = source[Symbol.asyncIterator]();
+  let pending = [];
+  let pendingLen = 0;
+  let done = false;
 
-        try {
-          const resp = await sendPartialChunk({
-            url: partialUrl,
-            authToken,
-            filePath: tmpChunkPath,
-            filename,
-            contentType,
-            contentLength: effectiveContentLength,
-            partialIdentifier,
-            isLast,
-            settings,
-            uploadedBytes,
-          });
-
-          if (resp && resp.files && resp.files.length > 0) {
-            console.log(`[DEBUG] Final Files: ${JSON.stringify(resp.files)}`);
-            fs.unlinkSync(tmpChunkPath);
-            return resp;
-          }
+  try {
+    while (true) {
+      // wait for a free slot before reading, so no chunk sits in memory waiting for one
+      while (inFlight.size >= maxInFlight && !failure) await Promise.race(inFlight);
+      if (failure) break;
+
+      // read until we have more than one chunk, so we know whether the next one is the last
+      while (!done && pendingLen <= CHUNK_SIZE) {
+        const next = await iterator.next();
+        if (next.done) {
+          done = true;
+          break;
+        }
+        let value = Buffer.from(next.value);
+        if (skipBytes > 0) {
+          const skip = Math.min(skipBytes, value.length);
+          value = value.subarray(skip);
+          skipBytes -= skip;
+        }
+        if (value.length > 0) {
+          pending.push(value);
+          pendingLen += value.length;
+        }
+      }
 
-          if (resp && resp.partialIdentifier) {
-            partialIdentifier = resp.partialIdentifier;
-          }
+      if (pendingLen === 0) break;
+
+      const buffer = pending.length === 1 ? pending[0] : Buffer.concat(pending);
+      const sending = buffer.subarray(0, CHUNK_SIZE);
+      const remainder = buffer.subarray(sending.length);
+      pending = remainder.length ? [remainder] : [];
+      pendingLen = remainder.length;
+
+      const isLast = done && pendingLen === 0;
+      // Fix for content-length mismatch if source size was inexact
+      const effectiveContentLength = isLast ? readOffset + sending.length : contentLength;
+      const offset = readOffset;
+      readOffset += sending.length;
+
+      console.log(`[DEBUG] Chunk: ${offset}-${offset + sending.length - 1}/${effectiveContentLength}, isLast: ${isLast}`);
+
+      const send = () => sendPartialChunkWithRetry({
+        baseUrl,
+        url: partialUrl,
+        authToken,
+        chunkBuffer: sending,
+        filename,
+        contentType,
+        contentLength: effectiveContentLength,
+        partialIdentifier,
+        isLast,
+        settings,
+        uploadedBytes: offset,
+        chunkIndex: chunkIndex++,
+        signal,
+      });
 
-          if (resp && resp.partialSuccess === false) {
-            throw new Error('Partial upload failed; server indicated partialSuccess=false');
-          }
-        } finally {
-          if (fs.existsSync(tmpChunkPath)) fs.unlinkSync(tmpChunkPath);
+      if (isLast) {
+        await waitForAll();
+        const resp = await send();
+        if (resp && resp.files && resp.files.length > 0) {
+          console.log(`[DEBUG] Final Files: ${JSON.stringify(resp.files)}`);
+          storage.deletePartialUpload(id);
+          return resp;
         }
-
-        uploadedBytes += sending.length;
-        if (onProgress) onProgress(uploadedBytes, contentLength);
+        handleResponse(resp, offset, sending.length);
+        break;
       }
 
-      if (buffer.length > 0) {
-        accumulatedChunks.push(buffer);
-        accumulatedLen += buffer.length;
+      // the first chunk hands out the identifier every other chunk needs
+      if (!partialIdentifier) {
+        await waitForAll();
+        handleResponse(await send(), offset, sending.length);
+        continue;
       }
+
+      const request = send()
+        .then(resp => handleResponse(resp, offset, sending.length))
+        .catch(e => { if (!failure) failure = e; })
+        .finally(() => inFlight.delete(request));
+      inFlight.add(request);
     }
 
-    if (done) break;
+    await waitForAll();
+  } catch (e) {
+    // let the other requests settle so the saved offset is final, and keep it for a resume
+    await Promise.allSettled(inFlight);
+    if (typeof source.destroy === 'function') source.destroy();
+    if (signal && signal.aborted) {
+      storage.deletePartialUpload(id); // cancelled on purpose, nothing to resume
+    } else if (e && typeof e === 'object') {
+      e.resumeId = id;
+    }
+    throw e;
   }
 
+  storage.deletePartialUpload(id);
   return { partialSuccess: true };
 }
 
+function isRetryableChunkError(error) {
+  // no status means the request never got a response (network error)
+  if (!error.status) return true;
+  return error.status >= 500 || error.status === 429;
+}
+
+async function sendPartialChunkWithRetry(opts) {
+  const { chunkIndex, uploadedBytes, chunkBuffer, signal } = opts;
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= CHUNK_RETRIES + 1; attempt++) {
+    attempts = attempt;
+    try {
+      return await sendPartialChunk(opts);
+    } catch (e) {
+      if (signal && signal.aborted) throw e;
+      lastError = e;
+      if (!isRetryableChunkError(e) || attempt > CHUNK_RETRIES) break;
+      const delay = CHUNK_RETRY_BASE_DELAY * 2 ** (attempt - 1);
+      console.warn(chalk.yellow('[WARN]'), `Chunk ${chunkIndex + 1} attempt ${attempt} failed (${e.message}); retrying in ${delay}ms`);
+      try {
+        await setTimeoutPromise(delay, undefined, { signal });
+      } catch {
+        throw e; // cancelled while waiting
+      }
+    }
+  }
+
+  const err = localizedError('upload.chunkFailed', {
+    chunk: chunkIndex + 1,
+    from: uploadedBytes,
+    to: uploadedBytes + chunkBuffer.length - 1,
+    attempts,
+  }, lastError);
+  err.status = lastError.status;
+  err.chunkIndex = chunkIndex;
+  throw err;
+}
+
+// picks up an interrupted chunked upload from its last acknowledged chunk
+async function ziplineResumePartialUpload(resumeId, onProgress, signal) {
+  const state = storage.getPartialUpload(resumeId);
+  if (!state) throw localizedError('resume.expired');
+
+  const authToken = state.anon ? ANON_ZIPLINE_TOKEN : getUserAccount(state.userId, state.baseUrl)?.token;
+  if (!authToken) throw localizedError('resume.noToken');
+  if (state.passwordInMemory && !state.settings.password) throw localizedError('resume.passwordLost');
+  checkUploadSettings(state.settings);
+
+  // only the remaining bytes are uploaded again
+  return trackUpload('partial', state.contentLength - state.uploadedBytes, async () => {
+    const source = await openUploadSource(state.fileUrl, state.uploadedBytes, signal);
+    const resp = await ziplinePartialUpload({
+      ...state,
+      authToken,
+      source: source.body,
+      skipBytes: source.skipBytes,
+      onProgress,
+      resumeId,
+      startOffset: state.uploadedBytes,
+      partialIdentifier: state.partialIdentifier,
+      signal,
+    });
+    // guest uploads only count once they have finished
+    if (state.anon) guestLimiter.record(state.userId, state.contentLength);
+    return resp;
+  }, signal);
+}
+
 async function sendPartialChunk({
+  baseUrl,
   url,
   authToken,
-  filePath,
   chunkBuffer,
   filename,
   contentType,
@@ -429,62 +1070,43 @@ async function sendPartialChunk({
   isLast,
   settings,
   uploadedBytes,
+  signal,
 }) {
   const form = new FormData();
-
-  if (filePath) {
-    form.append('file', fs.createReadStream(filePath), {
-      filename,
-      contentType: contentType || 'application/octet-stream',
-    });
-  } else if (chunkBuffer) {
-    form.append('file', chunkBuffer, {
-      filename,
-      contentType: contentType || 'application/octet-stream',
-    });
-  }
-
-  const contentLengthMulti = await new Promise((resolve, reject) => {
-    form.getLength((err, len) => {
-      if (err) reject(err);
-      else resolve(len);
-    });
+  form.append('file', chunkBuffer, {
+    filename,
+    contentType: contentType || 'application/octet-stream',
   });
 
-  const chunkLen = filePath ? fs.statSync(filePath).size : chunkBuffer.length;
-
   const headers = {
     Authorization: authToken,
     ...form.getHeaders(),
-    'Content-Length': String(contentLengthMulti),
-    'Content-Range': `bytes ${uploadedBytes}-${uploadedBytes + chunkLen - 1}/${contentLength}`,
+    'Content-Length': String(form.getLengthSync()),
+    'Content-Range': `bytes ${uploadedBytes}-${uploadedBytes + chunkBuffer.length - 1}/${contentLength}`,
     'x-zipline-p-filename': filename,
     'x-zipline-p-content-type': contentType || 'application/octet-stream',
     'x-zipline-p-content-length': String(contentLength),
     'x-zipline-p-lastchunk': isLast ? 'true' : 'false',
+    ...uploadSettingsHeaders(settings),
   };
 
   if (partialIdentifier) {
     headers['x-zipline-p-identifier'] = partialIdentifier;
   }
 
-  if (settings.expiry && settings.expiry !== '') {
-    headers['x-zipline-deletes-at'] = settings.expiry;
-  }
-  if (settings.compression && settings.compression !== '') {
-    headers['x-zipline-compression'] = settings.compression;
-  }
-
-  const res = await fetch(url, {
+  const res = await instanceFetch(baseUrl, url, {
     method: 'POST',
     headers,
     body: form,
+    signal,
   });
 
   const txt = await res.text();
   if (!res.ok) {
     console.error('[DEBUG] Response Headers:', JSON.stringify(Object.fromEntries(res.headers.entries()), null, 2));
-    throw new Error(`Partial upload failed ${res.status}: ${txt}`);
+    const err = localizedError('upload.chunkRejected', { status: res.status });
+    err.status = res.status;
+    throw err;
   }
 
   try { return JSON.parse(txt); } catch { return txt; }
@@ -495,6 +1117,7 @@ async function ziplineGetVersion() {
   try {
     const res = await fetch(`${ZIPLINE_BASE_URL}/api/version`, {
       headers: { Authorization: ANON_ZIPLINE_TOKEN },
+      signal: AbortSignal.timeout(VERSION_CHECK_TIMEOUT),
     });
 
     // 500 is technically "Online" but upstream fetch failed
@@ -548,24 +1171,661 @@ function getReadableOSName() {
     } catch { /* ignore */ }
     return `Linux kernel ${release}`;
   }
-  if (platform === 'darwin') return `macOS ${release}`;
-  return `${platform} ${release}`;
+  if (platform === 'darwin') return `macOS ${release}`;
+  return `${platform} ${release}`;
+}
+
+
+// --- formatting helpers ---
+function formatFileSize(bytes) {
+  if (!bytes || bytes === 0) return 'unknown';
+  const kb = 1024;
+  const mb = kb * 1024;
+  if (bytes < mb) return `${(bytes / kb).toFixed(1)} KB`;
+  return `${(bytes / mb).toFixed(2)} MB`;
+}
+
+function settingsFields(settings, locale) {
+  const notSet = t(locale, 'settings.notSet');
+  return [
+    { name: t(locale, 'settings.expiry'), value: settings.expiry ? formatExpiry(settings.expiry) : notSet, inline: true },
+    { name: t(locale, 'settings.compression'), value: settings.compression ? `\`${settings.compression}\`` : notSet, inline: true },
+    { name: t(locale, 'settings.folder'), value: settings.folder ? `\`${settings.folderName || settings.folder}\`` : notSet, inline: true },
+    {
+      name: t(locale, 'settings.language'),
+      value: settings.locale ? LOCALE_NAMES[settings.locale] : t(locale, 'settings.languageAuto'),
+      inline: true,
+    },
+  ];
+}
+
+// the /zipline settings panel: buttons for the upload defaults plus a language picker
+function buildSettingsView(settings, locale) {
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'settings.title'))
+    .setDescription(t(locale, 'settings.description'))
+    .addFields(settingsFields(settings, locale))
+    .setColor(0x00b0ff)
+    .setFooter({ text: t(locale, 'settings.footer') });
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('zip_edit_expiry')
+      .setLabel(t(locale, 'settings.editExpiry'))
+      .setEmoji('📅')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId('zip_edit_compression')
+      .setLabel(t(locale, 'settings.editCompression'))
+      .setEmoji('🗜️')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId('zip_edit_folder')
+      .setLabel(t(locale, 'settings.editFolder'))
+      .setEmoji('📁')
+      .setStyle(ButtonStyle.Secondary),
+  );
+  const language = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId('zip_set_locale')
+      .setPlaceholder(t(locale, 'settings.languagePlaceholder'))
+      .addOptions([
+        { label: t(locale, 'settings.languageAuto'), value: 'auto', emoji: '🌍', default: !settings.locale },
+        ...Object.entries(LOCALE_NAMES).map(([value, label]) => ({ label, value, default: settings.locale === value })),
+      ]),
+  );
+  return { embeds: [embed], components: [buttons, language] };
+}
+
+function fileViewUrl(file, baseUrl = ZIPLINE_BASE_URL) {
+  return file.url && file.url.startsWith('http')
+    ? file.url
+    : `${baseUrl}${file.url || `/u/${file.id}`}`;
+}
+
+function shortUrlFor(u, baseUrl = ZIPLINE_BASE_URL) {
+  if (u.url && u.url.startsWith('http')) return u.url;
+  return `${baseUrl}/go/${u.vanity || u.code}`;
+}
+
+function trimUrl(str, maxLength = 60) {
+  if (!str) return '';
+  return str.length > maxLength ? str.slice(0, maxLength - 1) + '…' : str;
+}
+
+function extractUrls(text) {
+  if (!text) return [];
+  return [...new Set(text.match(/https?:\/\/[^\s<>)"']+/gi) || [])];
+}
+
+
+// --- file management helpers ---
+const FILE_ACTIONS = ['favorite', 'password', 'maxviews', 'rename', 'move'];
+
+function buildFileEmbed(file, folders = [], baseUrl = ZIPLINE_BASE_URL, locale) {
+  const folder = file.folderId ? folders.find(f => f.id === file.folderId) : null;
+  const views = file.views ?? 0;
+  const none = t(locale, 'common.none');
+
+  return new EmbedBuilder()
+    .setTitle(`📄 ${file.originalName || file.name || t(locale, 'file.untitled')}`)
+    .setDescription(`**[${t(locale, 'file.viewLink')}](${fileViewUrl(file, baseUrl)})**`)
+    .addFields(
+      { name: t(locale, 'file.favorite'), value: t(locale, file.favorite ? 'common.yes' : 'common.no'), inline: true },
+      { name: t(locale, 'file.password'), value: file.password ? t(locale, 'file.passwordSet') : none, inline: true },
+      { name: t(locale, 'file.views'), value: file.maxViews ? `${views} / ${file.maxViews}` : `${views} / ∞`, inline: true },
+      { name: t(locale, 'file.folder'), value: folder ? folder.name : (file.folderId ? String(file.folderId) : none), inline: true },
+      { name: t(locale, 'file.size'), value: formatFileSize(file.size), inline: true },
+    )
+    .setColor(0x00b0ff);
+}
+
+function buildFileActionRow(fileId, file = {}, locale) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`zip_file:favorite:${fileId}`)
+      .setLabel(t(locale, file.favorite ? 'file.button.unfavorite' : 'file.button.favorite'))
+      .setEmoji('⭐')
+      .setStyle(file.favorite ? ButtonStyle.Secondary : ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`zip_file:password:${fileId}`)
+      .setLabel(t(locale, 'file.button.password'))
+      .setEmoji('🔒')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`zip_file:maxviews:${fileId}`)
+      .setLabel(t(locale, 'file.button.maxViews'))
+      .setEmoji('👁️')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`zip_file:rename:${fileId}`)
+      .setLabel(t(locale, 'file.button.rename'))
+      .setEmoji('✏️')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`zip_file:move:${fileId}`)
+      .setLabel(t(locale, 'file.button.move'))
+      .setEmoji('📁')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+// fetches the file (and folders for display) and returns a message payload
+async function buildFileView(account, fileId, locale) {
+  const file = await ziplineGetFile(account, fileId);
+  let folders = [];
+  if (file.folderId) {
+    try { folders = await ziplineFetchFolders(account); } catch { /* ignore */ }
+  }
+  return {
+    content: null,
+    embeds: [buildFileEmbed(file, folders, account.baseUrl, locale)],
+    components: [buildFileActionRow(fileId, file, locale)],
+  };
+}
+
+// applies one action and returns the updated file view
+async function applyFileAction(account, fileId, action, value, locale) {
+  if (action === 'favorite') {
+    const file = await ziplineGetFile(account, fileId);
+    await ziplineUpdateFile(account, fileId, { favorite: !file.favorite });
+  } else if (action === 'password') {
+    await ziplineUpdateFile(account, fileId, { password: value ? value : null });
+  } else if (action === 'maxviews') {
+    await ziplineUpdateFile(account, fileId, { maxViews: value ? value : null });
+  } else if (action === 'rename') {
+    await ziplineUpdateFile(account, fileId, { originalName: value });
+  } else if (action === 'move') {
+    await ziplineAddFileToFolder(account, value, fileId);
+  }
+  return buildFileView(account, fileId, locale);
+}
+
+function buildFileActionModal(action, fileId, locale) {
+  const inputs = {
+    password: { required: false, max: 100 },
+    maxviews: { required: false, max: 10 },
+    rename: { required: true, max: 255 },
+  };
+  const cfg = inputs[action];
+
+  return new ModalBuilder()
+    .setCustomId(`zip_file_modal:${action}:${fileId}`)
+    .setTitle(t(locale, `file.modal.${action}.title`))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('value_input')
+          .setLabel(t(locale, `file.modal.${action}.label`))
+          .setStyle(TextInputStyle.Short)
+          .setRequired(cfg.required)
+          .setMaxLength(cfg.max),
+      ),
+    );
+}
+
+// management buttons for the result of a single-file upload
+function uploadActionRows(uploadResp, locale) {
+  const files = (uploadResp && uploadResp.files) || [];
+  if (files.length !== 1 || !files[0].id) return [];
+  return [buildFileActionRow(files[0].id, {}, locale)];
+}
+
+async function buildFolderPicker(account, fileId, locale) {
+  const folders = await ziplineFetchFolders(account);
+  if (!folders.length) return null;
+
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`zip_file_move:${fileId}`)
+      .setPlaceholder(t(locale, 'file.selectFolder'))
+      .addOptions(folders.slice(0, 25).map(f => ({
+        label: String(f.name).slice(0, 100),
+        value: String(f.id),
+      }))),
+  );
+}
+
+
+// --- batch upload helpers ---
+const MAX_BATCH_FILES = 10;
+
+function filenameFromUrl(fileUrl) {
+  try {
+    const parsed = new URL(fileUrl);
+    const base = path.basename(parsed.pathname) || '';
+    return decodeURIComponent(base) || `file_${Date.now()}`;
+  } catch {
+    return `file_${Date.now()}`;
+  }
+}
+
+// uploads each item separately so one bad file doesn't fail the whole batch;
+// asGuest: account is a shared one (mirror fallback), so the guest limits apply
+async function uploadBatch({ userId, account, items, overrides = {}, onProgress, details = {}, signal, locale, asGuest = false }) {
+  const results = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (signal && signal.aborted) {
+      results.push({ name: item.name, ok: false, cancelled: true, error: t(locale, 'upload.cancelled') });
+      continue;
+    }
+    const progress = onProgress
+      ? (uploaded, total) => onProgress(i, items.length, item.name, uploaded, total)
+      : undefined;
+
+    try {
+      let resp;
+      if (!account) resp = await ziplineAnonUploadFromUrl(item.url, item.name, progress, userId, signal);
+      else if (asGuest) resp = await ziplineFallbackUploadFromUrl(account, item.url, item.name, progress, userId, overrides, signal);
+      else resp = await ziplineUploadFromUrl(account, item.url, item.name, userId, progress, overrides, signal);
+      const baseUrl = account ? account.baseUrl : ANON_ZIPLINE_BASE_URL;
+      const urls = (resp.files || []).map(f => f.url || `${baseUrl}/u/${f.id}`);
+      results.push({ name: item.name, ok: true, urls, resp });
+    } catch (e) {
+      if (signal && signal.aborted) {
+        results.push({ name: item.name, ok: false, cancelled: true, error: t(locale, 'upload.cancelled') });
+        continue;
+      }
+      if (!e.guestLimit) logError(e, 'zipline.uploadBatch', details);
+      results.push({
+        name: item.name,
+        ok: false,
+        error: uploadErrorMessage(e, locale),
+        resumeId: e && e.resumeId ? e.resumeId : null,
+      });
+    }
+  }
+  return results;
+}
+
+function buildUploadResultEmbed(results, guest = false, locale) {
+  const okCount = results.filter(r => r.ok).length;
+
+  let outcome = 'Success';
+  let color = 0x00ff00;
+  if (results.every(r => r.cancelled)) {
+    outcome = 'Cancelled';
+    color = 0x808080;
+  } else if (okCount === 0) {
+    outcome = 'Failed';
+    color = 0xff0000;
+  } else if (okCount < results.length) {
+    outcome = 'Partial';
+    color = 0xffaa00;
+  }
+  const title = t(locale, guest ? `upload.title.guest${outcome}` : `upload.title.${outcome.toLowerCase()}`);
+
+  let description;
+  if (results.length === 1 && results[0].ok) {
+    description = `**[${t(locale, 'file.viewLink')}](${results[0].urls.join('\n')})**`;
+  } else {
+    description = results.map(r => (r.ok
+      ? `✅ [${trimUrl(r.name, 60)}](${r.urls[0]})`
+      : `❌ ${trimUrl(r.name, 60)} — ${trimUrl(r.error, 150)}`)).join('\n');
+  }
+  if (description.length > 4000) description = description.slice(0, 3990) + '\n…';
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(description)
+    .setColor(color);
+
+  if (results.length > 1) embed.setFooter({ text: t(locale, 'upload.footer', { ok: okCount, total: results.length }) });
+
+  if (guest) {
+    embed.addFields({
+      name: t(locale, 'upload.expiry'),
+      value: ANON_UPLOAD_EXPIRY
+        ? t(locale, 'upload.expiryValue', { expiry: ANON_UPLOAD_EXPIRY })
+        : t(locale, 'upload.noExpiry'),
+      inline: false,
+    });
+  }
+  return embed;
+}
+
+function uploadResultComponents(results, guest = false, locale) {
+  const rows = [];
+  if (!guest && results.length === 1 && results[0].ok) rows.push(...uploadActionRows(results[0].resp, locale));
+
+  const resumable = results.filter(r => !r.ok && r.resumeId).slice(0, 5);
+  if (resumable.length) {
+    rows.push(new ActionRowBuilder().addComponents(resumable.map(r =>
+      new ButtonBuilder()
+        .setCustomId(`zip_resume:${r.resumeId}`)
+        .setLabel(t(locale, 'upload.resume', { name: trimUrl(r.name, 60) }))
+        .setEmoji('🔁')
+        .setStyle(ButtonStyle.Primary))));
+  }
+  return rows;
+}
+
+// returns an onProgress(index, count, name, uploaded, total) that edits the reply at most every 3s
+function createProgressReporter(interaction, components) {
+  const locale = localeFor(interaction);
+  let lastUpdate = 0;
+
+  return async (index, count, name, uploaded, total) => {
+    const now = Date.now();
+    if (now - lastUpdate < 3000 && uploaded < total) return; // limit updates to every 3s
+    lastUpdate = now;
+
+    const percentage = Math.floor((uploaded / total) * 100);
+    const filled = Math.floor(percentage / 10);
+    const bar = '█'.repeat(filled) + '░'.repeat(10 - filled);
+    const label = count > 1 ? ` (${index + 1}/${count}) ${trimUrl(name, 40)}` : '';
+
+    try {
+      await interaction.editReply({
+        content: `${t(locale, 'upload.progress')}${label} [${bar}] ${percentage}%`,
+        ...(components ? { components } : {}),
+      });
+    } catch (e) {
+      // ignore edit errors (e.g. unknown interaction if too slow)
+    }
+  };
+}
+
+
+// --- instance helpers ---
+function buildInstancesView(userId, locale) {
+  const instances = listUserInstances(userId);
+  const active = t(locale, 'instances.active');
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'instances.title'))
+    .setDescription(instances.length
+      ? instances.map(i => `${i.active ? '✅' : '▫️'} ${i.baseUrl}${i.active ? ` **${active}**` : ''}`).join('\n')
+      : t(locale, 'instances.empty'))
+    .setColor(0x00b0ff);
+
+  const components = [];
+  if (instances.length > 1) {
+    embed.setFooter({ text: t(locale, 'instances.footer') });
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('zip_instance_switch')
+        .setPlaceholder(t(locale, 'instances.placeholder'))
+        .addOptions(instances.slice(0, 25).map(i => ({
+          label: trimUrl(i.baseUrl, 100),
+          value: i.baseUrl,
+          default: i.active,
+        }))),
+    ));
+  }
+  return { embeds: [embed], components };
+}
+
+
+// --- guild settings helpers ---
+function isGuildManager(interaction) {
+  return Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild));
+}
+
+// interaction.member is a GuildMember, or raw API data when the bot isn't in the guild
+function memberHasAnyRole(member, roleIds) {
+  if (!member || !member.roles) return false;
+  const roles = Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+  return roleIds.some(id => roles.includes(id));
+}
+
+// returns a message when the guild's settings forbid the action ('upload' or 'delete'), otherwise null
+function guildRestriction(interaction, action, { guest = false } = {}) {
+  if (!interaction.guildId) return null;
+  const guildSettings = getGuildSettings(interaction.guildId);
+  const locale = localeFor(interaction);
+
+  if (guildSettings.allowedRoles.length && !isGuildManager(interaction) &&
+    !memberHasAnyRole(interaction.member, guildSettings.allowedRoles)) {
+    const roles = guildSettings.allowedRoles.map(id => `<@&${id}>`).join(', ');
+    return t(locale, `restriction.roles.${action}`, { roles });
+  }
+  if (guest && !guildSettings.guestUploads) {
+    return t(locale, 'restriction.guestUploads');
+  }
+  return null;
+}
+
+// guild defaults win over the user's own defaults
+function guildUploadOverrides(guildId) {
+  if (!guildId) return {};
+  const guildSettings = getGuildSettings(guildId);
+  const overrides = {};
+  if (guildSettings.defaultExpiry) overrides.expiry = guildSettings.defaultExpiry;
+  if (guildSettings.defaultCompression) overrides.compression = guildSettings.defaultCompression;
+  return overrides;
+}
+
+// posts the successful part of an upload to the channel, in the server's language
+async function postPublicResults(interaction, results, guest) {
+  const ok = results.filter(r => r.ok);
+  if (!ok.length) return;
+  const locale = interaction.guildLocale || interaction.locale;
+  await interaction.followUp({
+    content: t(locale, 'upload.publicBy', { user: `<@${interaction.user.id}>` }),
+    embeds: [buildUploadResultEmbed(ok, guest, locale)],
+    allowedMentions: { parse: [] },
+  });
+}
+
+
+// --- upload queue helpers ---
+function cancelUploadRow(jobId, locale) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`zip_upload_cancel:${jobId}`)
+      .setLabel(t(locale, 'common.cancel'))
+      .setEmoji('🛑')
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
+// runs work(signal, onProgress) through the upload queue on a deferred reply;
+// the reply shows the queue position and a Cancel button until the work is done.
+// Returns null when the job was cancelled before it started.
+async function runQueuedUpload(interaction, label, work) {
+  const locale = localeFor(interaction);
+  const job = uploadQueue.enqueue({
+    userId: interaction.user.id,
+    label,
+    onPosition: (position, queuedJob) => {
+      interaction.editReply({
+        content: t(locale, 'queue.waiting', { position }),
+        components: [cancelUploadRow(queuedJob.id, locale)],
+      }).catch(() => {});
+    },
+    run: async runningJob => {
+      const components = [cancelUploadRow(runningJob.id, locale)];
+      await interaction.editReply({ content: t(locale, 'upload.progress'), components }).catch(() => {});
+      return work(runningJob.signal, createProgressReporter(interaction, components));
+    },
+  });
+
+  try {
+    return await job.promise;
+  } catch (e) {
+    if (!e || !e.cancelled) throw e;
+    await interaction.editReply({ content: t(locale, 'queue.cancelledBeforeStart'), embeds: [], components: [] });
+    return null;
+  }
+}
+
+function queueLabel(items, locale) {
+  return items.length === 1 ? items[0].name : t(locale, 'upload.multipleFiles', { count: items.length });
+}
+
+
+// --- paste helpers ---
+const PASTE_LANGUAGE_EXTENSIONS = {
+  text: 'txt',
+  plaintext: 'txt',
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  ruby: 'rb',
+  rust: 'rs',
+  golang: 'go',
+  csharp: 'cs',
+  'c#': 'cs',
+  'c++': 'cpp',
+  kotlin: 'kt',
+  markdown: 'md',
+  shell: 'sh',
+  bash: 'sh',
+  powershell: 'ps1',
+  yaml: 'yml',
+};
+
+// "python" -> "py", ".js" -> "js", unknown values are used as-is
+function pasteExtension(language) {
+  const lang = (language || '').trim().toLowerCase().replace(/^\./, '');
+  if (!lang) return 'txt';
+  return PASTE_LANGUAGE_EXTENSIONS[lang] || lang.replace(/[^a-z0-9]/g, '') || 'txt';
+}
+
+function pasteFilename(filename, language) {
+  const ext = pasteExtension(language);
+  const name = (filename || '').trim().replace(/[\\/]/g, '_');
+  if (!name) return `paste_${Date.now()}.${ext}`;
+  if (path.extname(name) && !language) return name;
+  return path.extname(name).slice(1).toLowerCase() === ext ? name : `${name}.${ext}`;
+}
+
+function buildPasteModal(locale) {
+  return new ModalBuilder()
+    .setCustomId('zip_paste')
+    .setTitle(t(locale, 'paste.title'))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('paste_content')
+          .setLabel(t(locale, 'paste.content'))
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(4000),
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('paste_filename')
+          .setLabel(t(locale, 'paste.filename'))
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(100),
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('paste_language')
+          .setLabel(t(locale, 'paste.language'))
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false)
+          .setMaxLength(20),
+      ),
+    );
+}
+
+
+// --- lazy upload listing ---
+const LIST_SORTS = {
+  newest: { sortBy: 'createdAt', order: 'desc' },
+  oldest: { sortBy: 'createdAt', order: 'asc' },
+  largest: { sortBy: 'size', order: 'desc' },
+  smallest: { sortBy: 'size', order: 'asc' },
+  name: { sortBy: 'originalName', order: 'asc' },
+  views: { sortBy: 'views', order: 'desc' },
+};
+
+// API pages a single ensure() may fetch; only reached when filtering locally finds few matches
+const LIST_SCAN_PAGES = 10;
+
+// fetches API pages only when the viewer needs them; filters the API can't do run per page
+function createUploadCursor(account, { search, type, favorites, after, before, sort = 'newest' } = {}) {
+  const perpage = 50;
+  const { sortBy, order } = LIST_SORTS[sort] || LIST_SORTS.newest;
+
+  // the API supports a single search field, so name search wins and type is checked locally
+  const query = { sortBy, order, favorite: Boolean(favorites) };
+  let localType = null;
+  if (search) {
+    query.searchField = 'name';
+    query.searchQuery = search;
+    localType = type || null;
+  } else if (type) {
+    query.searchField = 'type';
+    query.searchQuery = type;
+  }
+
+  const filtersLocally = Boolean(localType || after || before);
+  const items = [];
+  let apiPage = 0;
+  let exhausted = false;
+  let total = null;
+  let scanned = 0;     // files fetched from the API so far
+  let limited = false; // the last ensure() stopped at LIST_SCAN_PAGES before finding enough
+
+  function matches(f) {
+    if (localType && !(f.type || '').toLowerCase().includes(localType.toLowerCase())) return false;
+    const created = f.createdAt ? new Date(f.createdAt) : null;
+    if (after && (!created || created < after)) return false;
+    if (before && (!created || created > before)) return false;
+    return true;
+  }
+
+  async function fetchNext() {
+    apiPage++;
+    const resp = await ziplineFetchUserUploads(account, apiPage, perpage, query);
+    const pageItems = resp.page || [];
+    scanned += pageItems.length;
+    if (!filtersLocally && typeof resp.total === 'number') total = resp.total;
+
+    for (const f of pageItems) {
+      if (matches(f)) items.push(f);
+    }
+
+    // sorted by date we can stop as soon as we're past the requested range
+    const last = pageItems[pageItems.length - 1];
+    const lastCreated = last && last.createdAt ? new Date(last.createdAt) : null;
+    const pastRange = sortBy === 'createdAt' && lastCreated && (
+      (order === 'desc' && after && lastCreated < after) ||
+      (order === 'asc' && before && lastCreated > before)
+    );
+
+    if (!pageItems.length || pastRange || (resp.pages && apiPage >= resp.pages)) {
+      exhausted = true;
+      total = items.length;
+    }
+  }
+
+  return {
+    items,
+    baseUrl: account.baseUrl,
+    // loads until at least `count` matching items are there, everything is loaded
+    // or LIST_SCAN_PAGES pages were fetched (then `limited` is set and the next call continues)
+    async ensure(count) {
+      limited = false;
+      for (let fetched = 0; items.length < count && !exhausted; fetched++) {
+        if (fetched >= LIST_SCAN_PAGES) {
+          limited = true;
+          break;
+        }
+        await fetchNext();
+      }
+    },
+    get exhausted() { return exhausted; },
+    get total() { return total; },
+    get scanned() { return scanned; },
+    get limited() { return limited; },
+  };
 }
 
 
 // --- pagination helper ---
-async function paginateUploads(interaction, uploads) {
+async function paginateUploads(interaction, cursor) {
+  const locale = localeFor(interaction);
   const pageSize = 5;
   let page = 0;
-  const totalPages = Math.ceil(uploads.length / pageSize);
-
-  function formatFileSize(bytes) {
-    if (!bytes || bytes === 0) return 'unknown';
-    const kb = 1024;
-    const mb = kb * 1024;
-    if (bytes < mb) return `${(bytes / kb).toFixed(1)} KB`;
-    return `${(bytes / mb).toFixed(2)} MB`;
-  }
+  const uploads = cursor.items;
+  const totalPages = () => (cursor.total !== null ? Math.max(1, Math.ceil(cursor.total / pageSize)) : null);
+  const hasNextPage = () => uploads.length > (page + 1) * pageSize || !cursor.exhausted;
 
   function trimString(str, maxLength = 15) {
     if (!str) return '';
@@ -573,64 +1833,96 @@ async function paginateUploads(interaction, uploads) {
   }
 
   function createEmbed() {
+    const pageText = totalPages()
+      ? t(locale, 'common.page', { page: page + 1, pages: totalPages() })
+      : t(locale, 'common.pageOpen', { page: page + 1 });
     const embed = new EmbedBuilder()
-      .setTitle('Your Uploads')
-      .setFooter({ text: `Page ${page + 1} of ${totalPages}` });
+      .setTitle(t(locale, 'list.title'))
+      .setFooter({ text: cursor.limited ? `${pageText} · ${t(locale, 'list.moreMayExist')}` : pageText });
 
     const slice = uploads.slice(page * pageSize, (page + 1) * pageSize);
     const descriptionLines = slice.map(f => {
-      const name = trimString(f.originalName || f.name || 'Unnamed', 15);
-      const url = f.url && f.url.startsWith('http')
-        ? f.url
-        : `${ZIPLINE_BASE_URL}${f.url || `/u/${f.id}`}`;
+      const name = trimString(f.originalName || f.name || t(locale, 'common.unnamed'), 15);
+      const url = fileViewUrl(f, cursor.baseUrl);
       const sizeStr = formatFileSize(f.size);
       const createdTimestamp = f.createdAt
         ? Math.floor(new Date(f.createdAt).getTime() / 1000)
         : null;
       const createdDiscordTime = createdTimestamp
         ? `<t:${createdTimestamp}:R>`
-        : 'unknown';
-      return `• [${name}](${url}) — ${sizeStr} — Created: ${createdDiscordTime}`;
+        : t(locale, 'list.createdUnknown');
+      return `• [${name}](${url}) — ${sizeStr} — ${t(locale, 'list.created', { time: createdDiscordTime })}`;
     });
 
     embed.setDescription(descriptionLines.join('\n'));
     return embed;
   }
 
+  const buildManageRow = () =>
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('zip_list_manage')
+        .setPlaceholder(t(locale, 'list.managePlaceholder'))
+        .addOptions(uploads.slice(page * pageSize, (page + 1) * pageSize).map(f => ({
+          label: trimString(f.originalName || f.name || t(locale, 'common.unnamed'), 100),
+          value: String(f.id),
+        }))),
+    );
+
   const buildRow = () =>
     new ActionRowBuilder().addComponents(
       new ButtonBuilder()
         .setCustomId('zip_prev')
-        .setLabel('⬅️ Back')
+        .setLabel(t(locale, 'common.back'))
         .setStyle(ButtonStyle.Primary)
         .setDisabled(page === 0),
       new ButtonBuilder()
         .setCustomId('zip_next')
-        .setLabel('➡️ Next')
+        .setLabel(t(locale, 'common.next'))
         .setStyle(ButtonStyle.Primary)
-        .setDisabled(page + 1 === totalPages),
+        .setDisabled(!hasNextPage()),
     );
 
-  const message = await interaction.reply({
+  // one page of lookahead so the Next button knows whether there is more
+  await cursor.ensure((page + 2) * pageSize);
+  const message = await interaction.editReply({
     embeds: [createEmbed()],
-    components: [buildRow()],
-    flags: MessageFlags.Ephemeral,
-    fetchReply: true,
+    components: [buildRow(), buildManageRow()],
   });
 
   const collector = message.createMessageComponentCollector({ time: 60000 });
 
   collector.on('collect', async i => {
     if (i.user.id !== interaction.user.id) {
-      await i.reply({ content: 'Only you can navigate pages!', flags: MessageFlags.Ephemeral });
+      await i.reply({ content: t(localeFor(i), 'common.onlyYouCanNavigate'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (i.customId === 'zip_list_manage') {
+      await i.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        const account = getUserAccount(i.user.id);
+        await i.editReply(await buildFileView(account, i.values[0], locale));
+      } catch (e) {
+        logError(e, 'zipline.paginateUploads.manage', interactionDetails(i));
+        await i.editReply({ content: t(locale, 'file.loadFailed') }).catch(() => { });
+      }
       return;
     }
     if (i.customId === 'zip_prev' && page > 0) page--;
-    if (i.customId === 'zip_next' && page < totalPages - 1) page++;
+    if (i.customId === 'zip_next' && hasNextPage()) page++;
 
-    await i.update({
+    await i.deferUpdate();
+    try {
+      await cursor.ensure((page + 2) * pageSize);
+    } catch (e) {
+      logError(e, 'zipline.paginateUploads.fetch', interactionDetails(i));
+    }
+    // the lookahead may have come back empty
+    while (page > 0 && uploads.length <= page * pageSize) page--;
+
+    await i.editReply({
       embeds: [createEmbed()],
-      components: [buildRow()],
+      components: [buildRow(), buildManageRow()],
     });
   });
 
@@ -640,28 +1932,308 @@ async function paginateUploads(interaction, uploads) {
 }
 
 
+async function paginateUrls(interaction, urls, baseUrl = ZIPLINE_BASE_URL) {
+  const locale = localeFor(interaction);
+  const pageSize = 10;
+  let page = 0;
+  const totalPages = Math.ceil(urls.length / pageSize);
+
+  function createEmbed() {
+    const slice = urls.slice(page * pageSize, (page + 1) * pageSize);
+    const lines = slice.map(u => {
+      const views = u.maxViews ? `${u.views ?? 0}/${u.maxViews}` : `${u.views ?? 0}`;
+      return `• ${shortUrlFor(u, baseUrl)} → ${trimUrl(u.destination)} — 👁️ ${views}`;
+    });
+    return new EmbedBuilder()
+      .setTitle(t(locale, 'urls.title'))
+      .setDescription(lines.join('\n'))
+      .setFooter({ text: t(locale, 'common.page', { page: page + 1, pages: totalPages }) });
+  }
+
+  const buildRow = () =>
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('zip_urls_prev')
+        .setLabel(t(locale, 'common.back'))
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId('zip_urls_next')
+        .setLabel(t(locale, 'common.next'))
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(page + 1 === totalPages),
+    );
+
+  const buildDeleteRow = () =>
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('zip_urls_delete')
+        .setPlaceholder(t(locale, 'urls.deletePlaceholder'))
+        .addOptions(urls.slice(page * pageSize, (page + 1) * pageSize).map(u => ({
+          label: trimUrl(shortUrlFor(u, baseUrl), 100),
+          description: trimUrl(u.destination, 100),
+          value: String(u.id),
+        }))),
+    );
+
+  const message = await interaction.editReply({
+    embeds: [createEmbed()],
+    components: [buildRow(), buildDeleteRow()],
+  });
+
+  const collector = message.createMessageComponentCollector({ time: 60000 });
+
+  collector.on('collect', async i => {
+    if (i.user.id !== interaction.user.id) {
+      await i.reply({ content: t(localeFor(i), 'common.onlyYouCanNavigate'), flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (i.customId === 'zip_urls_delete') {
+      const target = urls.find(u => String(u.id) === i.values[0]);
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`zip_url_delete_confirm:${i.values[0]}`)
+          .setLabel(t(locale, 'common.delete'))
+          .setEmoji('🗑️')
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId('zip_delete_cancel')
+          .setLabel(t(locale, 'common.cancel'))
+          .setStyle(ButtonStyle.Secondary),
+      );
+      await i.reply({
+        content: t(locale, 'urls.deleteConfirm', { url: target ? shortUrlFor(target, baseUrl) : i.values[0] }),
+        components: [row],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    if (i.customId === 'zip_urls_prev' && page > 0) page--;
+    if (i.customId === 'zip_urls_next' && page < totalPages - 1) page++;
+
+    await i.update({
+      embeds: [createEmbed()],
+      components: [buildRow(), buildDeleteRow()],
+    });
+  });
+
+  collector.on('end', () => {
+    message.edit({ components: [] }).catch(() => { });
+  });
+}
+
 // --- slash command data ---
 export const data = new SlashCommandBuilder()
   .setName('zipline')
   .setDescription('Zipline commands')
+  .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel)
   .addSubcommand(sub =>
     sub.setName('settoken')
       .setDescription('Set your Zipline API token')
       .addStringOption(opt =>
         opt.setName('token').setDescription('Your token').setRequired(true),
+      )
+      .addStringOption(opt =>
+        opt.setName('instance').setDescription('URL of your Zipline instance (defaults to the bot\'s instance)'),
       ),
   )
+  .addSubcommand(sub => sub.setName('instances').setDescription('List your linked Zipline instances and switch between them'))
   .addSubcommand(sub => sub.setName('me').setDescription('Show your account info'))
-  .addSubcommand(sub => sub.setName('list').setDescription('List your uploads'))
   .addSubcommand(sub =>
+    sub.setName('list')
+      .setDescription('List your uploads')
+      .addStringOption(opt =>
+        opt.setName('search').setDescription('Search file names').setMaxLength(100),
+      )
+      .addStringOption(opt =>
+        opt.setName('type').setDescription('MIME type, e.g. image/png or video').setMaxLength(100),
+      )
+      .addBooleanOption(opt =>
+        opt.setName('favorites').setDescription('Only show favorites'),
+      )
+      .addStringOption(opt =>
+        opt.setName('after').setDescription('Only files uploaded after this date (YYYY-MM-DD)'),
+      )
+      .addStringOption(opt =>
+        opt.setName('before').setDescription('Only files uploaded before this date (YYYY-MM-DD)'),
+      )
+      .addStringOption(opt =>
+        opt.setName('sort').setDescription('Sort order').addChoices(
+          { name: 'Newest first', value: 'newest' },
+          { name: 'Oldest first', value: 'oldest' },
+          { name: 'Largest first', value: 'largest' },
+          { name: 'Smallest first', value: 'smallest' },
+          { name: 'Name (A-Z)', value: 'name' },
+          { name: 'Most viewed', value: 'views' },
+        ),
+      ),
+  )
+  .addSubcommand(sub => {
     sub.setName('upload')
-      .setDescription('Upload a file')
+      .setDescription('Upload one or more files')
       .addAttachmentOption(opt =>
         opt.setName('file').setDescription('File to upload').setRequired(true),
+      )
+      .addStringOption(opt =>
+        opt.setName('folder').setDescription('Folder to upload into (defaults to your settings)').setAutocomplete(true),
+      )
+      .addBooleanOption(opt =>
+        opt.setName('public').setDescription('Also post the result in this channel'),
+      )
+      .addStringOption(opt =>
+        opt.setName('expiry').setDescription('Expiry for this upload, e.g. 7d (overrides your settings)').setMaxLength(45),
+      )
+      .addStringOption(opt =>
+        opt.setName('compression').setDescription('Image compression 0-100 for this upload (overrides your settings)').setMaxLength(45),
+      )
+      .addStringOption(opt =>
+        opt.setName('password').setDescription('Password needed to view the file').setMaxLength(100),
+      )
+      .addIntegerOption(opt =>
+        opt.setName('max_views').setDescription('Delete the file after this many views').setMinValue(1),
+      )
+      .addStringOption(opt =>
+        opt.setName('name_format')
+          .setDescription('How Zipline names the file')
+          .addChoices(
+            { name: 'random', value: 'random' },
+            { name: 'date', value: 'date' },
+            { name: 'uuid', value: 'uuid' },
+            { name: 'original', value: 'name' },
+            { name: 'gfycat', value: 'gfycat' },
+          ),
+      )
+      .addStringOption(opt =>
+        opt.setName('domain').setDescription('Domain to use for the returned link, e.g. i.example.com').setMaxLength(253),
+      );
+    for (let i = 2; i <= MAX_BATCH_FILES; i++) {
+      sub.addAttachmentOption(opt =>
+        opt.setName(`file${i}`).setDescription(`Additional file #${i}`),
+      );
+    }
+    return sub;
+  })
+  .addSubcommand(sub => sub.setName('paste').setDescription('Upload text or code as a file'))
+  .addSubcommand(sub => sub.setName('queue').setDescription('Show your running and queued uploads'))
+  .addSubcommand(sub =>
+    sub.setName('delete')
+      .setDescription('Delete one of your uploads')
+      .addStringOption(opt =>
+        opt.setName('file').setDescription('File to delete').setRequired(true).setAutocomplete(true),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group.setName('file')
+      .setDescription('Manage one of your uploads')
+      .addSubcommand(sub =>
+        sub.setName('info')
+          .setDescription('Show a file and its management buttons')
+          .addStringOption(opt =>
+            opt.setName('file').setDescription('File').setRequired(true).setAutocomplete(true),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('favorite')
+          .setDescription('Toggle favorite on a file')
+          .addStringOption(opt =>
+            opt.setName('file').setDescription('File').setRequired(true).setAutocomplete(true),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('password')
+          .setDescription('Set or remove a file password')
+          .addStringOption(opt =>
+            opt.setName('file').setDescription('File').setRequired(true).setAutocomplete(true),
+          )
+          .addStringOption(opt =>
+            opt.setName('password').setDescription('New password (omit to remove)').setMaxLength(100),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('maxviews')
+          .setDescription('Set or remove the max views of a file')
+          .addStringOption(opt =>
+            opt.setName('file').setDescription('File').setRequired(true).setAutocomplete(true),
+          )
+          .addIntegerOption(opt =>
+            opt.setName('views').setDescription('Max views (0 to remove)').setRequired(true).setMinValue(0),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('rename')
+          .setDescription('Change the original name of a file')
+          .addStringOption(opt =>
+            opt.setName('file').setDescription('File').setRequired(true).setAutocomplete(true),
+          )
+          .addStringOption(opt =>
+            opt.setName('name').setDescription('New name').setRequired(true).setMaxLength(255),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('move')
+          .setDescription('Move a file to a folder')
+          .addStringOption(opt =>
+            opt.setName('file').setDescription('File').setRequired(true).setAutocomplete(true),
+          )
+          .addStringOption(opt =>
+            opt.setName('folder').setDescription('Target folder').setRequired(true).setAutocomplete(true),
+          ),
+      ),
+  )
+  .addSubcommandGroup(group =>
+    group.setName('folder')
+      .setDescription('Manage your folders')
+      .addSubcommand(sub =>
+        sub.setName('create')
+          .setDescription('Create a folder')
+          .addStringOption(opt =>
+            opt.setName('name').setDescription('Folder name').setRequired(true).setMaxLength(100),
+          )
+          .addBooleanOption(opt =>
+            opt.setName('public').setDescription('Make the folder publicly viewable'),
+          ),
+      )
+      .addSubcommand(sub => sub.setName('list').setDescription('List your folders'))
+      .addSubcommand(sub =>
+        sub.setName('view')
+          .setDescription('Show the files in a folder')
+          .addStringOption(opt =>
+            opt.setName('folder').setDescription('Folder').setRequired(true).setAutocomplete(true),
+          ),
+      )
+      .addSubcommand(sub =>
+        sub.setName('delete')
+          .setDescription('Delete a folder')
+          .addStringOption(opt =>
+            opt.setName('folder').setDescription('Folder').setRequired(true).setAutocomplete(true),
+          ),
+      ),
+  )
+  .addSubcommand(sub =>
+    sub.setName('shorten')
+      .setDescription('Shorten a URL')
+      .addStringOption(opt =>
+        opt.setName('url').setDescription('URL to shorten').setRequired(true),
+      )
+      .addStringOption(opt =>
+        opt.setName('vanity').setDescription('Custom code for the short link').setMaxLength(100),
+      )
+      .addIntegerOption(opt =>
+        opt.setName('maxviews').setDescription('Disable the link after this many views').setMinValue(1),
+      )
+      .addStringOption(opt =>
+        opt.setName('password').setDescription('Password to protect the link').setMaxLength(100),
       ),
   )
+  .addSubcommand(sub => sub.setName('urls').setDescription('List and delete your short links'))
   .addSubcommand(sub => sub.setName('settings').setDescription('Manage your default upload settings'))
-  .addSubcommand(sub => sub.setName('logout').setDescription('Delete token (logout)'))
+  .addSubcommand(sub =>
+    sub.setName('logout')
+      .setDescription('Delete token (logout)')
+      .addStringOption(opt =>
+        opt.setName('instance').setDescription('Instance to log out of (defaults to the active one)').setAutocomplete(true),
+      ),
+  )
   .addSubcommand(sub => sub.setName('invite').setDescription('Show bot invite link'))
   .addSubcommand(sub => sub.setName('about').setDescription('Info about the bot and its commands'))
   .addSubcommand(sub => sub.setName('stats').setDescription('Show host/server resource usage, Zipline stats, and your storage usage'))
@@ -672,38 +2244,58 @@ export const data = new SlashCommandBuilder()
 // --- main execute(interaction) ---
 export async function execute(interaction) {
   const userId = interaction.user.id;
+  const locale = localeFor(interaction);
+  const group = interaction.options.getSubcommandGroup(false);
   const sub = interaction.options.getSubcommand(true);
 
   try {
     if (sub === 'settoken') {
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
       const token = interaction.options.getString('token', true);
-      const validation = await validateZiplineToken(token);
+      const instance = interaction.options.getString('instance');
+      const baseUrl = instance ? normalizeInstanceUrl(instance) : DEFAULT_INSTANCE_URL;
+      if (!baseUrl) {
+        await interaction.editReply({ content: t(locale, 'settoken.invalidInstance') });
+        return;
+      }
+      if (!(await instanceGuard.isAllowed(baseUrl))) {
+        await interaction.editReply({ content: t(locale, 'settoken.privateInstance') });
+        return;
+      }
+      const validation = await validateZiplineToken(token, baseUrl);
 
       if (validation.valid) {
-        setUserToken(userId, token);
+        setUserToken(userId, token, baseUrl);
         const botUserId = ensureAssignBotUserId(userId);
         const embed = new EmbedBuilder()
-          .setTitle('✅ Token Valid & Saved!')
-          .setDescription(
-            `**User:** ${validation.user}\n` +
-            `**Role:** ${validation.role}\n` +
-            `**Storage:** ${validation.quota.used}/${validation.quota.max}`,
-          )
+          .setTitle(t(locale, 'settoken.saved.title'))
+          .setDescription(t(locale, 'settoken.saved.description', {
+            user: validation.user,
+            role: validation.role,
+            used: validation.quota.used,
+            max: validation.quota.max,
+          }))
           .addFields(
-            { name: '🔗 Zipline', value: `[Open Dashboard](${ZIPLINE_BASE_URL})`, inline: true },
-            { name: '🆔 Bot User ID', value: String(botUserId), inline: true },
+            { name: '🔗 Zipline', value: `[${t(locale, 'settoken.saved.openDashboard')}](${baseUrl})`, inline: true },
+            { name: t(locale, 'common.botUserId'), value: String(botUserId), inline: true },
           )
           .setColor(0x00ff00)
           .setThumbnail(interaction.user.displayAvatarURL({ extension: 'png', size: 1024 }));
+        if (listUserInstances(userId).length > 1) {
+          embed.setFooter({ text: t(locale, 'settoken.saved.activeFooter') });
+        }
         await interaction.editReply({ embeds: [embed] });
       } else {
         const embed = new EmbedBuilder()
-          .setTitle('❌ Invalid Token')
-          .setDescription(`**Error:** ${validation.error}`)
+          .setTitle(t(locale, 'settoken.invalid.title'))
+          .setDescription(t(locale, 'settoken.invalid.error', {
+            error: validation.status
+              ? t(locale, 'settoken.invalid.unauthorized', { status: validation.status })
+              : t(locale, 'settoken.invalid.network'),
+          }))
           .addFields(
-            { name: '💡 Tip', value: `Get your token from ${ZIPLINE_BASE_URL}/dashboard`, inline: false },
-            { name: '🔗', value: `[Zipline Dashboard](${ZIPLINE_BASE_URL})`, inline: true },
+            { name: t(locale, 'settoken.invalid.tip'), value: t(locale, 'settoken.invalid.tipValue', { url: baseUrl }), inline: false },
+            { name: '🔗', value: `[${t(locale, 'settoken.invalid.dashboard')}](${baseUrl})`, inline: true },
           )
           .setColor(0xff0000)
           .setThumbnail(interaction.user.displayAvatarURL({ extension: 'png', size: 1024 }));
@@ -713,14 +2305,33 @@ export async function execute(interaction) {
     }
 
     if (sub === 'logout') {
-      deleteUserToken(userId);
-      await interaction.reply({ content: '🚪 You have been logged out.', flags: MessageFlags.Ephemeral });
+      const instance = interaction.options.getString('instance');
+      const baseUrl = instance ? normalizeInstanceUrl(instance) : null;
+      if (instance && !listUserInstances(userId).some(i => i.baseUrl === baseUrl)) {
+        await interaction.reply({ content: t(locale, 'logout.unknownInstance'), flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const loggedOutOf = baseUrl || getUserAccount(userId)?.baseUrl;
+      const remaining = deleteUserToken(userId, baseUrl);
+      const active = getUserAccount(userId);
+      await interaction.reply({
+        content: remaining > 0
+          ? t(locale, 'logout.switched', { instance: loggedOutOf, active: active ? active.baseUrl : t(locale, 'common.none') })
+          : t(locale, 'logout.done'),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === 'instances') {
+      await interaction.reply({ ...buildInstancesView(userId, locale), flags: MessageFlags.Ephemeral });
       return;
     }
 
     if (sub === 'invite') {
       const inviteLink = `https://discord.com/oauth2/authorize?client_id=${interaction.client.user.id}`;
-      await interaction.reply({ content: `🤖 Invite me using this link:\n${inviteLink}`, flags: MessageFlags.Ephemeral });
+      await interaction.reply({ content: t(locale, 'invite.message', { link: inviteLink }), flags: MessageFlags.Ephemeral });
       return;
     }
 
@@ -732,25 +2343,33 @@ export async function execute(interaction) {
         botVersion = packageJson.version || 'unknown';
       } catch { /* ignore */ }
 
-      const commandId = '1441450591409668117';
+      // desc is a message id; most reuse the slash command descriptions
       const subcommands = [
-        { key: 'settoken', label: '🔐', desc: 'Set your Zipline API token' },
-        { key: 'logout', label: '🚪', desc: 'Delete token (logout)' },
-        { key: 'me', label: '👤', desc: 'Show your account info' },
-        { key: 'list', label: '📂', desc: 'List your uploads' },
-        { key: 'upload', label: '📤', desc: 'Upload a file' },
-        { key: 'settings', label: '⚙️', desc: 'Manage your default upload settings' },
-        { key: 'invite', label: '🤖', desc: 'Show bot invite link' },
-        { key: 'about', label: 'ℹ️', desc: 'Info about the bot and its commands' },
-        { key: 'stats', label: '📊', desc: 'Show host/server resource usage, Zipline stats, and your storage usage' },
+        { key: 'settoken', label: '🔐', desc: 'command.zipline.settoken.description' },
+        { key: 'logout', label: '🚪', desc: 'command.zipline.logout.description' },
+        { key: 'instances', label: '🌐', desc: 'command.zipline.instances.description' },
+        { key: 'me', label: '👤', desc: 'command.zipline.me.description' },
+        { key: 'list', label: '📂', desc: 'command.zipline.list.description' },
+        { key: 'upload', label: '📤', desc: 'about.upload' },
+        { key: 'paste', label: '📝', desc: 'command.zipline.paste.description' },
+        { key: 'queue', label: '🕒', desc: 'command.zipline.queue.description' },
+        { key: 'delete', label: '🗑️', desc: 'command.zipline.delete.description' },
+        { key: 'file info', label: '📄', desc: 'about.fileInfo' },
+        { key: 'folder list', label: '📁', desc: 'about.folderList' },
+        { key: 'shorten', label: '🔗', desc: 'command.zipline.shorten.description' },
+        { key: 'urls', label: '🧷', desc: 'command.zipline.urls.description' },
+        { key: 'settings', label: '⚙️', desc: 'command.zipline.settings.description' },
+        { key: 'invite', label: '🤖', desc: 'command.zipline.invite.description' },
+        { key: 'about', label: 'ℹ️', desc: 'command.zipline.about.description' },
+        { key: 'stats', label: '📊', desc: 'command.zipline.stats.description' },
       ];
       const commandsList = subcommands
-        .map(sc => `${sc.label} </zipline ${sc.key}:${commandId}> — ${sc.desc}`)
+        .map(sc => `${sc.label} ${commandMention('zipline', sc.key)} — ${t(locale, sc.desc)}`)
         .join('\n');
 
       const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
-          .setLabel('Support')
+          .setLabel(t(locale, 'about.support'))
           .setStyle(ButtonStyle.Link)
           .setURL('https://discord.fish/support')
           .setEmoji('⛑️'),
@@ -760,14 +2379,14 @@ export async function execute(interaction) {
           .setURL('https://github.com/MrStuffmaker/zipline-bot')
           .setEmoji('💻'),
         new ButtonBuilder()
-          .setLabel('Website')
+          .setLabel(t(locale, 'about.website'))
           .setStyle(ButtonStyle.Link)
           .setURL('https://ziplinebot.pawpatrol.dev')
           .setEmoji('💻'),
       );
 
       await interaction.editReply({
-        content: `💡 **Zipline Bot v${botVersion}**\n\n${commandsList}`,
+        content: `${t(locale, 'about.header', { version: botVersion })}\n\n${commandsList}`,
         components: [row],
       });
       return;
@@ -781,14 +2400,14 @@ export async function execute(interaction) {
           .setURL('https://zipline.diced.sh/docs')
           .setEmoji('📚'),
         new ButtonBuilder()
-          .setLabel('Bot Docs')
+          .setLabel(t(locale, 'help.botDocs'))
           .setStyle(ButtonStyle.Link)
           .setURL('https://ziplinebot.pawpatrol.dev/docs')
           .setEmoji('⛑️'),
       );
 
       await interaction.reply({
-        content: 'Need help? Check out the documentation below\n\nIf you need anything else you are invites to join our support server\nhttps://discord.gg/9rr2uRZbuV.',
+        content: t(locale, 'help.message'),
         components: [row],
         flags: MessageFlags.Ephemeral
       });
@@ -801,73 +2420,192 @@ export async function execute(interaction) {
 
 
       const embed = new EmbedBuilder()
-        .setTitle(info.online ? '✅ Zipline Online' : '❌ Zipline Offline')
+        .setTitle(t(locale, info.online ? 'status.online' : 'status.offline'))
         .setColor(info.online ? (info.statusCode === 200 ? 0x00ff00 : 0xffaa00) : 0xff0000)
         .addFields(
-          { name: 'Status Code', value: `[${info.statusCode || 'N/A'}](https://stuffmaker.org/pages/http-info#${info.statusCode})`, inline: true },
-          { name: 'Version', value: String(info.version || 'N/A'), inline: true }
+          { name: t(locale, 'status.statusCode'), value: `[${info.statusCode || 'N/A'}](https://stuffmaker.org/pages/http-info#${info.statusCode})`, inline: true },
+          { name: t(locale, 'status.version'), value: String(info.version || 'N/A'), inline: true }
         );
 
       if (info.error) {
-        embed.addFields({ name: 'Error', value: String(info.error), inline: false });
+        embed.addFields({ name: t(locale, 'status.error'), value: String(info.error), inline: false });
       }
+      embed.addFields(...uptimeFields(locale));
 
       await interaction.editReply({ embeds: [embed] });
       return;
     }
 
-    if (sub === 'settings') {
-      const settings = getUserSettings(userId);
+    if (sub === 'paste') {
+      const restriction = guildRestriction(interaction, 'upload', { guest: !getUserAccount(userId) });
+      if (restriction) {
+        await interaction.reply({ content: restriction, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      await interaction.showModal(buildPasteModal(locale));
+      return;
+    }
+
+    if (sub === 'queue') {
+      const jobs = uploadQueue.jobsForUser(userId);
+      const { running, queued, concurrency } = uploadQueue.stats();
+
+      const lines = jobs.map(job => (job.state === 'running'
+        ? t(locale, 'queue.running', { label: trimUrl(job.label, 60), time: `<t:${Math.floor(job.startedAt / 1000)}:R>` })
+        : t(locale, 'queue.queued', { label: trimUrl(job.label, 60), position: job.position })));
+
       const embed = new EmbedBuilder()
-        .setTitle('⚙️ User Settings')
-        .setDescription('Manage your default upload settings')
-        .addFields(
-          { name: '📅 Expiry', value: settings.expiry ? `\`${settings.expiry}\`` : 'Not set', inline: true },
-          { name: '🗜️ Compression', value: settings.compression ? `\`${settings.compression}\`` : 'Not set', inline: true },
-        )
-        .setColor(0x00b0ff)
-        .setFooter({ text: 'Click a button below to edit settings' });
+        .setTitle(t(locale, 'queue.title'))
+        .setDescription(lines.length ? lines.join('\n') : t(locale, 'queue.empty'))
+        .setFooter({ text: t(locale, 'queue.footer', { running, concurrency, queued }) })
+        .setColor(0x00b0ff);
 
-      const row = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId('zip_edit_expiry')
-          .setLabel('Edit Expiry')
-          .setEmoji('📅')
-          .setStyle(ButtonStyle.Primary),
-        new ButtonBuilder()
-          .setCustomId('zip_edit_compression')
-          .setLabel('Edit Compression')
-          .setEmoji('🗜️')
-          .setStyle(ButtonStyle.Secondary),
-      );
+      await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+      return;
+    }
 
-      await interaction.reply({ embeds: [embed], components: [row], flags: MessageFlags.Ephemeral });
+    if (sub === 'settings') {
+      await interaction.reply({ ...buildSettingsView(getUserSettings(userId), locale), flags: MessageFlags.Ephemeral });
       return;
     }
 
     // commands that require token
-    const token = getUserToken(userId);
-    if (!token && ['me', 'list', 'upload', 'stats'].includes(sub)) {
+    const account = getUserAccount(userId);
+    if (!account && (['file', 'folder'].includes(group) || ['me', 'list', 'upload', 'delete', 'shorten', 'urls', 'stats'].includes(sub))) {
       await interaction.reply({
-        content: `❗ Please set your token first using </zipline settoken:1441450591409668117>.\n🔗 Zipline URL: ${ZIPLINE_BASE_URL}`,
+        content: t(locale, 'common.setTokenFirst', { command: commandMention('zipline', 'settoken'), url: ZIPLINE_BASE_URL }),
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
 
+    if (group === 'file') {
+      const fileId = interaction.options.getString('file', true);
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      let value = null;
+      if (sub === 'password') value = interaction.options.getString('password') || null;
+      if (sub === 'maxviews') value = interaction.options.getInteger('views', true);
+      if (sub === 'rename') value = interaction.options.getString('name', true);
+      if (sub === 'move') value = interaction.options.getString('folder', true);
+
+      try {
+        const view = sub === 'info'
+          ? await buildFileView(account, fileId, locale)
+          : await applyFileAction(account, fileId, sub, value, locale);
+        await interaction.editReply(view);
+      } catch (e) {
+        logError(e, `zipline.file.${sub}`, interactionDetails(interaction));
+        await interaction.editReply({ content: t(locale, 'file.updateFailed', { error: e.message.slice(0, 1800) }) });
+      }
+      return;
+    }
+
+    if (group === 'folder') {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      if (sub === 'create') {
+        const name = interaction.options.getString('name', true).trim();
+        const isPublic = interaction.options.getBoolean('public') || false;
+        const folder = await ziplineCreateFolder(account, name, isPublic);
+        const embed = new EmbedBuilder()
+          .setTitle(t(locale, 'folder.created'))
+          .setDescription(`**${folder.name || name}**${isPublic ? ` (${t(locale, 'folder.public')})` : ''}`)
+          .setColor(0x00ff00);
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (sub === 'list') {
+        const folders = await ziplineFetchFolders(account);
+        if (!folders.length) {
+          await interaction.editReply({ content: t(locale, 'folder.none') });
+          return;
+        }
+        const defaultFolder = getUserSettings(userId).folder;
+        const lines = folders.slice(0, 50).map(f => {
+          const count = Array.isArray(f.files) ? ` — ${t(locale, 'folder.fileCount', { count: f.files.length })}` : '';
+          const flags = `${f.public ? ' 🌐' : ''}${String(f.id) === defaultFolder ? ` ⭐ ${t(locale, 'folder.default')}` : ''}`;
+          return `• **${f.name}**${count}${flags}`;
+        });
+        const embed = new EmbedBuilder()
+          .setTitle(t(locale, 'folder.listTitle'))
+          .setDescription(lines.join('\n'))
+          .setFooter({ text: t(locale, 'folder.count', { count: folders.length }) })
+          .setColor(0x00b0ff);
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      const folderId = interaction.options.getString('folder', true);
+      let folder;
+      try {
+        folder = await ziplineGetFolder(account, folderId);
+      } catch {
+        await interaction.editReply({ content: t(locale, 'folder.notFound') });
+        return;
+      }
+
+      if (sub === 'view') {
+        const files = folder.files || [];
+        const lines = files.slice(0, 20).map(f =>
+          `• [${trimUrl(f.originalName || f.name || t(locale, 'common.unnamed'), 40)}](${fileViewUrl(f, account.baseUrl)}) — ${formatFileSize(f.size)}`);
+        if (files.length > lines.length) lines.push(t(locale, 'folder.more', { count: files.length - lines.length }));
+        const embed = new EmbedBuilder()
+          .setTitle(`📁 ${folder.name}`)
+          .setDescription(lines.length ? lines.join('\n') : t(locale, 'folder.empty'))
+          .setFooter({
+            text: `${t(locale, 'folder.fileCount', { count: files.length })}${folder.public ? ` • ${t(locale, 'folder.public')}` : ''}`,
+          })
+          .setColor(0x00b0ff);
+        await interaction.editReply({ embeds: [embed] });
+        return;
+      }
+
+      if (sub === 'delete') {
+        const restriction = guildRestriction(interaction, 'delete');
+        if (restriction) {
+          await interaction.editReply({ content: restriction });
+          return;
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle(t(locale, 'folder.delete.title'))
+          .setDescription(t(locale, 'folder.delete.confirm', { name: folder.name }))
+          .setColor(0xff0000);
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`zip_folder_delete_confirm:${folderId}`)
+            .setLabel(t(locale, 'common.delete'))
+            .setEmoji('🗑️')
+            .setStyle(ButtonStyle.Danger),
+          new ButtonBuilder()
+            .setCustomId('zip_delete_cancel')
+            .setLabel(t(locale, 'common.cancel'))
+            .setStyle(ButtonStyle.Secondary),
+        );
+        await interaction.editReply({ embeds: [embed], components: [row] });
+        return;
+      }
+      return;
+    }
+
     if (sub === 'me') {
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-      const data = await ziplineGetMe(token);
+      const data = await ziplineGetMe(account);
       const botUserId = getBotUserId(userId) || ensureAssignBotUserId(userId);
 
       let userStorage = 0;
-      try {
-        const zipStats = await ziplineGetStats();
-        if (zipStats.filesUsers && Array.isArray(zipStats.filesUsers)) {
-          const userFileData = zipStats.filesUsers.find(u => u.username === (data.username || ''));
-          if (userFileData) userStorage = userFileData.storage || 0;
-        }
-      } catch { /* ignore */ }
+      // the stats endpoint belongs to the bot's own instance
+      if (account.baseUrl === DEFAULT_INSTANCE_URL) {
+        try {
+          const zipStats = await ziplineGetStats();
+          if (zipStats.filesUsers && Array.isArray(zipStats.filesUsers)) {
+            const userFileData = zipStats.filesUsers.find(u => u.username === (data.username || ''));
+            if (userFileData) userStorage = userFileData.storage || 0;
+          }
+        } catch { /* ignore */ }
+      }
 
       const quota = data.quota || null;
       const formatStorageLocal = bytes => {
@@ -883,12 +2621,13 @@ export async function execute(interaction) {
           : formatStorageLocal(userStorage || 0);
 
       const embed = new EmbedBuilder()
-        .setTitle('👤 Account Info')
+        .setTitle(t(locale, 'me.title'))
         .addFields(
-          { name: 'Username', value: data.username || 'Unknown', inline: true },
-          { name: 'Role', value: data.role || 'Unknown', inline: true },
-          { name: '🆔 Bot User ID', value: String(botUserId), inline: true },
-          { name: '📦 Storage', value: storageDisplay, inline: false },
+          { name: t(locale, 'me.username'), value: data.username || t(locale, 'common.unknown'), inline: true },
+          { name: t(locale, 'me.role'), value: data.role || t(locale, 'common.unknown'), inline: true },
+          { name: t(locale, 'common.botUserId'), value: String(botUserId), inline: true },
+          { name: t(locale, 'me.storage'), value: storageDisplay, inline: false },
+          { name: t(locale, 'me.instance'), value: account.baseUrl, inline: false },
         )
         .setColor(0x00ff00);
 
@@ -897,50 +2636,172 @@ export async function execute(interaction) {
     }
 
     if (sub === 'list') {
-      const uploads = await ziplineFetchAllUserUploads(token);
-      if (!uploads.length) {
-        await interaction.reply({ content: 'No uploads found.', flags: MessageFlags.Ephemeral });
+      const parseDate = name => {
+        const value = interaction.options.getString(name);
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? undefined : date;
+      };
+      const after = parseDate('after');
+      const before = parseDate('before');
+      if (after === undefined || before === undefined) {
+        await interaction.reply({ content: t(locale, 'list.invalidDate'), flags: MessageFlags.Ephemeral });
+        return;
+      }
+      // a bare date for "before" means the whole day
+      if (before && /^\d{4}-\d{2}-\d{2}$/.test(interaction.options.getString('before').trim())) {
+        before.setUTCHours(23, 59, 59, 999);
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const cursor = createUploadCursor(account, {
+        search: interaction.options.getString('search'),
+        type: interaction.options.getString('type'),
+        favorites: interaction.options.getBoolean('favorites'),
+        after,
+        before,
+        sort: interaction.options.getString('sort') || 'newest',
+      });
+      await cursor.ensure(1);
+      if (!cursor.items.length) {
+        await interaction.editReply({
+          content: cursor.limited ? t(locale, 'list.emptyLimited', { count: cursor.scanned }) : t(locale, 'list.empty'),
+        });
         return;
       }
-      await paginateUploads(interaction, uploads);
+      await paginateUploads(interaction, cursor);
       return;
     }
 
     if (sub === 'upload') {
-      const attachment = interaction.options.getAttachment('file', true);
+      const attachments = [interaction.options.getAttachment('file', true)];
+      for (let i = 2; i <= MAX_BATCH_FILES; i++) {
+        const extra = interaction.options.getAttachment(`file${i}`);
+        if (extra) attachments.push(extra);
+      }
+
+      // /zipline upload needs a token (checked above); guests upload through the context menu
+      const restriction = guildRestriction(interaction, 'upload');
+      const postPublic = interaction.options.getBoolean('public') === true;
+      if (restriction || (postPublic && interaction.guildId && !getGuildSettings(interaction.guildId).publicResults)) {
+        await interaction.reply({
+          content: restriction || t(locale, 'upload.noPublicResults'),
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      // only options that were given override the saved defaults
+      const uploadOptions = Object.fromEntries(Object.entries({
+        expiry: interaction.options.getString('expiry'),
+        compression: interaction.options.getString('compression'),
+        password: interaction.options.getString('password'),
+        maxViews: interaction.options.getInteger('max_views'),
+        format: interaction.options.getString('name_format'),
+        domain: interaction.options.getString('domain'),
+        folder: interaction.options.getString('folder'),
+      }).filter(([, value]) => value !== null && value !== ''));
+      for (const [key, parse] of [['expiry', parseExpiry], ['compression', parseCompression]]) {
+        if (!(key in uploadOptions)) continue;
+        const parsed = parse(uploadOptions[key]);
+        if (!parsed.ok) {
+          await interaction.editReply({ content: `❗ ${t(locale, parsed.error, parsed.vars)}` });
+          return;
+        }
+        uploadOptions[key] = parsed.value;
+      }
+      const items = attachments.map(a => ({ url: a.url, name: a.name }));
+      const results = await runQueuedUpload(interaction, queueLabel(items, locale), (signal, onProgress) => uploadBatch({
+        userId,
+        account,
+        items,
+        overrides: { ...guildUploadOverrides(interaction.guildId), ...uploadOptions },
+        onProgress,
+        details: interactionDetails(interaction),
+        signal,
+        locale,
+      }));
+      if (!results) return;
+
+      await interaction.editReply({
+        content: null,
+        embeds: [buildUploadResultEmbed(results, false, locale)],
+        components: uploadResultComponents(results, false, locale),
+      });
+      if (postPublic) await postPublicResults(interaction, results, false);
+      return;
+    }
+
+    if (sub === 'delete') {
+      const restriction = guildRestriction(interaction, 'delete');
+      if (restriction) {
+        await interaction.reply({ content: restriction, flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const fileId = interaction.options.getString('file', true);
       await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-      const userToken = getUserToken(userId);
-      if (userToken) {
-        const uploadResp = await ziplineUploadFromUrl(userToken, attachment.url, attachment.name, userId);
-        const urls = (uploadResp.files || [])
-          .map(f => f.url || `${ZIPLINE_BASE_URL}/u/${f.id}`)
-          .join('\n');
+      let file;
+      try {
+        file = await ziplineGetFile(account, fileId);
+      } catch {
+        await interaction.editReply({ content: t(locale, 'file.notFound') });
+        return;
+      }
 
-        const embed = new EmbedBuilder()
-          .setTitle('✅ Upload Successful')
-          .setDescription(`**[Click the link to view your upload](${urls})**`)
-          .setColor(0x00ff00);
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, 'file.delete.title'))
+        .setDescription(t(locale, 'file.delete.confirm', { name: file.originalName || file.name || fileId }))
+        .setColor(0xff0000);
 
-        await interaction.editReply({ embeds: [embed] });
-      } else {
-        const uploadResp = await ziplineAnonUploadFromUrl(attachment.url, attachment.name);
-        const urls = (uploadResp.files || [])
-          .map(f => f.url || `${ANON_ZIPLINE_BASE_URL}/u/${f.id}`)
-          .join('\n');
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`zip_delete_confirm:${fileId}`)
+          .setLabel(t(locale, 'common.delete'))
+          .setEmoji('🗑️')
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId('zip_delete_cancel')
+          .setLabel(t(locale, 'common.cancel'))
+          .setStyle(ButtonStyle.Secondary),
+      );
 
-        const embed = new EmbedBuilder()
-          .setTitle('✅ Guest Upload Successful')
-          .setDescription(`**[Click the link to view your upload](${urls})**`)
-          .addFields(
-            ANON_UPLOAD_EXPIRY
-              ? { name: '⏱ Expiry', value: `This file is set to expire after: \`${ANON_UPLOAD_EXPIRY}\``, inline: false }
-              : { name: '⏱ Expiry', value: 'No default expiry configured.', inline: false },
-          )
-          .setColor(0x00ff00);
+      await interaction.editReply({ embeds: [embed], components: [row] });
+      return;
+    }
+
+    if (sub === 'shorten') {
+      const destination = interaction.options.getString('url', true).trim();
+      if (!/^https?:\/\//i.test(destination)) {
+        await interaction.reply({ content: t(locale, 'shorten.invalidUrl'), flags: MessageFlags.Ephemeral });
+        return;
+      }
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const short = await ziplineShortenUrl(account, destination, {
+        vanity: interaction.options.getString('vanity'),
+        maxViews: interaction.options.getInteger('maxviews'),
+        password: interaction.options.getString('password'),
+      });
 
-        await interaction.editReply({ embeds: [embed] });
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, 'shorten.title'))
+        .setDescription(`**${shortUrlFor(short, account.baseUrl)}**\n→ ${trimUrl(destination, 200)}`)
+        .setColor(0x00ff00);
+      await interaction.editReply({ embeds: [embed] });
+      return;
+    }
+
+    if (sub === 'urls') {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const urls = await ziplineFetchUrls(account);
+      if (!Array.isArray(urls) || !urls.length) {
+        await interaction.editReply({ content: t(locale, 'urls.empty') });
+        return;
       }
+      await paginateUrls(interaction, urls, account.baseUrl);
       return;
     }
 
@@ -960,18 +2821,19 @@ export async function execute(interaction) {
       try {
         zipStats = await ziplineGetStats();
       } catch {
-        zipStats = { error: 'Unavailable' };
+        zipStats = { error: t(locale, 'stats.unavailable') };
       }
 
       let userMe;
       try {
-        userMe = await ziplineGetMe(token);
+        userMe = await ziplineGetMe(account);
       } catch {
-        userMe = { username: 'Unknown' };
+        userMe = { username: t(locale, 'common.unknown') };
       }
 
       let userStorage = 0;
-      if (zipStats.filesUsers && Array.isArray(zipStats.filesUsers)) {
+      // the stats endpoint belongs to the bot's own instance, same as in /zipline me
+      if (account.baseUrl === DEFAULT_INSTANCE_URL && zipStats.filesUsers && Array.isArray(zipStats.filesUsers)) {
         const userFileData = zipStats.filesUsers.find(u => u.username === userMe.username);
         if (userFileData) userStorage = userFileData.storage || 0;
       }
@@ -991,31 +2853,34 @@ export async function execute(interaction) {
       const userStorageDisplay = formatStorage(userStorage);
 
       const embed = new EmbedBuilder()
-        .setTitle('📊 Server & Zipline Stats')
+        .setTitle(t(locale, 'stats.title'))
         .addFields(
           {
-            name: '🖥️ Host System',
-            value:
-              `**OS:** ${hostStats.os}\n` +
-              `**Uptime:** ${uptimeDisplay}\n` +
-              `**CPUs:** ${hostStats.cpuCount}\n` +
-              `**RAM:** ${(hostStats.usedMem / (1024 * 1024)).toFixed(2)}MB / ${(hostStats.freeMem / (1024 * 1024)).toFixed(2)}MB`,
+            name: t(locale, 'stats.host'),
+            value: t(locale, 'stats.hostValue', {
+              os: hostStats.os,
+              uptime: uptimeDisplay,
+              cpus: hostStats.cpuCount,
+              ram: `${(hostStats.usedMem / (1024 * 1024)).toFixed(2)}MB / ${(hostStats.freeMem / (1024 * 1024)).toFixed(2)}MB`,
+            }),
             inline: true,
           },
           {
-            name: '📈 Zipline',
+            name: t(locale, 'stats.zipline'),
             value: zipStats.error
               ? `❌ ${zipStats.error}`
-              : `**Users:** ${zipStats.users ?? '?'}\n` +
-              `**Files:** ${zipStats.files ?? '?'}\n` +
-              `**Used Storage:** ${zipStats.storage ? (zipStats.storage / (1024 * 1024 * 1024)).toFixed(2) + ' GB' : '?'}\n` +
-              `**File Views:** ${zipStats.fileViews ?? '?'}\n` +
-              `**URLs:** ${zipStats.urls ?? '?'}`,
+              : t(locale, 'stats.ziplineValue', {
+                users: zipStats.users ?? '?',
+                files: zipStats.files ?? '?',
+                storage: zipStats.storage ? (zipStats.storage / (1024 * 1024 * 1024)).toFixed(2) + ' GB' : '?',
+                views: zipStats.fileViews ?? '?',
+                urls: zipStats.urls ?? '?',
+              }),
             inline: true,
           },
           {
-            name: `👤 ${userMe.username ?? 'Unknown'}`,
-            value: `**Used:** ${userStorageDisplay}`,
+            name: `👤 ${userMe.username ?? t(locale, 'common.unknown')}`,
+            value: t(locale, 'stats.userUsed', { used: userStorageDisplay }),
             inline: false,
           },
         )
@@ -1024,7 +2889,7 @@ export async function execute(interaction) {
       await interaction.editReply({ embeds: [embed] });
     }
   } catch (error) {
-    logError(error, 'zipline.execute');
+    logError(error, 'zipline.execute', interactionDetails(interaction));
     throw error;
   }
 }
@@ -1034,13 +2899,14 @@ export async function execute(interaction) {
 export async function handleComponents(interaction) {
   try {
     const userId = interaction.user.id;
+    const locale = localeFor(interaction);
 
     if (interaction.isButton() &&
       (interaction.customId === 'zip_edit_expiry' || interaction.customId === 'zip_edit_compression')) {
 
       const modal = new ModalBuilder()
         .setCustomId(interaction.customId)
-        .setTitle(interaction.customId === 'zip_edit_expiry' ? 'Expiry (days/date)' : 'Compression level');
+        .setTitle(t(locale, interaction.customId === 'zip_edit_expiry' ? 'settings.expiryModal.title' : 'settings.compressionModal.title'));
 
       modal.addComponents(
         new ActionRowBuilder().addComponents(
@@ -1048,8 +2914,8 @@ export async function handleComponents(interaction) {
             .setCustomId('value_input')
             .setLabel(
               interaction.customId === 'zip_edit_expiry'
-                ? 'Enter expiry (e.g. 7d or 2025-01-01)'
-                : 'Enter compression (e.g. low, medium)',
+                ? t(locale, 'settings.expiryModal.label')
+                : t(locale, 'settings.compressionModal.label', { min: COMPRESSION_MIN, max: COMPRESSION_MAX }),
             )
             .setStyle(TextInputStyle.Short)
             .setRequired(true)
@@ -1061,27 +2927,331 @@ export async function handleComponents(interaction) {
       return true;
     }
 
+    if (interaction.isButton() && interaction.customId.startsWith('zip_delete_confirm:')) {
+      const fileId = interaction.customId.slice('zip_delete_confirm:'.length);
+      const account = getUserAccount(userId);
+      if (!account) {
+        await interaction.update({ content: t(locale, 'common.setTokenFirstShort'), embeds: [], components: [] });
+        return true;
+      }
+
+      // roles may have changed since the confirmation was shown
+      const restriction = guildRestriction(interaction, 'delete');
+      if (restriction) {
+        await interaction.update({ content: restriction, embeds: [], components: [] });
+        return true;
+      }
+
+      await interaction.deferUpdate();
+      try {
+        await ziplineDeleteFile(account, fileId);
+      } catch (e) {
+        logError(e, 'zipline.deleteFile', interactionDetails(interaction));
+        await interaction.editReply({ content: t(locale, 'file.deleteFailed'), embeds: [], components: [] });
+        return true;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, 'file.deleted'))
+        .setColor(0x00ff00);
+      await interaction.editReply({ embeds: [embed], components: [] });
+      return true;
+    }
+
+    if (
+      (interaction.isButton() && interaction.customId.startsWith('zip_file:')) ||
+      (interaction.isStringSelectMenu() && interaction.customId.startsWith('zip_file_move:')) ||
+      (interaction.type === InteractionType.ModalSubmit && interaction.customId.startsWith('zip_file_modal:'))
+    ) {
+      const account = getUserAccount(userId);
+      if (!account) {
+        await interaction.reply({ content: t(locale, 'common.setTokenFirstShort'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+
+      const parts = interaction.customId.split(':');
+      const action = parts[0] === 'zip_file_move' ? 'move' : parts[1];
+      const fileId = parts[parts.length - 1];
+      if (!FILE_ACTIONS.includes(action)) return false;
+
+      // password / maxviews / rename need input first
+      if (interaction.isButton() && ['password', 'maxviews', 'rename'].includes(action)) {
+        await interaction.showModal(buildFileActionModal(action, fileId, locale));
+        return true;
+      }
+
+      // move: swap the buttons for a folder picker on the same message
+      if (interaction.isButton() && action === 'move') {
+        const picker = await buildFolderPicker(account, fileId, locale);
+        if (!picker) {
+          await interaction.reply({ content: t(locale, 'folder.none'), flags: MessageFlags.Ephemeral });
+          return true;
+        }
+        await interaction.update({ components: [picker, buildFileActionRow(fileId, {}, locale)] });
+        return true;
+      }
+
+      let value = null;
+      if (interaction.isStringSelectMenu()) value = interaction.values[0];
+      if (interaction.type === InteractionType.ModalSubmit) {
+        value = interaction.fields.getTextInputValue('value_input').trim();
+        if (action === 'maxviews') {
+          const views = value === '' ? 0 : parseInt(value, 10);
+          if (isNaN(views) || views < 0) {
+            await interaction.reply({ content: t(locale, 'file.maxViewsInvalid'), flags: MessageFlags.Ephemeral });
+            return true;
+          }
+          value = views;
+        }
+      }
+
+      await interaction.deferUpdate();
+      try {
+        await interaction.editReply(await applyFileAction(account, fileId, action, value, locale));
+      } catch (e) {
+        logError(e, `zipline.file.${action}`, interactionDetails(interaction));
+        await interaction.followUp({
+          content: t(locale, 'file.updateFailed', { error: e.message.slice(0, 1800) }),
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+      return true;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('zip_url_delete_confirm:')) {
+      const urlId = interaction.customId.slice('zip_url_delete_confirm:'.length);
+      const account = getUserAccount(userId);
+      if (!account) {
+        await interaction.update({ content: t(locale, 'common.setTokenFirstShort'), embeds: [], components: [] });
+        return true;
+      }
+
+      try {
+        await ziplineDeleteUrl(account, urlId);
+      } catch (e) {
+        logError(e, 'zipline.deleteUrl', interactionDetails(interaction));
+        await interaction.update({ content: t(locale, 'urls.deleteFailed'), components: [] });
+        return true;
+      }
+      await interaction.update({ content: t(locale, 'urls.deleted'), components: [] });
+      return true;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('zip_folder_delete_confirm:')) {
+      const folderId = interaction.customId.slice('zip_folder_delete_confirm:'.length);
+      const account = getUserAccount(userId);
+      if (!account) {
+        await interaction.update({ content: t(locale, 'common.setTokenFirstShort'), embeds: [], components: [] });
+        return true;
+      }
+
+      // roles may have changed since the confirmation was shown
+      const restriction = guildRestriction(interaction, 'delete');
+      if (restriction) {
+        await interaction.update({ content: restriction, embeds: [], components: [] });
+        return true;
+      }
+
+      await interaction.deferUpdate();
+      try {
+        await ziplineDeleteFolder(account, folderId);
+      } catch (e) {
+        logError(e, 'zipline.deleteFolder', interactionDetails(interaction));
+        await interaction.editReply({ content: t(locale, 'folder.deleteFailed'), embeds: [], components: [] });
+        return true;
+      }
+
+      // drop it as default folder too
+      const settings = getUserSettings(userId);
+      if (settings.folder === folderId) setUserSettings(userId, { ...settings, folder: null });
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, 'folder.deleted'))
+        .setColor(0x00ff00);
+      await interaction.editReply({ embeds: [embed], components: [] });
+      return true;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('zip_resume:')) {
+      const resumeId = interaction.customId.slice('zip_resume:'.length);
+      const state = storage.getPartialUpload(resumeId);
+      if (!state) {
+        await interaction.reply({ content: t(locale, 'resume.expired'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+      if (state.userId && state.userId !== userId) {
+        await interaction.reply({ content: t(locale, 'resume.notOwner'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+      // roles or the guest switch may have changed since the upload started
+      const restriction = guildRestriction(interaction, 'upload', { guest: Boolean(state.anon) });
+      if (restriction) {
+        await interaction.reply({ content: restriction, flags: MessageFlags.Ephemeral });
+        return true;
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const result = await runQueuedUpload(interaction, state.filename, async (signal, report) => {
+        try {
+          const resp = await ziplineResumePartialUpload(resumeId, (uploaded, total) => report(0, 1, state.filename, uploaded, total), signal);
+          const baseUrl = state.anon ? ANON_ZIPLINE_BASE_URL : state.baseUrl;
+          return { name: state.filename, ok: true, resp, urls: (resp.files || []).map(f => f.url || `${baseUrl}/u/${f.id}`) };
+        } catch (e) {
+          if (signal.aborted) return { name: state.filename, ok: false, cancelled: true, error: t(locale, 'upload.cancelled') };
+          logError(e, 'zipline.resumeUpload', interactionDetails(interaction));
+          return { name: state.filename, ok: false, error: uploadErrorMessage(e, locale), resumeId: e.resumeId || null };
+        }
+      });
+      if (!result) return true;
+
+      await interaction.editReply({
+        content: null,
+        embeds: [buildUploadResultEmbed([result], state.anon, locale)],
+        components: uploadResultComponents([result], state.anon, locale),
+      });
+      return true;
+    }
+
+    if (interaction.isButton() && interaction.customId === 'zip_edit_folder') {
+      const account = getUserAccount(userId);
+      if (!account) {
+        await interaction.reply({ content: t(locale, 'common.setTokenFirstShort'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+
+      const folders = await ziplineFetchFolders(account);
+      const row = new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId('zip_set_folder')
+          .setPlaceholder(t(locale, 'settings.folderPlaceholder'))
+          .addOptions([
+            { label: t(locale, 'settings.noDefaultFolder'), value: 'none' },
+            ...folders.slice(0, 24).map(f => ({ label: String(f.name).slice(0, 100), value: String(f.id) })),
+          ]),
+      );
+      await interaction.reply({ components: [row], flags: MessageFlags.Ephemeral });
+      return true;
+    }
+
+    if (interaction.isStringSelectMenu() && interaction.customId === 'zip_instance_switch') {
+      if (!setActiveInstance(userId, interaction.values[0])) {
+        await interaction.reply({ content: t(locale, 'instances.notLinked'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+      await interaction.update(buildInstancesView(userId, locale));
+      return true;
+    }
+
+    if (interaction.isStringSelectMenu() && interaction.customId === 'zip_set_locale') {
+      const value = interaction.values[0];
+      setUserSettings(userId, { ...getUserSettings(userId), locale: value === 'auto' ? null : value });
+      // re-render in the newly picked language
+      await interaction.update(buildSettingsView(getUserSettings(userId), localeFor(interaction)));
+      return true;
+    }
+
+    if (interaction.isStringSelectMenu() && interaction.customId === 'zip_set_folder') {
+      const value = interaction.values[0];
+      let folderName = null;
+      if (value !== 'none') {
+        const option = interaction.component.options.find(o => o.value === value);
+        folderName = option ? option.label : null;
+      }
+      setUserSettings(userId, {
+        ...getUserSettings(userId),
+        folder: value === 'none' ? null : value,
+        folderName,
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle(t(locale, 'settings.updated.title'))
+        .setDescription(t(locale, 'settings.updated.description'))
+        .addFields(settingsFields(getUserSettings(userId), locale))
+        .setColor(0x00ff88)
+        .setFooter({ text: t(locale, 'settings.updated.footer') });
+      await interaction.update({ embeds: [embed], components: [] });
+      return true;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('zip_upload_cancel:')) {
+      const jobId = interaction.customId.slice('zip_upload_cancel:'.length);
+      const job = uploadQueue.get(jobId);
+      if (!job) {
+        await interaction.reply({ content: t(locale, 'queue.finished'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+      if (job.userId !== userId) {
+        await interaction.reply({ content: t(locale, 'queue.notOwner'), flags: MessageFlags.Ephemeral });
+        return true;
+      }
+
+      // the upload's own reply is edited once the job has stopped
+      await interaction.update({ content: t(locale, 'queue.cancelling'), components: [] });
+      uploadQueue.cancel(jobId);
+      return true;
+    }
+
+    if (interaction.isButton() && interaction.customId === 'zip_delete_cancel') {
+      await interaction.update({ content: t(locale, 'common.deletionCancelled'), embeds: [], components: [] });
+      return true;
+    }
+
+    if (interaction.type === InteractionType.ModalSubmit && interaction.customId === 'zip_paste') {
+      const content = interaction.fields.getTextInputValue('paste_content');
+      const language = interaction.fields.getTextInputValue('paste_language');
+      const filename = pasteFilename(interaction.fields.getTextInputValue('paste_filename'), language);
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const account = getUserAccount(userId);
+      const buffer = Buffer.from(content, 'utf8');
+      const result = { name: filename };
+      try {
+        const resp = account
+          ? await ziplineUploadBuffer(account, buffer, filename, userId, 'text/plain', guildUploadOverrides(interaction.guildId))
+          : await ziplineAnonUploadBuffer(buffer, filename, 'text/plain', userId);
+        const baseUrl = account ? account.baseUrl : ANON_ZIPLINE_BASE_URL;
+        Object.assign(result, { ok: true, resp, urls: (resp.files || []).map(f => f.url || `${baseUrl}/u/${f.id}`) });
+      } catch (e) {
+        if (!e.guestLimit) logError(e, 'zipline.paste', interactionDetails(interaction));
+        Object.assign(result, { ok: false, error: uploadErrorMessage(e, locale) });
+      }
+
+      await interaction.editReply({
+        embeds: [buildUploadResultEmbed([result], !account, locale)],
+        components: uploadResultComponents([result], !account, locale),
+      });
+      return true;
+    }
+
     if (
       interaction.type === InteractionType.ModalSubmit &&
       (interaction.customId === 'zip_edit_expiry' || interaction.customId === 'zip_edit_compression')
     ) {
-      const value = interaction.fields.getTextInputValue('value_input');
-      if (interaction.customId === 'zip_edit_expiry') {
-        setUserSettings(userId, { ...getUserSettings(userId), expiry: value });
-      } else {
-        setUserSettings(userId, { ...getUserSettings(userId), compression: value });
+      const input = interaction.fields.getTextInputValue('value_input');
+      const isExpiry = interaction.customId === 'zip_edit_expiry';
+      const parsed = isExpiry ? parseExpiry(input, { allowDates: false }) : parseCompression(input);
+      if (!parsed.ok) {
+        await interaction.reply({ content: `❗ ${t(locale, parsed.error, parsed.vars)}`, flags: MessageFlags.Ephemeral });
+        return true;
+      }
+
+      setUserSettings(userId, { ...getUserSettings(userId), [isExpiry ? 'expiry' : 'compression']: parsed.value });
+
+      let description = t(locale, 'settings.updated.description');
+      if (isExpiry && parsed.expiresAt) {
+        const at = Math.floor(parsed.expiresAt / 1000);
+        description = `${t(locale, 'settings.expiresAt', { date: `<t:${at}:F>`, relative: `<t:${at}:R>` })}\n\n${description}`;
+      } else if (isExpiry) {
+        description = `${t(locale, 'settings.neverExpires')}\n\n${description}`;
       }
 
       const updatedSettings = getUserSettings(userId);
       const embed = new EmbedBuilder()
-        .setTitle('✅ Settings Updated!')
-        .setDescription('Your new default upload settings:')
-        .addFields(
-          { name: '📅 Expiry', value: updatedSettings.expiry ? `\`${updatedSettings.expiry}\`` : 'Not set', inline: true },
-          { name: '🗜️ Compression', value: updatedSettings.compression ? `\`${updatedSettings.compression}\`` : 'Not set', inline: true },
-        )
+        .setTitle(t(locale, 'settings.updated.title'))
+        .setDescription(description)
+        .addFields(settingsFields(updatedSettings, locale))
         .setColor(0x00ff88)
-        .setFooter({ text: 'These settings apply to all future uploads.' });
+        .setFooter({ text: t(locale, 'settings.updated.footer') });
 
       await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
       return true;
@@ -1089,127 +3259,470 @@ export async function handleComponents(interaction) {
 
     return false;
   } catch (error) {
-    logError(error, 'zipline.handleComponents');
+    logError(error, 'zipline.handleComponents', interactionDetails(interaction));
     throw error;
   }
 }
 
 
+// --- autocomplete handler used by interactionCreate.js ---
+export async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name === 'instance') {
+    const query = focused.value.trim().toLowerCase();
+    await interaction.respond(listUserInstances(interaction.user.id)
+      .filter(i => i.baseUrl.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(i => ({ name: trimUrl(i.baseUrl, 100), value: i.baseUrl })));
+    return;
+  }
+
+  const account = getUserAccount(interaction.user.id);
+  if (!account || !['file', 'folder'].includes(focused.name)) {
+    await interaction.respond([]);
+    return;
+  }
+
+  try {
+    if (focused.name === 'folder') {
+      const query = focused.value.trim().toLowerCase();
+      const folders = await ziplineFetchFolders(account);
+      await interaction.respond(folders
+        .filter(f => String(f.name).toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(f => ({ name: String(f.name).slice(0, 100), value: String(f.id) })));
+      return;
+    }
+
+    const resp = await ziplineFetchUserUploads(account, 1, 25, { searchQuery: focused.value.trim() });
+    const choices = (resp.page || []).slice(0, 25).map(f => ({
+      name: (f.originalName || f.name || f.id).slice(0, 100),
+      value: String(f.id),
+    }));
+    await interaction.respond(choices);
+  } catch (error) {
+    logError(error, 'zipline.handleAutocomplete', interactionDetails(interaction));
+    await interaction.respond([]).catch(() => { });
+  }
+}
+
+
+// --- auto-mirror channels ---
+// mirror output is public, so it follows the server's language rather than the author's
+const mirrorSummaryChains = new Map(); // channelId -> promise, so summary edits don't overwrite each other
+
+function mirrorResultLine(result, authorId = null, locale) {
+  const by = authorId ? ` — <@${authorId}>` : '';
+  return result.ok
+    ? `📎 [${trimUrl(result.name, 60)}](<${result.urls[0]}>)${by}`
+    : `❌ ${trimUrl(result.name, 60)} — ${t(locale, 'mirror.failed')}${by}`;
+}
+
+function updateMirrorEntry(guildId, channelId, patch) {
+  const guildSettings = getGuildSettings(guildId);
+  guildSettings.mirrorChannels = guildSettings.mirrorChannels.map(entry =>
+    (entry.channelId === channelId ? { ...entry, ...patch } : entry));
+  setGuildSettings(guildId, guildSettings);
+}
+
+// appends lines to the summary message in the channel's mirror thread, creating either when needed
+async function appendMirrorSummary(message, entry, lines) {
+  const { channel, guildId } = message;
+  const locale = message.guild?.preferredLocale;
+
+  let thread = null;
+  if (entry.threadId) {
+    thread = await channel.threads.fetch(entry.threadId).catch(() => null);
+    if (thread && thread.archived) await thread.setArchived(false).catch(() => { thread = null; });
+  }
+  if (!thread) {
+    thread = await channel.threads.create({ name: t(locale, 'mirror.threadName'), autoArchiveDuration: 10080 });
+    entry = { ...entry, threadId: thread.id, summaryMessageId: null };
+    updateMirrorEntry(guildId, channel.id, { threadId: thread.id, summaryMessageId: null });
+  }
+
+  const summary = entry.summaryMessageId
+    ? await thread.messages.fetch(entry.summaryMessageId).catch(() => null)
+    : null;
+  const content = summary ? `${summary.content}\n${lines.join('\n')}` : null;
+
+  // start a new summary message once the current one is full
+  if (summary && content.length <= 2000) {
+    await summary.edit({ content, allowedMentions: { parse: [] } });
+    return;
+  }
+  const created = await thread.send({
+    content: `${t(locale, 'mirror.summaryHeader')}\n${lines.join('\n')}`,
+    allowedMentions: { parse: [] },
+  });
+  updateMirrorEntry(guildId, channel.id, { summaryMessageId: created.id });
+}
+
+// called for every guild message; uploads attachments in channels set up with /zipline-admin mirror
+export async function handleMirrorMessage(message) {
+  if (!message.guildId || message.author.bot || message.webhookId) return;
+  if (!message.attachments || message.attachments.size === 0) return;
+
+  const entry = getGuildSettings(message.guildId).mirrorChannels.find(m => m.channelId === message.channelId);
+  if (!entry) return;
+
+  const userId = message.author.id;
+  const locale = message.guild?.preferredLocale;
+  const details = { command: 'mirror', userId, guildId: message.guildId, guildName: message.guild?.name || null };
+  const ownAccount = getUserAccount(userId);
+  const account = ownAccount || (MIRROR_FALLBACK_TOKEN ? { baseUrl: DEFAULT_INSTANCE_URL, token: MIRROR_FALLBACK_TOKEN } : null);
+  if (!account) return;
+
+  // same role and guest-upload rules as /zipline upload; a message carries what guildRestriction reads
+  const restriction = guildRestriction({
+    guildId: message.guildId,
+    member: message.member,
+    memberPermissions: message.member?.permissions ?? null,
+    user: message.author,
+    locale,
+  }, 'upload', { guest: !ownAccount });
+  if (restriction) return;
+
+  try {
+    const items = [...message.attachments.values()]
+      .slice(0, MAX_BATCH_FILES)
+      .map(a => ({ url: a.url, name: a.name || filenameFromUrl(a.url) }));
+
+    const job = uploadQueue.enqueue({
+      userId,
+      label: queueLabel(items, locale),
+      run: ({ signal }) => uploadBatch({
+        userId,
+        account,
+        items,
+        // the fallback account doesn't know the member's folders
+        overrides: { ...(ownAccount ? {} : { folder: null }), ...guildUploadOverrides(message.guildId) },
+        details,
+        signal,
+        locale,
+        asGuest: !ownAccount,
+      }),
+    });
+    const results = await job.promise;
+
+    // nobody can press a Resume button here, so don't keep resume state around
+    for (const r of results) {
+      if (r.resumeId) storage.deletePartialUpload(r.resumeId);
+    }
+
+    if (entry.mode === 'thread') {
+      const lines = results.map(r => mirrorResultLine(r, userId, locale));
+      const previous = mirrorSummaryChains.get(message.channelId) || Promise.resolve();
+      const next = previous.then(() => {
+        // re-read the entry, an earlier append may have created the thread or a new summary
+        const current = getGuildSettings(message.guildId).mirrorChannels.find(m => m.channelId === message.channelId);
+        return current ? appendMirrorSummary(message, current, lines) : null;
+      });
+      mirrorSummaryChains.set(message.channelId, next.catch(() => {}));
+      await next;
+    } else {
+      await message.reply({
+        content: results.map(r => mirrorResultLine(r, null, locale)).join('\n'),
+        allowedMentions: { parse: [], repliedUser: false },
+      });
+    }
+  } catch (error) {
+    logError(error, 'zipline.handleMirrorMessage', details);
+  }
+}
+
+
+// --- uptime monitor ---
+let uptimeMonitor = null; // set by startUptimeMonitor() unless uptimeCheckIntervalSeconds is 0
+
+const unixSeconds = ms => Math.floor(ms / 1000);
+
+// floored so 99.999% never shows as 100.00%
+function formatUptime(ratio, locale) {
+  if (ratio === null) return t(locale, 'status.noData');
+  return `${(Math.floor(ratio * 10000) / 100).toFixed(2)}%`;
+}
+
+// "2d 3h", "1h 5m", "3m", "40s": the largest unit and the one below it
+function formatDowntime(ms) {
+  const units = [['d', 24 * 60 * 60 * 1000], ['h', 60 * 60 * 1000], ['m', 60 * 1000], ['s', 1000]];
+  const first = units.findIndex(([, size]) => ms >= size);
+  if (first === -1) return '0s';
+  let rest = ms;
+  return units.slice(first, first + 2)
+    .map(([unit, size]) => {
+      const n = Math.floor(rest / size);
+      rest %= size;
+      return n ? `${n}${unit}` : null;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+function incidentLine(incident, locale) {
+  const start = `<t:${unixSeconds(incident.start)}:f>`;
+  if (!incident.end) return t(locale, 'status.incidentOngoing', { start: `<t:${unixSeconds(incident.start)}:R>` });
+  return `🟠 ${start} → <t:${unixSeconds(incident.end)}:t> (${formatDowntime(incident.end - incident.start)})`;
+}
+
+// history fields for /zipline status; empty when background checks are off
+function uptimeFields(locale) {
+  if (!uptimeMonitor) return [];
+  const summary = uptimeMonitor.summary();
+  const { day, week, month } = summary.uptime;
+  return [
+    {
+      name: t(locale, 'status.uptime'),
+      value: t(locale, 'status.uptimeValue', {
+        day: formatUptime(day, locale),
+        week: formatUptime(week, locale),
+        month: formatUptime(month, locale),
+      }),
+      inline: false,
+    },
+    {
+      name: t(locale, 'status.responseTime'),
+      value: summary.averageResponseMs === null ? t(locale, 'status.noData') : `${summary.averageResponseMs} ms`,
+      inline: true,
+    },
+    {
+      name: t(locale, 'status.incidents'),
+      value: summary.incidents.length
+        ? summary.incidents.map(incident => incidentLine(incident, locale)).join('\n')
+        : t(locale, 'status.noIncidents'),
+      inline: false,
+    },
+  ];
+}
+
+function buildUptimeAlertEmbed({ online, incident }, locale) {
+  const embed = new EmbedBuilder().setTimestamp();
+  if (online) {
+    return embed
+      .setTitle(t(locale, 'uptime.upTitle'))
+      .setDescription(t(locale, 'uptime.upDescription', {
+        url: ZIPLINE_BASE_URL,
+        duration: formatDowntime(incident.end - incident.start),
+      }))
+      .setColor(0x00ff00);
+  }
+
+  embed
+    .setTitle(t(locale, 'uptime.downTitle'))
+    .setDescription(t(locale, 'uptime.downDescription', {
+      url: ZIPLINE_BASE_URL,
+      time: `<t:${unixSeconds(incident.start)}:R>`,
+    }))
+    .setColor(0xff0000);
+  if (incident.statusCode) {
+    embed.addFields({ name: t(locale, 'status.statusCode'), value: String(incident.statusCode), inline: true });
+  }
+  if (incident.error) {
+    embed.addFields({ name: t(locale, 'status.error'), value: trimUrl(String(incident.error), 1000), inline: false });
+  }
+  return embed;
+}
+
+// posts to every server that picked a channel with /zipline-admin status-alerts
+async function announceUptimeChange(client, change) {
+  for (const [guildId, settings] of storage.listGuildSettings()) {
+    if (!settings.statusAlertChannelId) continue;
+    try {
+      const channel = await client.channels.fetch(settings.statusAlertChannelId);
+      await channel.send({ embeds: [buildUptimeAlertEmbed(change, channel.guild?.preferredLocale)] });
+    } catch (e) {
+      logError(e, 'zipline.announceUptimeChange', { guildId, channelId: settings.statusAlertChannelId });
+    }
+  }
+}
+
+// called from index.js once the client is ready
+export function startUptimeMonitor(client) {
+  if (!UPTIME_CHECK_INTERVAL || uptimeMonitor) return;
+  uptimeMonitor = createUptimeMonitor({
+    check: ziplineGetVersion,
+    store: {
+      load: () => storage.getUptimeHistory(ZIPLINE_BASE_URL),
+      save: history => storage.setUptimeHistory(ZIPLINE_BASE_URL, history),
+    },
+    intervalMs: UPTIME_CHECK_INTERVAL,
+    onChange: change => {
+      if (change.online) console.log(chalk.green('[UPTIME]'), `${ZIPLINE_BASE_URL} is back up`);
+      else console.warn(chalk.red('[UPTIME]'), `${ZIPLINE_BASE_URL} is down (${change.incident.error || change.incident.statusCode})`);
+      return announceUptimeChange(client, change);
+    },
+    onError: e => logError(e, 'zipline.uptimeMonitor'),
+  });
+  uptimeMonitor.start();
+}
+
+
 // --- context menu / message upload handler ---
 export async function handleMessageUpload(interaction) {
+  const locale = localeFor(interaction);
   try {
     const userId = interaction.user.id;
     const target = interaction.targetMessage;
 
-    let fileUrl = null;
-    let filename = null;
+    const items = [];
 
     // attachments (preferred)
     if (target.attachments && target.attachments.size > 0) {
-      const attachment = target.attachments.first();
-      fileUrl = attachment.url;
-      filename = attachment.name || null;
+      for (const attachment of target.attachments.values()) {
+        items.push({ url: attachment.url, name: attachment.name || null });
+      }
     }
 
-    // embeds
-    if (!fileUrl && target.embeds && target.embeds.length > 0) {
+    // embedded images
+    if (target.embeds && target.embeds.length > 0) {
       for (const e of target.embeds) {
-        if (e.image && e.image.url) { fileUrl = e.image.url; break; }
-        if (e.thumbnail && e.thumbnail.url) { fileUrl = e.thumbnail.url; break; }
-        if (e.url) { fileUrl = e.url; break; }
+        const url = (e.image && e.image.url) || (e.thumbnail && e.thumbnail.url) || null;
+        if (url && !items.some(i => i.url === url)) items.push({ url, name: null });
       }
     }
 
-    // plain text URLs
-    if (!fileUrl && target.content) {
+    // embed links or plain text URLs when there is nothing else
+    if (!items.length && target.embeds) {
+      const e = target.embeds.find(em => em.url);
+      if (e) items.push({ url: e.url, name: null });
+    }
+    if (!items.length && target.content) {
       const m = target.content.match(/https?:\/\/[^\s<>)"']+/i);
-      if (m) fileUrl = m[0];
+      if (m) items.push({ url: m[0], name: null });
     }
 
-    if (!fileUrl) {
+    if (!items.length) {
       await interaction.reply({
-        content: '❗️ This message has no attachments or recognised URLs to upload.',
+        content: t(locale, 'messageUpload.nothing'),
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
 
-    // derive filename
-    if (!filename) {
-      try {
-        const parsed = new URL(fileUrl);
-        const base = path.basename(parsed.pathname) || '';
-        filename = decodeURIComponent(base) || `file_${Date.now()}`;
-      } catch {
-        filename = `file_${Date.now()}`;
-      }
+    for (const item of items) {
+      if (!item.name) item.name = filenameFromUrl(item.url);
+    }
+
+    const userAccount = getUserAccount(userId);
+    const restriction = guildRestriction(interaction, 'upload', { guest: !userAccount });
+    if (restriction) {
+      await interaction.reply({ content: restriction, flags: MessageFlags.Ephemeral });
+      return;
     }
 
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    if (!userAccount) {
+      const allowed = guestLimiter.checkUser(userId);
+      if (!allowed.ok) {
+        await interaction.editReply({ content: `❗ ${guestLimitMessage(allowed, locale)}` });
+        return;
+      }
+    }
+    const batch = items.slice(0, MAX_BATCH_FILES);
+    const results = await runQueuedUpload(interaction, queueLabel(batch, locale), (signal, onProgress) => uploadBatch({
+      userId,
+      account: userAccount,
+      items: batch,
+      overrides: userAccount ? guildUploadOverrides(interaction.guildId) : {},
+      onProgress,
+      details: interactionDetails(interaction),
+      signal,
+      locale,
+    }));
+    if (!results) return;
+
+    const embed = buildUploadResultEmbed(results, !userAccount, locale);
+    if (items.length > MAX_BATCH_FILES) {
+      embed.addFields({
+        name: t(locale, 'messageUpload.skipped'),
+        value: t(locale, 'messageUpload.skippedValue', { count: items.length - MAX_BATCH_FILES, max: MAX_BATCH_FILES }),
+        inline: false,
+      });
+    }
+
+    await interaction.editReply({
+      content: null,
+      embeds: [embed],
+      components: uploadResultComponents(results, !userAccount, locale),
+    });
+    return;
+  } catch (error) {
+    logError(error, 'zipline.handleMessageUpload', interactionDetails(interaction));
+    let msg = uploadErrorMessage(error, locale);
+    if (msg.length > 1900) msg = msg.substring(0, 1900) + '... (truncated)';
+
+    try {
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ content: t(locale, 'messageUpload.failed', { error: msg }), flags: MessageFlags.Ephemeral });
+      } else {
+        await interaction.reply({ content: t(locale, 'messageUpload.failed', { error: msg }), flags: MessageFlags.Ephemeral });
+      }
+    } catch (e) {
+      logError(e, 'zipline.handleMessageUpload.reply', interactionDetails(interaction));
+    }
+    return;
+  }
+}
+
+// --- context menu / message shorten handler ---
+export async function handleMessageShorten(interaction) {
+  const locale = localeFor(interaction);
+  try {
+    const userId = interaction.user.id;
+    const target = interaction.targetMessage;
 
-    const userToken = getUserToken(userId);
-    let lastUpdate = 0;
+    const account = getUserAccount(userId);
+    if (!account) {
+      await interaction.reply({
+        content: t(locale, 'common.setTokenFirst', { command: commandMention('zipline', 'settoken'), url: ZIPLINE_BASE_URL }),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
 
-    const onProgress = async (uploaded, total) => {
-      const now = Date.now();
-      if (now - lastUpdate < 3000 && uploaded < total) return; // limit updates to every 3s
-      lastUpdate = now;
+    const found = extractUrls(target.content);
+    if (!found.length) {
+      await interaction.reply({
+        content: t(locale, 'messageShorten.nothing'),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
 
-      const percentage = Math.floor((uploaded / total) * 100);
-      const filled = Math.floor(percentage / 10);
-      const bar = '█'.repeat(filled) + '░'.repeat(10 - filled);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
+    const urls = found.slice(0, 10);
+    const lines = [];
+    for (const url of urls) {
       try {
-        await interaction.editReply({
-          content: `⏳ Uploading... [${bar}] ${percentage}%`,
-          flags: MessageFlags.Ephemeral
-        });
+        const short = await ziplineShortenUrl(account, url);
+        lines.push(`✅ ${shortUrlFor(short, account.baseUrl)} → ${trimUrl(url)}`);
       } catch (e) {
-        // ignore edit errors (e.g. unknown interaction if too slow)
+        lines.push(`❌ ${trimUrl(url)} — ${trimUrl(e.message, 100)}`);
       }
-    };
-
-    let uploadResp;
-    if (userToken) {
-      uploadResp = await ziplineUploadFromUrl(userToken, fileUrl, filename, userId, onProgress);
-    } else {
-      uploadResp = await ziplineAnonUploadFromUrl(fileUrl, filename, onProgress);
     }
-
-    const urls = (uploadResp.files || [])
-      .map(f => f.url || `${(userToken ? ZIPLINE_BASE_URL : ANON_ZIPLINE_BASE_URL)}/u/${f.id}`)
-      .join('\n');
+    if (found.length > urls.length) lines.push(t(locale, 'messageShorten.more', { count: found.length - urls.length }));
 
     const embed = new EmbedBuilder()
-      .setTitle(userToken ? '✅ Upload Successful' : '✅ Guest Upload Successful')
-      .setDescription(`**[Click the link to view your upload](${urls})**`)
+      .setTitle(t(locale, 'messageShorten.title'))
+      .setDescription(lines.join('\n'))
       .setColor(0x00ff00);
 
-    if (!userToken) {
-      embed.addFields(
-        ANON_UPLOAD_EXPIRY
-          ? { name: '⏱ Expiry', value: `This file is set to expire after: \`${ANON_UPLOAD_EXPIRY}\``, inline: false }
-          : { name: '⏱ Expiry', value: 'No default expiry configured.', inline: false },
-      );
-    }
-
-    await interaction.editReply({ content: null, embeds: [embed] });
-    return;
+    await interaction.editReply({ embeds: [embed] });
   } catch (error) {
-    logError(error, 'zipline.handleMessageUpload');
+    logError(error, 'zipline.handleMessageShorten', interactionDetails(interaction));
     let msg = error instanceof Error ? error.message : String(error);
     if (msg.length > 1900) msg = msg.substring(0, 1900) + '... (truncated)';
 
     try {
       if (interaction.replied || interaction.deferred) {
-        await interaction.editReply({ content: `❌ Upload failed: ${msg}`, flags: MessageFlags.Ephemeral });
+        await interaction.editReply({ content: t(locale, 'messageShorten.failed', { error: msg }) });
       } else {
-        await interaction.reply({ content: `❌ Upload failed: ${msg}`, flags: MessageFlags.Ephemeral });
+        await interaction.reply({ content: t(locale, 'messageShorten.failed', { error: msg }), flags: MessageFlags.Ephemeral });
       }
     } catch (e) {
-      logError(e, 'zipline.handleMessageUpload.reply');
+      logError(e, 'zipline.handleMessageShorten.reply', interactionDetails(interaction));
     }
-    return;
   }
 }
 
@@ -1218,4 +3731,10 @@ export {
   ANON_ZIPLINE_BASE_URL,
   ANON_UPLOAD_EXPIRY,
   getReadableOSName,
+  getGuildSettings,
+  setGuildSettings,
+  resetGuildSettings,
+  isGuildManager,
+  localeFor,
+  ziplineGetVersion,
 };
@@ -1,35 +1,89 @@
 import { REST, Routes, ApplicationCommandType } from 'discord.js';
-import { data as ziplineData } from './commands/zipline.js';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { loadCommands, commandDefinitions, setCommandIds } from './utils/commandRegistry.js';
+import { initErrorReporter, reportError, flushErrorReports } from './utils/errorReporter.js';
 import chalk from 'chalk';
 
+// hash of the last registered definitions, so unchanged commands aren't re-PUT on every start
+const STATE_FILE = './data/commandDeploy.json';
+
 function logInfo(msg) { console.log(chalk.blue('[INFO]'), msg); }
 function logSuccess(msg) { console.log(chalk.green('[SUCCESS]'), msg); }
 function logError(error, ctx = '') {
   console.error(chalk.red('[ERROR]'), ctx, error);
+  reportError(error, ctx, { command: 'deploy-commands' });
 }
 
-export async function deployCommands(token, clientId) {
-  const rest = new REST({ version: '10' }).setToken(token);
+function readState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeState(state) {
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
 
-  // Slash command
-  const ziplineJson = ziplineData.toJSON();
-  ziplineJson.contexts = [0, 1, 2]; // GUILD, BOT_DM, PRIVATE_CHANNEL
+// guildId: register to that server only (updates show up instantly while developing)
+// force: register even when the definitions look unchanged
+export async function deployCommands(token, clientId, { guildId = null, force = false } = {}) {
+  const rest = new REST({ version: '10' }).setToken(token);
 
-  // Message context menu command
-  const ziplineMessageCommand = {
-    name: 'Upload with Zipline',
-    type: ApplicationCommandType.Message, // 3 
-    contexts: [0, 1, 2],                 // same contexts
-  };
+  await loadCommands();
+  const body = commandDefinitions();
+  const hash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+  const scope = guildId ? `guild ${guildId}` : 'global';
+  const route = guildId
+    ? Routes.applicationGuildCommands(clientId, guildId)
+    : Routes.applicationCommands(clientId);
 
   try {
-    logInfo('Registering global application commands...');
-    await rest.put(
-      Routes.applicationCommands(clientId),
-      { body: [ziplineJson, ziplineMessageCommand] },
-    );
-    logSuccess('Application commands registered successfully.');
+    let registered = null;
+    const previous = readState();
+    if (!force && previous && previous.hash === hash && previous.scope === scope && previous.clientId === clientId) {
+      // unchanged here, but commands may have been removed on Discord's side since
+      const existing = await rest.get(route);
+      const complete = body.every(cmd =>
+        existing.some(e => e.name === cmd.name && e.type === (cmd.type ?? ApplicationCommandType.ChatInput)));
+      if (complete) {
+        registered = existing;
+        logInfo(`Application commands (${scope}) are up to date.`);
+      }
+    }
+
+    if (!registered) {
+      logInfo(`Registering ${scope} application commands...`);
+      registered = await rest.put(route, { body });
+      writeState({ hash, scope, clientId, registeredAt: new Date().toISOString() });
+      logSuccess('Application commands registered successfully.');
+    }
+
+    // the IDs are what makes </zipline settoken:id> mentions clickable
+    setCommandIds(Object.fromEntries(registered.map(cmd => [cmd.name, cmd.id])));
+    return true;
   } catch (err) {
     logError(err, 'Registering application commands');
+    return false;
   }
-}
\ No newline at end of file
+}
+
+// `npm run deploy-commands` registers the commands without starting the bot;
+// `npm run deploy-commands:guild` (--guild) registers them to config.guildId only, for development
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { config } = await import('./utils/config.js');
+  const toGuild = process.argv.includes('--guild');
+  if (toGuild && !config.guildId) {
+    console.error(chalk.red('[ERROR]'), '--guild needs a valid guildId (a Discord server ID) in config.json.');
+    process.exit(1);
+  }
+  initErrorReporter(config.errorWebhookUrl);
+  const ok = await deployCommands(config.discordToken, config.clientId, { guildId: toGuild ? config.guildId : null, force: true });
+  await flushErrorReports();
+  process.exit(ok ? 0 : 1);
+}
@@ -1,48 +1,69 @@
-import { Events, MessageFlags, ApplicationCommandType } from 'discord.js';
-import {
-  execute as executeZipline,
-  handleComponents as handleZiplineComponents,
-  handleMessageUpload as handleZiplineMessageUpload
-} from '../commands/zipline.js';
+import { Events, MessageFlags } from 'discord.js';
+import { localeFor } from '../commands/zipline.js';
+import { getCommand, listCommands } from '../utils/commandRegistry.js';
+import { reportError, interactionDetails } from '../utils/errorReporter.js';
+import { t } from '../utils/i18n.js';
+import { histogram } from '../utils/metrics.js';
 import chalk from 'chalk';
 
-function logError(error, ctx = '') {
+function logError(error, ctx = '', details = {}) {
   console.error(chalk.red('[ERROR]'), ctx);
   if (error instanceof Error) console.error(chalk.red(error.stack));
   else console.error(chalk.red(error));
+  reportError(error, ctx, details);
+}
+
+const commandDuration = histogram(
+  'zipline_bot_command_duration_seconds',
+  'Time from receiving a command until its handler finished, by subcommand',
+);
+
+// "file info" for grouped subcommands, "" for commands without subcommands (e.g. context menus)
+function subcommandName(interaction) {
+  if (!interaction.isChatInputCommand()) return '';
+  const group = interaction.options.getSubcommandGroup(false);
+  const sub = interaction.options.getSubcommand(false);
+  return [group, sub].filter(Boolean).join(' ');
 }
 
 export function registerInteractionHandler(client) {
   client.on(Events.InteractionCreate, async interaction => {
     try {
-      // Slash commands
-      if (interaction.isChatInputCommand()) {
-        if (interaction.commandName === 'zipline') {
-          await executeZipline(interaction);
+      // Slash commands and context menus, routed by name through the command registry
+      if (interaction.isChatInputCommand() || interaction.isContextMenuCommand()) {
+        const command = getCommand(interaction.commandName);
+        if (!command) return;
+        const started = performance.now();
+        try {
+          await command.execute(interaction);
+        } finally {
+          commandDuration.observe(
+            { command: interaction.commandName, subcommand: subcommandName(interaction) },
+            (performance.now() - started) / 1000,
+          );
         }
         return;
       }
 
-      // Message context menu: "Upload with Zipline"
-      if (
-        interaction.isMessageContextMenuCommand() &&
-        interaction.commandName === 'Upload with Zipline'
-      ) {
-        await handleZiplineMessageUpload(interaction);
+      // Autocomplete for slash command options
+      if (interaction.isAutocomplete()) {
+        await getCommand(interaction.commandName)?.handleAutocomplete?.(interaction);
         return;
       }
 
-      // Components & modals for zipline (buttons, modals, pagination, settings)
-      const handled = await handleZiplineComponents(interaction);
-      if (handled) return;
+      // Components & modals (buttons, modals, pagination, settings); first module to claim it wins
+      for (const command of listCommands()) {
+        if (command.handleComponents && await command.handleComponents(interaction)) return;
+      }
     } catch (error) {
-      logError(error, 'InteractionHandler');
+      logError(error, 'InteractionHandler', interactionDetails(interaction));
+      if (interaction.isAutocomplete()) return;
       try {
         if (interaction.deferred || interaction.replied) {
-          await interaction.editReply('❌ An error occurred.');
+          await interaction.editReply(t(localeFor(interaction), 'common.error'));
         } else {
           await interaction.reply({
-            content: '❌ An error occurred.',
+            content: t(localeFor(interaction), 'common.error'),
             flags: MessageFlags.Ephemeral
           });
         }
@@ -0,0 +1,9 @@
+import { Events } from 'discord.js';
+import { handleMirrorMessage } from '../commands/zipline.js';
+
+export function registerMessageHandler(client) {
+  client.on(Events.MessageCreate, async message => {
+    // Auto-mirror channels (configured with /zipline-admin mirror)
+    await handleMirrorMessage(message);
+  });
+}
@@ -1,19 +1,27 @@
 // index.js
-import { Client, GatewayIntentBits, Events } from 'discord.js';
+import { Client, GatewayIntentBits, Events, Status } from 'discord.js';
 import { deployCommands } from './deploy-commands.js';
 import { registerInteractionHandler } from './handlers/interactionCreate.js';
-import fs from 'fs';
+import { registerMessageHandler } from './handlers/messageCreate.js';
+import { initErrorReporter, reportError } from './utils/errorReporter.js';
+import { config } from './utils/config.js';
+import { startHttpServer } from './utils/httpServer.js';
+import { gauge } from './utils/metrics.js';
+import { ziplineGetVersion, startUptimeMonitor } from './commands/zipline.js';
 import chalk from 'chalk';
 
-const config = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
+initErrorReporter(config.errorWebhookUrl);
 
 function logSuccess(msg) {
   console.log(chalk.green('[SUCCESS]'), msg);
 }
 
-const client = new Client({
-  intents: [GatewayIntentBits.Guilds],
-});
+const intents = [GatewayIntentBits.Guilds];
+if (config.enableMirrorChannels) {
+  // GuildMessages + MessageContent (privileged) are needed to see attachments in mirror channels
+  intents.push(GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent);
+}
+const client = new Client({ intents });
 
 client.once(Events.ClientReady, () => {
   logSuccess(`Logged in as ${client.user.tag}`);
@@ -24,10 +32,40 @@ client.once(Events.ClientReady, () => {
       type: 4,
     }],
   });
+  startUptimeMonitor(client);
+});
+
+process.on('unhandledRejection', error => {
+  console.error(chalk.red('[ERROR]'), 'unhandledRejection', error);
+  reportError(error, 'unhandledRejection');
 });
 
-// register interaction handler
+// register interaction and message handlers
 registerInteractionHandler(client);
+if (config.enableMirrorChannels) registerMessageHandler(client);
+
+// optional /healthz and /metrics for pm2, uptime checks and Prometheus
+if (config.httpPort) {
+  gauge('zipline_bot_gateway_connected', '1 while the Discord gateway connection is ready', () =>
+    (client.ws.status === Status.Ready ? 1 : 0));
+  gauge('zipline_bot_gateway_ping_seconds', 'Discord gateway heartbeat latency', () =>
+    Math.max(client.ws.ping, 0) / 1000);
+
+  startHttpServer({
+    port: config.httpPort,
+    host: config.httpHost,
+    health: async () => {
+      const gatewayReady = client.ws.status === Status.Ready;
+      const started = Date.now();
+      const zipline = await ziplineGetVersion();
+      return {
+        ok: gatewayReady && zipline.online,
+        gateway: { connected: gatewayReady, status: Status[client.ws.status], pingMs: client.ws.ping },
+        zipline: { ...zipline, responseTimeMs: Date.now() - started },
+      };
+    },
+  });
+}
 
 await deployCommands(config.discordToken, config.clientId);
 await client.login(config.discordToken);
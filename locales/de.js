@@ -0,0 +1,439 @@
+// locales/de.js
+// German catalog; keys missing here fall back to English.
+
+export default {
+  // --- common ---
+  'common.error': '❌ Es ist ein Fehler aufgetreten.',
+  'common.yes': 'Ja',
+  'common.no': 'Nein',
+  'common.none': 'Keine',
+  'common.unknown': 'Unbekannt',
+  'common.unnamed': 'Unbenannt',
+  'common.delete': 'Löschen',
+  'common.cancel': 'Abbrechen',
+  'common.back': '⬅️ Zurück',
+  'common.next': '➡️ Weiter',
+  'common.page': 'Seite {page} von {pages}',
+  'common.pageOpen': 'Seite {page}',
+  'common.onlyYouCanNavigate': 'Nur du kannst hier blättern!',
+  'common.setTokenFirst': '❗ Bitte hinterlege zuerst deinen Token mit {command}.\n🔗 Zipline-URL: {url}',
+  'common.setTokenFirstShort': '❗ Bitte hinterlege zuerst deinen Token.',
+  'common.deletionCancelled': 'Löschen abgebrochen.',
+  'common.botUserId': '🆔 Bot-Benutzer-ID',
+
+  // --- guest limits ---
+  'guest.limit.user.perHour': 'Du hast das Limit von {count} Gast-Upload(s) pro Stunde erreicht.',
+  'guest.limit.global.perHour': 'Die Gast-Instanz hat das Limit von {count} Gast-Upload(s) pro Stunde erreicht.',
+  'guest.limit.user.perDay': 'Du hast dein Gast-Kontingent von {size} pro Tag aufgebraucht.',
+  'guest.limit.global.perDay': 'Die Gast-Instanz hat ihr Kontingent von {size} pro Tag aufgebraucht.',
+  'guest.limit.fileOverDaily': 'Diese Datei ist größer als das Gast-Kontingent von {size} pro Tag.',
+  'guest.limit.maxSize': 'Gast-Uploads dürfen höchstens {size} groß sein.',
+  'guest.limit.extension': 'Gäste können nur {extensions}-Dateien hochladen.',
+  'guest.limit.mimeType': 'Gäste können nur Dateien vom Typ {types} hochladen.',
+  'guest.retryAt': 'Du kannst {time} wieder hochladen.',
+
+  // --- expiry & compression input ---
+  'expiry.invalidDate': '`{input}` ist kein gültiges Datum. Verwende `7d`, `2w`, `1h30m`, `JJJJ-MM-TT` oder `nie`.',
+  'expiry.past': '`{input}` liegt in der Vergangenheit. Wähle ein Datum in der Zukunft.',
+  'expiry.unreadable': '`{input}` konnte nicht gelesen werden. Verwende `7d`, `2w`, `1h30m`, `JJJJ-MM-TT` oder `nie`.',
+  'expiry.unreadableDuration': '`{input}` konnte nicht gelesen werden. Verwende `7d`, `2w`, `1h30m` oder `nie`.',
+  'expiry.unknownUnit': 'Unbekannte Einheit `{unit}` in `{input}`. Verwende `7d`, `2w`, `1h30m`, `JJJJ-MM-TT` oder `nie`.',
+  'expiry.unknownUnitDuration': 'Unbekannte Einheit `{unit}` in `{input}`. Verwende `7d`, `2w`, `1h30m` oder `nie`.',
+  'expiry.tooShort': 'Die Ablaufzeit muss mindestens eine Minute betragen.',
+  'expiry.tooLong': 'Die Ablaufzeit darf höchstens 10 Jahre betragen.',
+  'expiry.dateAsDefault': 'Ein gespeicherter Standard kann kein festes Datum wie `{input}` sein, er würde nach diesem Datum nicht mehr funktionieren. Verwende eine Dauer wie `7d`, `2w` oder `1h30m`.',
+  'compression.outOfRange': 'Die Komprimierung muss eine Zahl von {min} bis {max} (Prozent) oder `none` sein.',
+
+  // --- guild restrictions ---
+  'restriction.roles.upload': '❗ Auf diesem Server können nur Mitglieder mit einer dieser Rollen Dateien hochladen: {roles}',
+  'restriction.roles.delete': '❗ Auf diesem Server können nur Mitglieder mit einer dieser Rollen Dateien löschen: {roles}',
+  'restriction.guestUploads': '❗ Gast-Uploads sind auf diesem Server deaktiviert. Verknüpfe zuerst dein eigenes Zipline-Konto mit `/zipline settoken`.',
+
+  // --- settoken / logout / instances ---
+  'settoken.invalidInstance': '❗ Die Instanz muss eine http(s)-URL wie `https://zipline.example.com` sein.',
+  'settoken.privateInstance': '❗ Diese Instanz liegt in einem privaten Netzwerk oder auf dem Host des Bots und kann daher nicht verknüpft werden. Bitte den Bot-Betreiber, sie zu `trustedInstanceUrls` hinzuzufügen.',
+  'settoken.saved.title': '✅ Token gültig & gespeichert!',
+  'settoken.saved.description': '**Benutzer:** {user}\n**Rolle:** {role}\n**Speicher:** {used}/{max}',
+  'settoken.saved.openDashboard': 'Dashboard öffnen',
+  'settoken.saved.activeFooter': 'Das ist jetzt deine aktive Instanz. Mit /zipline instances kannst du wechseln.',
+  'settoken.invalid.title': '❌ Ungültiger Token',
+  'settoken.invalid.error': '**Fehler:** {error}',
+  'settoken.invalid.unauthorized': 'HTTP {status} - Ungültiger Token oder keine Berechtigung',
+  'settoken.invalid.network': 'Netzwerkfehler oder ungültige Zipline-URL',
+  'settoken.invalid.tip': '💡 Tipp',
+  'settoken.invalid.tipValue': 'Deinen Token findest du unter {url}/dashboard',
+  'settoken.invalid.dashboard': 'Zipline-Dashboard',
+  'logout.unknownInstance': '❗ Diese Instanz hast du nicht verknüpft.',
+  'logout.switched': '🚪 Von {instance} abgemeldet. Deine aktive Instanz ist jetzt {active}.',
+  'logout.done': '🚪 Du wurdest abgemeldet.',
+  'instances.title': '🌐 Deine Zipline-Instanzen',
+  'instances.active': '(aktiv)',
+  'instances.empty': 'Du hast noch keine Instanz verknüpft. Füge mit `/zipline settoken` eine hinzu.',
+  'instances.footer': 'Wähle unten eine Instanz, um sie zu aktivieren.',
+  'instances.placeholder': 'Aktive Instanz wechseln',
+  'instances.notLinked': '❗ Diese Instanz ist nicht mehr verknüpft.',
+
+  // --- info commands ---
+  'invite.message': '🤖 Lade mich mit diesem Link ein:\n{link}',
+  'about.header': '💡 **Zipline Bot v{version}**',
+  'about.upload': 'Eine Datei hochladen',
+  'about.fileInfo': 'Uploads favorisieren, umbenennen, schützen oder verschieben',
+  'about.folderList': 'Ordner erstellen, ansehen und löschen',
+  'about.support': 'Support',
+  'about.website': 'Webseite',
+  'help.message': 'Brauchst du Hilfe? Sieh dir die Dokumentation unten an.\n\nFür alles andere bist du auf unserem Support-Server willkommen:\nhttps://discord.gg/9rr2uRZbuV.',
+  'help.botDocs': 'Bot-Doku',
+  'status.online': '✅ Zipline online',
+  'status.offline': '❌ Zipline offline',
+  'status.statusCode': 'Statuscode',
+  'status.version': 'Version',
+  'status.error': 'Fehler',
+  'status.uptime': '📈 Verfügbarkeit',
+  'status.uptimeValue': '24 Std.: **{day}** · 7 Tage: **{week}** · 30 Tage: **{month}**',
+  'status.noData': 'noch keine Daten',
+  'status.responseTime': '⏱️ Ø Antwortzeit (24 Std.)',
+  'status.incidents': '🗂️ Letzte Ausfälle',
+  'status.noIncidents': 'Keine Ausfälle in den letzten 30 Tagen',
+  'status.incidentOngoing': '🔴 Nicht erreichbar seit {start}',
+  'uptime.downTitle': '🔴 Zipline ist nicht erreichbar',
+  'uptime.downDescription': '{url} antwortet seit {time} nicht mehr.',
+  'uptime.upTitle': '🟢 Zipline ist wieder erreichbar',
+  'uptime.upDescription': '{url} ist nach {duration} Ausfall wieder erreichbar.',
+  'me.title': '👤 Kontoinformationen',
+  'me.username': 'Benutzername',
+  'me.role': 'Rolle',
+  'me.storage': '📦 Speicher',
+  'me.instance': '🌐 Instanz',
+  'stats.title': '📊 Server- & Zipline-Statistiken',
+  'stats.unavailable': 'Nicht verfügbar',
+  'stats.host': '🖥️ Host-System',
+  'stats.hostValue': '**OS:** {os}\n**Laufzeit:** {uptime}\n**CPUs:** {cpus}\n**RAM:** {ram}',
+  'stats.zipline': '📈 Zipline',
+  'stats.ziplineValue': '**Benutzer:** {users}\n**Dateien:** {files}\n**Belegter Speicher:** {storage}\n**Dateiaufrufe:** {views}\n**URLs:** {urls}',
+  'stats.userUsed': '**Belegt:** {used}',
+
+  // --- settings ---
+  'settings.title': '⚙️ Benutzereinstellungen',
+  'settings.description': 'Verwalte deine Standard-Upload-Einstellungen',
+  'settings.footer': 'Klicke unten auf einen Button, um Einstellungen zu ändern',
+  'settings.expiry': '📅 Ablauf',
+  'settings.compression': '🗜️ Komprimierung',
+  'settings.folder': '📁 Ordner',
+  'settings.language': '🌍 Sprache',
+  'settings.languageAuto': 'Automatisch (Discord-Sprache)',
+  'settings.languagePlaceholder': 'Sprache des Bots',
+  'settings.notSet': 'Nicht gesetzt',
+  'settings.editExpiry': 'Ablauf ändern',
+  'settings.editCompression': 'Komprimierung ändern',
+  'settings.editFolder': 'Ordner ändern',
+  'settings.expiryModal.title': 'Ablauf (Dauer)',
+  'settings.expiryModal.label': 'Ablauf (7d, 2w, 1h30m oder nie)',
+  'settings.compressionModal.title': 'Komprimierungsstufe',
+  'settings.compressionModal.label': 'Komprimierung ({min}-{max} oder none)',
+  'settings.folderPlaceholder': 'Standardordner auswählen',
+  'settings.noDefaultFolder': 'Kein Standardordner',
+  'settings.updated.title': '✅ Einstellungen aktualisiert!',
+  'settings.updated.description': 'Deine neuen Standard-Upload-Einstellungen:',
+  'settings.updated.footer': 'Diese Einstellungen gelten für alle künftigen Uploads.',
+  'settings.expiresAt': 'Ein jetzt hochgeladener Upload würde am {date} ablaufen ({relative}).',
+  'settings.neverExpires': 'Uploads laufen nicht ab.',
+
+  // --- files ---
+  'file.untitled': 'Datei',
+  'file.viewLink': 'Klicke auf den Link, um deinen Upload anzusehen',
+  'file.favorite': '⭐ Favorit',
+  'file.password': '🔒 Passwort',
+  'file.passwordSet': 'Gesetzt',
+  'file.views': '👁️ Aufrufe',
+  'file.folder': '📁 Ordner',
+  'file.size': '📦 Größe',
+  'file.button.favorite': 'Favorisieren',
+  'file.button.unfavorite': 'Nicht mehr favorisieren',
+  'file.button.password': 'Passwort',
+  'file.button.maxViews': 'Max. Aufrufe',
+  'file.button.rename': 'Umbenennen',
+  'file.button.move': 'Verschieben',
+  'file.modal.password.title': 'Passwort setzen',
+  'file.modal.password.label': 'Passwort (leer lassen zum Entfernen)',
+  'file.modal.maxviews.title': 'Max. Aufrufe setzen',
+  'file.modal.maxviews.label': 'Max. Aufrufe (0 oder leer zum Entfernen)',
+  'file.modal.rename.title': 'Datei umbenennen',
+  'file.modal.rename.label': 'Neuer ursprünglicher Dateiname',
+  'file.selectFolder': 'Ordner auswählen',
+  'file.maxViewsInvalid': '❗ Max. Aufrufe müssen eine positive Zahl sein.',
+  'file.updateFailed': '❌ Die Datei konnte nicht aktualisiert werden: {error}',
+  'file.loadFailed': '❌ Die Datei konnte nicht geladen werden.',
+  'file.notFound': '❗ Datei nicht gefunden. Wähle einen deiner Uploads aus der Liste.',
+  'file.delete.title': '🗑️ Datei löschen?',
+  'file.delete.confirm': 'Möchtest du **{name}** wirklich löschen?\nDas kann nicht rückgängig gemacht werden.',
+  'file.deleteFailed': '❌ Die Datei konnte nicht gelöscht werden.',
+  'file.deleted': '✅ Datei gelöscht',
+
+  // --- folders ---
+  'folder.created': '📁 Ordner erstellt',
+  'folder.public': 'öffentlich',
+  'folder.default': 'Standard',
+  'folder.none': '📁 Du hast noch keine Ordner.',
+  'folder.listTitle': '📁 Deine Ordner',
+  'folder.count': '{count} Ordner',
+  'folder.fileCount': '{count} Datei(en)',
+  'folder.more': '… und {count} weitere',
+  'folder.empty': 'Dieser Ordner ist leer.',
+  'folder.notFound': '❗ Ordner nicht gefunden. Wähle einen deiner Ordner aus der Liste.',
+  'folder.delete.title': '🗑️ Ordner löschen?',
+  'folder.delete.confirm': 'Möchtest du den Ordner **{name}** wirklich löschen?',
+  'folder.deleteFailed': '❌ Der Ordner konnte nicht gelöscht werden.',
+  'folder.deleted': '✅ Ordner gelöscht',
+
+  // --- listing ---
+  'list.title': 'Deine Uploads',
+  'list.created': 'Erstellt: {time}',
+  'list.createdUnknown': 'unbekannt',
+  'list.managePlaceholder': 'Datei verwalten…',
+  'list.invalidDate': '❗ Datumsangaben müssen wie `2025-01-31` aussehen.',
+  'list.empty': 'Keine Uploads gefunden.',
+  'list.emptyLimited': 'Keine Treffer in den ersten {count} geprüften Dateien. Es gibt eventuell weitere Ergebnisse, versuche engere Filter.',
+  'list.moreMayExist': 'Es gibt eventuell weitere Ergebnisse',
+
+  // --- uploads ---
+  'upload.title.success': '✅ Upload erfolgreich',
+  'upload.title.failed': '❌ Upload fehlgeschlagen',
+  'upload.title.partial': '⚠️ Upload teilweise erfolgreich',
+  'upload.title.cancelled': '🛑 Upload abgebrochen',
+  'upload.title.guestSuccess': '✅ Gast-Upload erfolgreich',
+  'upload.title.guestFailed': '❌ Gast-Upload fehlgeschlagen',
+  'upload.title.guestPartial': '⚠️ Gast-Upload teilweise erfolgreich',
+  'upload.title.guestCancelled': '🛑 Gast-Upload abgebrochen',
+  'upload.footer': '{ok}/{total} Datei(en) hochgeladen',
+  'upload.expiry': '⏱ Ablauf',
+  'upload.expiryValue': 'Diese Datei läuft ab nach: `{expiry}`',
+  'upload.noExpiry': 'Kein Standard-Ablauf eingestellt.',
+  'upload.resume': '{name} fortsetzen',
+  'upload.cancelled': 'Abgebrochen',
+  'upload.rejected': 'Zipline hat den Upload abgelehnt (HTTP {status}).',
+  'upload.expiryPassed': 'Der Ablauf {date} ist bereits vorbei, daher wurde nichts hochgeladen. Lege in {command} einen neuen fest oder bitte einen Server-Admin, den Server-Standard zu ändern.',
+  'upload.downloadFailed': 'Der Anhang konnte nicht von Discord heruntergeladen werden.',
+  'upload.guestNotConfigured': 'Gast-Uploads sind für diesen Bot nicht eingerichtet (keine Gast-Zipline-Instanz oder kein Token).',
+  'upload.partialRejected': 'Zipline hat gemeldet, dass der Upload in Teilen fehlgeschlagen ist.',
+  'upload.chunkRejected': 'Zipline hat den Teil abgelehnt (HTTP {status})',
+  'upload.chunkFailed': 'Teil {chunk} (Bytes {from}-{to}) ist nach {attempts} Versuch(en) fehlgeschlagen: {reason}',
+  'upload.networkError': 'Zipline war nicht erreichbar (Netzwerkfehler).',
+  'upload.blockedInstance': 'Diese Zipline-Instanz liegt in einem privaten Netzwerk oder auf dem Host des Bots, daher verbindet sich der Bot nicht mit ihr.',
+  'upload.progress': '⏳ Wird hochgeladen...',
+  'upload.noPublicResults': '❗ Upload-Ergebnisse dürfen auf diesem Server nicht öffentlich gepostet werden.',
+  'upload.publicBy': '📤 Hochgeladen von {user}',
+  'upload.multipleFiles': '{count} Dateien',
+  'resume.expired': '❗ Dieser Upload kann nicht mehr fortgesetzt werden.',
+  'resume.notOwner': '❗ Nur die Person, die diesen Upload gestartet hat, kann ihn fortsetzen.',
+  'resume.noToken': '❗ Für diese Instanz ist kein Zipline-Token mehr gesetzt, daher kann dieser Upload nicht fortgesetzt werden.',
+  'resume.passwordLost': '❗ Das Passwort für diesen Upload ging beim Neustart des Bots verloren, daher kann er nicht fortgesetzt werden.',
+  'paste.title': 'In Zipline einfügen',
+  'paste.content': 'Text oder Code',
+  'paste.filename': 'Dateiname (optional)',
+  'paste.language': 'Sprache / Endung (z. B. js, python, log)',
+
+  // --- upload queue ---
+  'queue.waiting': '🕒 In der Upload-Warteschlange — Position **{position}**. Dein Upload startet automatisch.',
+  'queue.cancelledBeforeStart': '🛑 Upload wurde vor dem Start abgebrochen.',
+  'queue.title': '🕒 Deine Uploads',
+  'queue.running': '⏳ **{label}** — lädt hoch seit {time}',
+  'queue.queued': '🕒 **{label}** — Position {position} in der Warteschlange',
+  'queue.empty': 'Du hast keine laufenden oder wartenden Uploads.',
+  'queue.footer': '{running}/{concurrency} Upload-Plätze belegt, {queued} wartend insgesamt',
+  'queue.finished': '❗ Dieser Upload ist bereits abgeschlossen.',
+  'queue.notOwner': '❗ Nur die Person, die diesen Upload gestartet hat, kann ihn abbrechen.',
+  'queue.cancelling': '🛑 Upload wird abgebrochen...',
+
+  // --- short links ---
+  'shorten.invalidUrl': '❗ Bitte gib eine gültige http(s)-URL an.',
+  'shorten.title': '🔗 URL gekürzt',
+  'urls.title': 'Deine Kurzlinks',
+  'urls.empty': 'Keine Kurzlinks gefunden.',
+  'urls.deletePlaceholder': 'Kurzlink löschen…',
+  'urls.deleteConfirm': 'Kurzlink {url} löschen?',
+  'urls.deleteFailed': '❌ Der Kurzlink konnte nicht gelöscht werden.',
+  'urls.deleted': '✅ Kurzlink gelöscht.',
+
+  // --- context menu commands ---
+  'messageUpload.nothing': '❗️ Diese Nachricht enthält keine Anhänge oder erkannten URLs zum Hochladen.',
+  'messageUpload.skipped': 'Übersprungen',
+  'messageUpload.skippedValue': '{count} weitere Datei(en) über dem Limit von {max}',
+  'messageUpload.failed': '❌ Upload fehlgeschlagen: {error}',
+  'messageShorten.nothing': '❗️ Diese Nachricht enthält keine URLs zum Kürzen.',
+  'messageShorten.more': '… {count} weitere URL(s) übersprungen',
+  'messageShorten.title': '🔗 Links gekürzt',
+  'messageShorten.failed': '❌ Kürzen fehlgeschlagen: {error}',
+
+  // --- auto-mirror ---
+  'mirror.threadName': 'Zipline-Uploads',
+  'mirror.summaryHeader': '📚 **Gespiegelte Uploads**',
+  'mirror.failed': 'Upload fehlgeschlagen',
+
+  // --- /zipline-admin ---
+  'admin.guildOnly': '❗ Dieser Befehl kann nur auf einem Server verwendet werden.',
+  'admin.needManageGuild': '❗ Du brauchst die Berechtigung **Server verwalten**, um diesen Befehl zu nutzen.',
+  'admin.mirrorDisabled': '❗ Gespiegelte Kanäle sind für diesen Bot deaktiviert. Der Bot-Betreiber muss zuerst `enableMirrorChannels` in der Konfiguration setzen.',
+  'admin.updated': '✅ Servereinstellungen aktualisiert',
+  'admin.title': '🛠️ Zipline-Einstellungen für {guild}',
+  'admin.thisServer': 'diesen Server',
+  'admin.everyone': 'Alle',
+  'admin.allowed': 'Erlaubt',
+  'admin.disabled': 'Deaktiviert',
+  'admin.userSetting': 'Benutzereinstellung',
+  'admin.modeThread': 'Zusammenfassung im Thread',
+  'admin.modeReply': 'Antwort',
+  'admin.guestUploads': '👥 Gast-Uploads',
+  'admin.publicResults': '📢 Öffentliche Ergebnisse',
+  'admin.roles': '🔐 Rollen für Upload/Löschen',
+  'admin.defaultExpiry': '📅 Standard-Ablauf',
+  'admin.defaultCompression': '🗜️ Standard-Komprimierung',
+  'admin.mirrorChannels': '🪞 Gespiegelte Kanäle',
+  'admin.statusAlerts': '🚨 Statusmeldungen',
+  'admin.footer': 'Server-Standards überschreiben die Upload-Einstellungen der Mitglieder.',
+
+  // --- slash command localizations (registered by deployCommands) ---
+  'command.uploadWithZipline.name': 'Mit Zipline hochladen',
+  'command.shortenWithZipline.name': 'Links mit Zipline kürzen',
+  'command.zipline.description': 'Zipline-Befehle',
+  'command.zipline.settoken.name': 'token-setzen',
+  'command.zipline.settoken.description': 'Deinen Zipline-API-Token hinterlegen',
+  'command.zipline.settoken.token.description': 'Dein Token',
+  'command.zipline.settoken.instance.description': 'URL deiner Zipline-Instanz (standardmäßig die Instanz des Bots)',
+  'command.zipline.instances.name': 'instanzen',
+  'command.zipline.instances.description': 'Verknüpfte Zipline-Instanzen anzeigen und zwischen ihnen wechseln',
+  'command.zipline.me.name': 'ich',
+  'command.zipline.me.description': 'Deine Kontoinformationen anzeigen',
+  'command.zipline.list.name': 'liste',
+  'command.zipline.list.description': 'Deine Uploads auflisten',
+  'command.zipline.list.search.description': 'Dateinamen durchsuchen',
+  'command.zipline.list.type.description': 'MIME-Typ, z. B. image/png oder video',
+  'command.zipline.list.favorites.description': 'Nur Favoriten anzeigen',
+  'command.zipline.list.after.description': 'Nur Dateien, die nach diesem Datum hochgeladen wurden (JJJJ-MM-TT)',
+  'command.zipline.list.before.description': 'Nur Dateien, die vor diesem Datum hochgeladen wurden (JJJJ-MM-TT)',
+  'command.zipline.list.sort.description': 'Sortierung',
+  'command.zipline.list.sort.choices.newest': 'Neueste zuerst',
+  'command.zipline.list.sort.choices.oldest': 'Älteste zuerst',
+  'command.zipline.list.sort.choices.largest': 'Größte zuerst',
+  'command.zipline.list.sort.choices.smallest': 'Kleinste zuerst',
+  'command.zipline.list.sort.choices.name': 'Name (A-Z)',
+  'command.zipline.list.sort.choices.views': 'Meiste Aufrufe',
+  'command.zipline.upload.name': 'hochladen',
+  'command.zipline.upload.description': 'Eine oder mehrere Dateien hochladen',
+  'command.zipline.upload.file.description': 'Hochzuladende Datei',
+  'command.zipline.upload.folder.description': 'Zielordner (standardmäßig aus deinen Einstellungen)',
+  'command.zipline.upload.public.description': 'Ergebnis zusätzlich in diesem Kanal posten',
+  'command.zipline.upload.expiry.description': 'Ablauf für diesen Upload, z. B. 7d (überschreibt deine Einstellungen)',
+  'command.zipline.upload.compression.description': 'Bildkomprimierung 0-100 für diesen Upload (überschreibt deine Einstellungen)',
+  'command.zipline.upload.password.description': 'Passwort zum Ansehen der Datei',
+  'command.zipline.upload.max_views.description': 'Datei nach so vielen Aufrufen löschen',
+  'command.zipline.upload.name_format.description': 'Wie Zipline die Datei benennt',
+  'command.zipline.upload.domain.description': 'Domain für den zurückgegebenen Link, z. B. i.example.com',
+  'command.zipline.upload.fileN.description': 'Weitere Datei #{n}',
+  'command.zipline.paste.name': 'einfügen',
+  'command.zipline.paste.description': 'Text oder Code als Datei hochladen',
+  'command.zipline.queue.name': 'warteschlange',
+  'command.zipline.queue.description': 'Deine laufenden und wartenden Uploads anzeigen',
+  'command.zipline.delete.name': 'löschen',
+  'command.zipline.delete.description': 'Einen deiner Uploads löschen',
+  'command.zipline.delete.file.description': 'Zu löschende Datei',
+  'command.zipline.file.name': 'datei',
+  'command.zipline.file.description': 'Einen deiner Uploads verwalten',
+  'command.zipline.file.info.name': 'info',
+  'command.zipline.file.info.description': 'Eine Datei mit ihren Verwaltungs-Buttons anzeigen',
+  'command.zipline.file.info.file.description': 'Datei',
+  'command.zipline.file.favorite.name': 'favorit',
+  'command.zipline.file.favorite.description': 'Favorit einer Datei umschalten',
+  'command.zipline.file.favorite.file.description': 'Datei',
+  'command.zipline.file.password.name': 'passwort',
+  'command.zipline.file.password.description': 'Passwort einer Datei setzen oder entfernen',
+  'command.zipline.file.password.file.description': 'Datei',
+  'command.zipline.file.password.password.description': 'Neues Passwort (weglassen zum Entfernen)',
+  'command.zipline.file.maxviews.name': 'max-aufrufe',
+  'command.zipline.file.maxviews.description': 'Maximale Aufrufe einer Datei setzen oder entfernen',
+  'command.zipline.file.maxviews.file.description': 'Datei',
+  'command.zipline.file.maxviews.views.description': 'Max. Aufrufe (0 zum Entfernen)',
+  'command.zipline.file.rename.name': 'umbenennen',
+  'command.zipline.file.rename.description': 'Den ursprünglichen Namen einer Datei ändern',
+  'command.zipline.file.rename.file.description': 'Datei',
+  'command.zipline.file.rename.name.description': 'Neuer Name',
+  'command.zipline.file.move.name': 'verschieben',
+  'command.zipline.file.move.description': 'Eine Datei in einen Ordner verschieben',
+  'command.zipline.file.move.file.description': 'Datei',
+  'command.zipline.file.move.folder.description': 'Zielordner',
+  'command.zipline.folder.name': 'ordner',
+  'command.zipline.folder.description': 'Deine Ordner verwalten',
+  'command.zipline.folder.create.name': 'erstellen',
+  'command.zipline.folder.create.description': 'Einen Ordner erstellen',
+  'command.zipline.folder.create.name.description': 'Ordnername',
+  'command.zipline.folder.create.public.description': 'Ordner öffentlich sichtbar machen',
+  'command.zipline.folder.list.name': 'liste',
+  'command.zipline.folder.list.description': 'Deine Ordner auflisten',
+  'command.zipline.folder.view.name': 'anzeigen',
+  'command.zipline.folder.view.description': 'Die Dateien in einem Ordner anzeigen',
+  'command.zipline.folder.view.folder.description': 'Ordner',
+  'command.zipline.folder.delete.name': 'löschen',
+  'command.zipline.folder.delete.description': 'Einen Ordner löschen',
+  'command.zipline.folder.delete.folder.description': 'Ordner',
+  'command.zipline.shorten.name': 'kürzen',
+  'command.zipline.shorten.description': 'Eine URL kürzen',
+  'command.zipline.shorten.url.description': 'Zu kürzende URL',
+  'command.zipline.shorten.vanity.description': 'Eigener Code für den Kurzlink',
+  'command.zipline.shorten.maxviews.description': 'Link nach so vielen Aufrufen deaktivieren',
+  'command.zipline.shorten.password.description': 'Passwort zum Schutz des Links',
+  'command.zipline.urls.name': 'kurzlinks',
+  'command.zipline.urls.description': 'Deine Kurzlinks auflisten und löschen',
+  'command.zipline.settings.name': 'einstellungen',
+  'command.zipline.settings.description': 'Deine Standard-Upload-Einstellungen verwalten',
+  'command.zipline.logout.name': 'abmelden',
+  'command.zipline.logout.description': 'Token löschen (abmelden)',
+  'command.zipline.logout.instance.description': 'Instanz, von der du dich abmeldest (standardmäßig die aktive)',
+  'command.zipline.invite.name': 'einladen',
+  'command.zipline.invite.description': 'Einladungslink des Bots anzeigen',
+  'command.zipline.about.name': 'über',
+  'command.zipline.about.description': 'Infos über den Bot und seine Befehle',
+  'command.zipline.stats.name': 'statistik',
+  'command.zipline.stats.description': 'Ressourcen des Hosts, Zipline-Statistiken und deinen Speicherverbrauch anzeigen',
+  'command.zipline.help.name': 'hilfe',
+  'command.zipline.help.description': 'Link zur Dokumentation',
+  'command.zipline.status.name': 'status',
+  'command.zipline.status.description': 'Status der Zipline-Instanz prüfen',
+  'command.zipline-admin.description': 'Zipline Bot für diesen Server konfigurieren',
+  'command.zipline-admin.show.name': 'anzeigen',
+  'command.zipline-admin.show.description': 'Aktuelle Servereinstellungen anzeigen',
+  'command.zipline-admin.guest-uploads.name': 'gast-uploads',
+  'command.zipline-admin.guest-uploads.description': 'Uploads von Mitgliedern ohne verknüpftes Zipline-Konto erlauben oder sperren',
+  'command.zipline-admin.guest-uploads.enabled.description': 'Gast-Uploads erlauben',
+  'command.zipline-admin.public-results.name': 'öffentliche-ergebnisse',
+  'command.zipline-admin.public-results.description': 'Öffentliches Posten von Upload-Ergebnissen erlauben oder sperren',
+  'command.zipline-admin.public-results.enabled.description': 'Öffentliche Ergebnisse erlauben',
+  'command.zipline-admin.defaults.name': 'standardwerte',
+  'command.zipline-admin.defaults.description': 'Upload-Standards setzen, die Mitgliedereinstellungen überschreiben ("none" löscht)',
+  'command.zipline-admin.defaults.expiry.description': 'Standard-Ablauf, z. B. 7d (oder "none")',
+  'command.zipline-admin.defaults.compression.description': 'Standard-Komprimierung, z. B. 50 (oder "none")',
+  'command.zipline-admin.roles.name': 'rollen',
+  'command.zipline-admin.roles.description': 'Upload-/Lösch-Befehle auf bestimmte Rollen beschränken',
+  'command.zipline-admin.roles.add.name': 'hinzufügen',
+  'command.zipline-admin.roles.add.description': 'Einer Rolle Upload-/Lösch-Befehle erlauben',
+  'command.zipline-admin.roles.add.role.description': 'Zu erlaubende Rolle',
+  'command.zipline-admin.roles.remove.name': 'entfernen',
+  'command.zipline-admin.roles.remove.description': 'Eine Rolle aus der erlaubten Liste entfernen',
+  'command.zipline-admin.roles.remove.role.description': 'Zu entfernende Rolle',
+  'command.zipline-admin.roles.clear.name': 'leeren',
+  'command.zipline-admin.roles.clear.description': 'Allen wieder Upload-/Lösch-Befehle erlauben',
+  'command.zipline-admin.mirror.name': 'spiegeln',
+  'command.zipline-admin.mirror.description': 'Anhänge aus einem Kanal automatisch hochladen',
+  'command.zipline-admin.mirror.add.name': 'hinzufügen',
+  'command.zipline-admin.mirror.add.description': 'Jeden Anhang in einem Kanal zu Zipline spiegeln',
+  'command.zipline-admin.mirror.add.channel.description': 'Zu spiegelnder Kanal',
+  'command.zipline-admin.mirror.add.mode.description': 'Wie die Links gepostet werden (Standard: Antwort)',
+  'command.zipline-admin.mirror.add.mode.choices.reply': 'Auf jede Nachricht antworten',
+  'command.zipline-admin.mirror.add.mode.choices.thread': 'Zusammenfassung in einem Thread',
+  'command.zipline-admin.mirror.remove.name': 'entfernen',
+  'command.zipline-admin.mirror.remove.description': 'Einen Kanal nicht mehr spiegeln',
+  'command.zipline-admin.mirror.remove.channel.description': 'Kanal, der nicht mehr gespiegelt wird',
+  'command.zipline-admin.status-alerts.name': 'statusmeldungen',
+  'command.zipline-admin.status-alerts.description': 'Zipline-Ausfälle und -Wiederherstellungen in einem Kanal melden',
+  'command.zipline-admin.status-alerts.channel.description': 'Kanal für die Meldungen (weglassen zum Abschalten)',
+  'command.zipline-admin.reset.name': 'zurücksetzen',
+  'command.zipline-admin.reset.description': 'Alle Servereinstellungen auf die Standardwerte zurücksetzen',
+};
@@ -0,0 +1,397 @@
+// locales/en.js
+// English is the fallback catalog: every key used by the bot has to exist here.
+
+export default {
+  // --- common ---
+  'common.error': '❌ An error occurred.',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.none': 'None',
+  'common.unknown': 'Unknown',
+  'common.unnamed': 'Unnamed',
+  'common.delete': 'Delete',
+  'common.cancel': 'Cancel',
+  'common.back': '⬅️ Back',
+  'common.next': '➡️ Next',
+  'common.page': 'Page {page} of {pages}',
+  'common.pageOpen': 'Page {page}',
+  'common.onlyYouCanNavigate': 'Only you can navigate pages!',
+  'common.setTokenFirst': '❗ Please set your token first using {command}.\n🔗 Zipline URL: {url}',
+  'common.setTokenFirstShort': '❗ Please set your token first.',
+  'common.deletionCancelled': 'Deletion cancelled.',
+  'common.botUserId': '🆔 Bot User ID',
+
+  // --- guest limits ---
+  'guest.limit.user.perHour': 'You have reached the limit of {count} guest upload(s) per hour.',
+  'guest.limit.global.perHour': 'The guest instance has reached the limit of {count} guest upload(s) per hour.',
+  'guest.limit.user.perDay': 'You have reached the guest upload allowance of {size} per day.',
+  'guest.limit.global.perDay': 'The guest instance has reached the guest upload allowance of {size} per day.',
+  'guest.limit.fileOverDaily': 'This file is larger than the guest allowance of {size} per day.',
+  'guest.limit.maxSize': 'Guest uploads can be at most {size}.',
+  'guest.limit.extension': 'Guests can only upload {extensions} files.',
+  'guest.limit.mimeType': 'Guests can only upload files of type {types}.',
+  'guest.retryAt': 'You can upload again {time}.',
+
+  // --- expiry & compression input ---
+  'expiry.invalidDate': '`{input}` isn\'t a valid date. Use `7d`, `2w`, `1h30m`, `YYYY-MM-DD` or `never`.',
+  'expiry.past': '`{input}` is in the past. Pick a date in the future.',
+  'expiry.unreadable': 'Couldn\'t read `{input}`. Use `7d`, `2w`, `1h30m`, `YYYY-MM-DD` or `never`.',
+  'expiry.unreadableDuration': 'Couldn\'t read `{input}`. Use `7d`, `2w`, `1h30m` or `never`.',
+  'expiry.unknownUnit': 'Unknown unit `{unit}` in `{input}`. Use `7d`, `2w`, `1h30m`, `YYYY-MM-DD` or `never`.',
+  'expiry.unknownUnitDuration': 'Unknown unit `{unit}` in `{input}`. Use `7d`, `2w`, `1h30m` or `never`.',
+  'expiry.tooShort': 'The expiry has to be at least one minute.',
+  'expiry.tooLong': 'The expiry can be at most 10 years.',
+  'expiry.dateAsDefault': 'A saved default can\'t be a fixed date like `{input}`, it would stop working once that date passes. Use a duration like `7d`, `2w` or `1h30m`.',
+  'compression.outOfRange': 'Compression must be a number from {min} to {max} (percent), or `none`.',
+
+  // --- guild restrictions ---
+  'restriction.roles.upload': '❗ Only members with one of these roles can upload files on this server: {roles}',
+  'restriction.roles.delete': '❗ Only members with one of these roles can delete files on this server: {roles}',
+  'restriction.guestUploads': '❗ Guest uploads are disabled on this server. Link your own Zipline account with `/zipline settoken` first.',
+
+  // --- settoken / logout / instances ---
+  'settoken.invalidInstance': '❗ The instance must be an http(s) URL like `https://zipline.example.com`.',
+  'settoken.privateInstance': '❗ This instance is on a private network or the bot\'s own host, so it can\'t be linked. Ask the bot owner to add it to `trustedInstanceUrls`.',
+  'settoken.saved.title': '✅ Token Valid & Saved!',
+  'settoken.saved.description': '**User:** {user}\n**Role:** {role}\n**Storage:** {used}/{max}',
+  'settoken.saved.openDashboard': 'Open Dashboard',
+  'settoken.saved.activeFooter': 'This is now your active instance. Use /zipline instances to switch.',
+  'settoken.invalid.title': '❌ Invalid Token',
+  'settoken.invalid.error': '**Error:** {error}',
+  'settoken.invalid.unauthorized': 'HTTP {status} - Invalid token or unauthorized',
+  'settoken.invalid.network': 'Network error or invalid Zipline URL',
+  'settoken.invalid.tip': '💡 Tip',
+  'settoken.invalid.tipValue': 'Get your token from {url}/dashboard',
+  'settoken.invalid.dashboard': 'Zipline Dashboard',
+  'logout.unknownInstance': '❗ You haven\'t linked that instance.',
+  'logout.switched': '🚪 Logged out of {instance}. Your active instance is now {active}.',
+  'logout.done': '🚪 You have been logged out.',
+  'instances.title': '🌐 Your Zipline Instances',
+  'instances.active': '(active)',
+  'instances.empty': 'You haven\'t linked any instance yet. Use `/zipline settoken` to add one.',
+  'instances.footer': 'Pick an instance below to make it the active one.',
+  'instances.placeholder': 'Switch active instance',
+  'instances.notLinked': '❗ That instance is no longer linked.',
+
+  // --- info commands ---
+  'invite.message': '🤖 Invite me using this link:\n{link}',
+  'about.header': '💡 **Zipline Bot v{version}**',
+  'about.upload': 'Upload a file',
+  'about.fileInfo': 'Favorite, rename, protect or move one of your uploads',
+  'about.folderList': 'Create, view and delete your folders',
+  'about.support': 'Support',
+  'about.website': 'Website',
+  'help.message': 'Need help? Check out the documentation below\n\nIf you need anything else you are invites to join our support server\nhttps://discord.gg/9rr2uRZbuV.',
+  'help.botDocs': 'Bot Docs',
+  'status.online': '✅ Zipline Online',
+  'status.offline': '❌ Zipline Offline',
+  'status.statusCode': 'Status Code',
+  'status.version': 'Version',
+  'status.error': 'Error',
+  'status.uptime': '📈 Uptime',
+  'status.uptimeValue': '24h: **{day}** · 7d: **{week}** · 30d: **{month}**',
+  'status.noData': 'no data yet',
+  'status.responseTime': '⏱️ Avg. response time (24h)',
+  'status.incidents': '🗂️ Recent incidents',
+  'status.noIncidents': 'No incidents in the last 30 days',
+  'status.incidentOngoing': '🔴 Down since {start}',
+  'uptime.downTitle': '🔴 Zipline is down',
+  'uptime.downDescription': '{url} stopped responding {time}.',
+  'uptime.upTitle': '🟢 Zipline is back up',
+  'uptime.upDescription': '{url} is reachable again after {duration} of downtime.',
+  'me.title': '👤 Account Info',
+  'me.username': 'Username',
+  'me.role': 'Role',
+  'me.storage': '📦 Storage',
+  'me.instance': '🌐 Instance',
+  'stats.title': '📊 Server & Zipline Stats',
+  'stats.unavailable': 'Unavailable',
+  'stats.host': '🖥️ Host System',
+  'stats.hostValue': '**OS:** {os}\n**Uptime:** {uptime}\n**CPUs:** {cpus}\n**RAM:** {ram}',
+  'stats.zipline': '📈 Zipline',
+  'stats.ziplineValue': '**Users:** {users}\n**Files:** {files}\n**Used Storage:** {storage}\n**File Views:** {views}\n**URLs:** {urls}',
+  'stats.userUsed': '**Used:** {used}',
+
+  // --- settings ---
+  'settings.title': '⚙️ User Settings',
+  'settings.description': 'Manage your default upload settings',
+  'settings.footer': 'Click a button below to edit settings',
+  'settings.expiry': '📅 Expiry',
+  'settings.compression': '🗜️ Compression',
+  'settings.folder': '📁 Folder',
+  'settings.language': '🌍 Language',
+  'settings.languageAuto': 'Automatic (Discord language)',
+  'settings.languagePlaceholder': 'Bot language',
+  'settings.notSet': 'Not set',
+  'settings.editExpiry': 'Edit Expiry',
+  'settings.editCompression': 'Edit Compression',
+  'settings.editFolder': 'Edit Folder',
+  'settings.expiryModal.title': 'Expiry (duration)',
+  'settings.expiryModal.label': 'Expiry (7d, 2w, 1h30m or never)',
+  'settings.compressionModal.title': 'Compression level',
+  'settings.compressionModal.label': 'Compression ({min}-{max}, or none)',
+  'settings.folderPlaceholder': 'Select a default folder',
+  'settings.noDefaultFolder': 'No default folder',
+  'settings.updated.title': '✅ Settings Updated!',
+  'settings.updated.description': 'Your new default upload settings:',
+  'settings.updated.footer': 'These settings apply to all future uploads.',
+  'settings.expiresAt': 'An upload made now would expire {date} ({relative}).',
+  'settings.neverExpires': 'Uploads won\'t expire.',
+
+  // --- files ---
+  'file.untitled': 'File',
+  'file.viewLink': 'Click the link to view your upload',
+  'file.favorite': '⭐ Favorite',
+  'file.password': '🔒 Password',
+  'file.passwordSet': 'Set',
+  'file.views': '👁️ Views',
+  'file.folder': '📁 Folder',
+  'file.size': '📦 Size',
+  'file.button.favorite': 'Favorite',
+  'file.button.unfavorite': 'Unfavorite',
+  'file.button.password': 'Password',
+  'file.button.maxViews': 'Max Views',
+  'file.button.rename': 'Rename',
+  'file.button.move': 'Move',
+  'file.modal.password.title': 'Set Password',
+  'file.modal.password.label': 'Password (leave empty to remove)',
+  'file.modal.maxviews.title': 'Set Max Views',
+  'file.modal.maxviews.label': 'Max views (0 or empty to remove)',
+  'file.modal.rename.title': 'Rename File',
+  'file.modal.rename.label': 'New original file name',
+  'file.selectFolder': 'Select a folder',
+  'file.maxViewsInvalid': '❗ Max views must be a positive number.',
+  'file.updateFailed': '❌ Could not update the file: {error}',
+  'file.loadFailed': '❌ Failed to load that file.',
+  'file.notFound': '❗ File not found. Pick one of your uploads from the list.',
+  'file.delete.title': '🗑️ Delete File?',
+  'file.delete.confirm': 'Are you sure you want to delete **{name}**?\nThis cannot be undone.',
+  'file.deleteFailed': '❌ Failed to delete the file.',
+  'file.deleted': '✅ File Deleted',
+
+  // --- folders ---
+  'folder.created': '📁 Folder Created',
+  'folder.public': 'public',
+  'folder.default': 'default',
+  'folder.none': '📁 You have no folders yet.',
+  'folder.listTitle': '📁 Your Folders',
+  'folder.count': '{count} folder(s)',
+  'folder.fileCount': '{count} file(s)',
+  'folder.more': '… and {count} more',
+  'folder.empty': 'This folder is empty.',
+  'folder.notFound': '❗ Folder not found. Pick one of your folders from the list.',
+  'folder.delete.title': '🗑️ Delete Folder?',
+  'folder.delete.confirm': 'Are you sure you want to delete the folder **{name}**?',
+  'folder.deleteFailed': '❌ Failed to delete the folder.',
+  'folder.deleted': '✅ Folder Deleted',
+
+  // --- listing ---
+  'list.title': 'Your Uploads',
+  'list.created': 'Created: {time}',
+  'list.createdUnknown': 'unknown',
+  'list.managePlaceholder': 'Manage a file…',
+  'list.invalidDate': '❗ Dates must look like `2025-01-31`.',
+  'list.empty': 'No uploads found.',
+  'list.emptyLimited': 'No matches in the first {count} files checked. More results may exist, try narrower filters.',
+  'list.moreMayExist': 'More results may exist',
+
+  // --- uploads ---
+  'upload.title.success': '✅ Upload Successful',
+  'upload.title.failed': '❌ Upload Failed',
+  'upload.title.partial': '⚠️ Upload Partially Successful',
+  'upload.title.cancelled': '🛑 Upload Cancelled',
+  'upload.title.guestSuccess': '✅ Guest Upload Successful',
+  'upload.title.guestFailed': '❌ Guest Upload Failed',
+  'upload.title.guestPartial': '⚠️ Guest Upload Partially Successful',
+  'upload.title.guestCancelled': '🛑 Guest Upload Cancelled',
+  'upload.footer': '{ok}/{total} file(s) uploaded',
+  'upload.expiry': '⏱ Expiry',
+  'upload.expiryValue': 'This file is set to expire after: `{expiry}`',
+  'upload.noExpiry': 'No default expiry configured.',
+  'upload.resume': 'Resume {name}',
+  'upload.cancelled': 'Cancelled',
+  'upload.rejected': 'Zipline rejected the upload (HTTP {status}).',
+  'upload.expiryPassed': 'The expiry {date} has already passed, so nothing was uploaded. Set a new one in {command} or ask a server admin to update the server default.',
+  'upload.downloadFailed': 'Couldn\'t download the attachment from Discord.',
+  'upload.guestNotConfigured': 'Guest uploads aren\'t set up on this bot (no guest Zipline instance or token).',
+  'upload.partialRejected': 'Zipline reported that the chunked upload failed.',
+  'upload.chunkRejected': 'Zipline rejected the chunk (HTTP {status})',
+  'upload.chunkFailed': 'Chunk {chunk} (bytes {from}-{to}) failed after {attempts} attempt(s): {reason}',
+  'upload.networkError': 'Couldn\'t reach Zipline (network error).',
+  'upload.blockedInstance': 'This Zipline instance is on a private network or the bot\'s own host, so the bot won\'t connect to it.',
+  'upload.progress': '⏳ Uploading...',
+  'upload.noPublicResults': '❗ Upload results can\'t be posted publicly on this server.',
+  'upload.publicBy': '📤 Uploaded by {user}',
+  'upload.multipleFiles': '{count} files',
+  'resume.expired': '❗ This upload can no longer be resumed.',
+  'resume.notOwner': '❗ Only the person who started this upload can resume it.',
+  'resume.noToken': '❗ No Zipline token is set for this instance anymore, so this upload can\'t be resumed.',
+  'resume.passwordLost': '❗ The password for this upload was lost when the bot restarted, so it can\'t be resumed.',
+  'paste.title': 'Paste to Zipline',
+  'paste.content': 'Text or code',
+  'paste.filename': 'File name (optional)',
+  'paste.language': 'Language / extension (e.g. js, python, log)',
+
+  // --- upload queue ---
+  'queue.waiting': '🕒 Waiting in the upload queue — position **{position}**. Your upload starts automatically.',
+  'queue.cancelledBeforeStart': '🛑 Upload cancelled before it started.',
+  'queue.title': '🕒 Your Uploads',
+  'queue.running': '⏳ **{label}** — uploading since {time}',
+  'queue.queued': '🕒 **{label}** — position {position} in the queue',
+  'queue.empty': 'You have no running or queued uploads.',
+  'queue.footer': '{running}/{concurrency} upload slot(s) in use, {queued} waiting overall',
+  'queue.finished': '❗ This upload has already finished.',
+  'queue.notOwner': '❗ Only the person who started this upload can cancel it.',
+  'queue.cancelling': '🛑 Cancelling upload...',
+
+  // --- short links ---
+  'shorten.invalidUrl': '❗ Please provide a valid http(s) URL.',
+  'shorten.title': '🔗 URL Shortened',
+  'urls.title': 'Your Short Links',
+  'urls.empty': 'No short links found.',
+  'urls.deletePlaceholder': 'Delete a short link…',
+  'urls.deleteConfirm': 'Delete short link {url}?',
+  'urls.deleteFailed': '❌ Failed to delete the short link.',
+  'urls.deleted': '✅ Short link deleted.',
+
+  // --- context menu commands ---
+  'messageUpload.nothing': '❗️ This message has no attachments or recognised URLs to upload.',
+  'messageUpload.skipped': 'Skipped',
+  'messageUpload.skippedValue': '{count} more file(s) over the limit of {max}',
+  'messageUpload.failed': '❌ Upload failed: {error}',
+  'messageShorten.nothing': '❗️ This message has no URLs to shorten.',
+  'messageShorten.more': '… {count} more URL(s) skipped',
+  'messageShorten.title': '🔗 Links Shortened',
+  'messageShorten.failed': '❌ Shortening failed: {error}',
+
+  // --- auto-mirror ---
+  'mirror.threadName': 'Zipline uploads',
+  'mirror.summaryHeader': '📚 **Mirrored uploads**',
+  'mirror.failed': 'upload failed',
+
+  // --- /zipline-admin ---
+  'admin.guildOnly': '❗ This command can only be used in a server.',
+  'admin.needManageGuild': '❗ You need the **Manage Server** permission to use this command.',
+  'admin.mirrorDisabled': '❗ Mirror channels are turned off for this bot. The bot owner has to set `enableMirrorChannels` in its config first.',
+  'admin.updated': '✅ Server settings updated',
+  'admin.title': '🛠️ Zipline settings for {guild}',
+  'admin.thisServer': 'this server',
+  'admin.everyone': 'Everyone',
+  'admin.allowed': 'Allowed',
+  'admin.disabled': 'Disabled',
+  'admin.userSetting': 'User setting',
+  'admin.modeThread': 'thread summary',
+  'admin.modeReply': 'reply',
+  'admin.guestUploads': '👥 Guest uploads',
+  'admin.publicResults': '📢 Public results',
+  'admin.roles': '🔐 Upload/delete roles',
+  'admin.defaultExpiry': '📅 Default expiry',
+  'admin.defaultCompression': '🗜️ Default compression',
+  'admin.mirrorChannels': '🪞 Mirror channels',
+  'admin.statusAlerts': '🚨 Status alerts',
+  'admin.footer': 'Server defaults override each member\'s own upload settings.',
+
+  // --- slash command localizations (registered by deployCommands) ---
+  'command.uploadWithZipline.name': 'Upload with Zipline',
+  'command.shortenWithZipline.name': 'Shorten links with Zipline',
+  'command.zipline.description': 'Zipline commands',
+  'command.zipline.settoken.description': 'Set your Zipline API token',
+  'command.zipline.settoken.token.description': 'Your token',
+  'command.zipline.settoken.instance.description': 'URL of your Zipline instance (defaults to the bot\'s instance)',
+  'command.zipline.instances.description': 'List your linked Zipline instances and switch between them',
+  'command.zipline.me.description': 'Show your account info',
+  'command.zipline.list.description': 'List your uploads',
+  'command.zipline.list.search.description': 'Search file names',
+  'command.zipline.list.type.description': 'MIME type, e.g. image/png or video',
+  'command.zipline.list.favorites.description': 'Only show favorites',
+  'command.zipline.list.after.description': 'Only files uploaded after this date (YYYY-MM-DD)',
+  'command.zipline.list.before.description': 'Only files uploaded before this date (YYYY-MM-DD)',
+  'command.zipline.list.sort.description': 'Sort order',
+  'command.zipline.list.sort.choices.newest': 'Newest first',
+  'command.zipline.list.sort.choices.oldest': 'Oldest first',
+  'command.zipline.list.sort.choices.largest': 'Largest first',
+  'command.zipline.list.sort.choices.smallest': 'Smallest first',
+  'command.zipline.list.sort.choices.name': 'Name (A-Z)',
+  'command.zipline.list.sort.choices.views': 'Most viewed',
+  'command.zipline.upload.description': 'Upload one or more files',
+  'command.zipline.upload.file.description': 'File to upload',
+  'command.zipline.upload.folder.description': 'Folder to upload into (defaults to your settings)',
+  'command.zipline.upload.public.description': 'Also post the result in this channel',
+  'command.zipline.upload.expiry.description': 'Expiry for this upload, e.g. 7d (overrides your settings)',
+  'command.zipline.upload.compression.description': 'Image compression 0-100 for this upload (overrides your settings)',
+  'command.zipline.upload.password.description': 'Password needed to view the file',
+  'command.zipline.upload.max_views.description': 'Delete the file after this many views',
+  'command.zipline.upload.name_format.description': 'How Zipline names the file',
+  'command.zipline.upload.domain.description': 'Domain to use for the returned link, e.g. i.example.com',
+  'command.zipline.upload.fileN.description': 'Additional file #{n}',
+  'command.zipline.paste.description': 'Upload text or code as a file',
+  'command.zipline.queue.description': 'Show your running and queued uploads',
+  'command.zipline.delete.description': 'Delete one of your uploads',
+  'command.zipline.delete.file.description': 'File to delete',
+  'command.zipline.file.description': 'Manage one of your uploads',
+  'command.zipline.file.info.description': 'Show a file and its management buttons',
+  'command.zipline.file.info.file.description': 'File',
+  'command.zipline.file.favorite.description': 'Toggle favorite on a file',
+  'command.zipline.file.favorite.file.description': 'File',
+  'command.zipline.file.password.description': 'Set or remove a file password',
+  'command.zipline.file.password.file.description': 'File',
+  'command.zipline.file.password.password.description': 'New password (omit to remove)',
+  'command.zipline.file.maxviews.description': 'Set or remove the max views of a file',
+  'command.zipline.file.maxviews.file.description': 'File',
+  'command.zipline.file.maxviews.views.description': 'Max views (0 to remove)',
+  'command.zipline.file.rename.description': 'Change the original name of a file',
+  'command.zipline.file.rename.file.description': 'File',
+  'command.zipline.file.rename.name.description': 'New name',
+  'command.zipline.file.move.description': 'Move a file to a folder',
+  'command.zipline.file.move.file.description': 'File',
+  'command.zipline.file.move.folder.description': 'Target folder',
+  'command.zipline.folder.description': 'Manage your folders',
+  'command.zipline.folder.create.description': 'Create a folder',
+  'command.zipline.folder.create.name.description': 'Folder name',
+  'command.zipline.folder.create.public.description': 'Make the folder publicly viewable',
+  'command.zipline.folder.list.description': 'List your folders',
+  'command.zipline.folder.view.description': 'Show the files in a folder',
+  'command.zipline.folder.view.folder.description': 'Folder',
+  'command.zipline.folder.delete.description': 'Delete a folder',
+  'command.zipline.folder.delete.folder.description': 'Folder',
+  'command.zipline.shorten.description': 'Shorten a URL',
+  'command.zipline.shorten.url.description': 'URL to shorten',
+  'command.zipline.shorten.vanity.description': 'Custom code for the short link',
+  'command.zipline.shorten.maxviews.description': 'Disable the link after this many views',
+  'command.zipline.shorten.password.description': 'Password to protect the link',
+  'command.zipline.urls.description': 'List and delete your short links',
+  'command.zipline.settings.description': 'Manage your default upload settings',
+  'command.zipline.logout.description': 'Delete token (logout)',
+  'command.zipline.logout.instance.description': 'Instance to log out of (defaults to the active one)',
+  'command.zipline.invite.description': 'Show bot invite link',
+  'command.zipline.about.description': 'Info about the bot and its commands',
+  'command.zipline.stats.description': 'Show host/server resource usage, Zipline stats, and your storage usage',
+  'command.zipline.help.description': 'Link to the documentation',
+  'command.zipline.status.description': 'Check Zipline instance status',
+  'command.zipline-admin.description': 'Configure Zipline Bot for this server',
+  'command.zipline-admin.show.description': 'Show the current server settings',
+  'command.zipline-admin.guest-uploads.description': 'Allow or block uploads from members without a linked Zipline account',
+  'command.zipline-admin.guest-uploads.enabled.description': 'Allow guest uploads',
+  'command.zipline-admin.public-results.description': 'Allow or block posting upload results publicly',
+  'command.zipline-admin.public-results.enabled.description': 'Allow public results',
+  'command.zipline-admin.defaults.description': 'Set upload defaults that override member settings ("none" clears)',
+  'command.zipline-admin.defaults.expiry.description': 'Default expiry, e.g. 7d (or "none")',
+  'command.zipline-admin.defaults.compression.description': 'Default compression, e.g. 50 (or "none")',
+  'command.zipline-admin.roles.description': 'Limit upload/delete commands to certain roles',
+  'command.zipline-admin.roles.add.description': 'Allow a role to use upload/delete commands',
+  'command.zipline-admin.roles.add.role.description': 'Role to allow',
+  'command.zipline-admin.roles.remove.description': 'Remove a role from the allowed list',
+  'command.zipline-admin.roles.remove.role.description': 'Role to remove',
+  'command.zipline-admin.roles.clear.description': 'Let everyone use upload/delete commands again',
+  'command.zipline-admin.mirror.description': 'Automatically upload attachments posted in a channel',
+  'command.zipline-admin.mirror.add.description': 'Mirror every attachment posted in a channel to Zipline',
+  'command.zipline-admin.mirror.add.channel.description': 'Channel to mirror',
+  'command.zipline-admin.mirror.add.mode.description': 'How to post the links (default: reply)',
+  'command.zipline-admin.mirror.add.mode.choices.reply': 'Reply to each message',
+  'command.zipline-admin.mirror.add.mode.choices.thread': 'Summary message in a thread',
+  'command.zipline-admin.mirror.remove.description': 'Stop mirroring a channel',
+  'command.zipline-admin.mirror.remove.channel.description': 'Channel to stop mirroring',
+  'command.zipline-admin.status-alerts.description': 'Post Zipline outage and recovery alerts in a channel',
+  'command.zipline-admin.status-alerts.channel.description': 'Channel for the alerts (omit to turn them off)',
+  'command.zipline-admin.reset.description': 'Reset all server settings to the defaults',
+};
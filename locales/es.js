@@ -0,0 +1,439 @@
+// locales/es.js
+// Spanish catalog (registered for es-ES and es-419); keys missing here fall back to English.
+
+export default {
+  // --- common ---
+  'common.error': '❌ Se produjo un error.',
+  'common.yes': 'Sí',
+  'common.no': 'No',
+  'common.none': 'Ninguno',
+  'common.unknown': 'Desconocido',
+  'common.unnamed': 'Sin nombre',
+  'common.delete': 'Eliminar',
+  'common.cancel': 'Cancelar',
+  'common.back': '⬅️ Anterior',
+  'common.next': '➡️ Siguiente',
+  'common.page': 'Página {page} de {pages}',
+  'common.pageOpen': 'Página {page}',
+  'common.onlyYouCanNavigate': '¡Solo tú puedes cambiar de página!',
+  'common.setTokenFirst': '❗ Primero configura tu token con {command}.\n🔗 URL de Zipline: {url}',
+  'common.setTokenFirstShort': '❗ Primero configura tu token.',
+  'common.deletionCancelled': 'Eliminación cancelada.',
+  'common.botUserId': '🆔 ID de usuario del bot',
+
+  // --- guest limits ---
+  'guest.limit.user.perHour': 'Alcanzaste el límite de {count} subida(s) de invitado por hora.',
+  'guest.limit.global.perHour': 'La instancia de invitados alcanzó el límite de {count} subida(s) de invitado por hora.',
+  'guest.limit.user.perDay': 'Alcanzaste tu cuota de invitado de {size} por día.',
+  'guest.limit.global.perDay': 'La instancia de invitados alcanzó su cuota de {size} por día.',
+  'guest.limit.fileOverDaily': 'Este archivo supera la cuota de invitado de {size} por día.',
+  'guest.limit.maxSize': 'Las subidas de invitado pueden ocupar como máximo {size}.',
+  'guest.limit.extension': 'Los invitados solo pueden subir archivos {extensions}.',
+  'guest.limit.mimeType': 'Los invitados solo pueden subir archivos de tipo {types}.',
+  'guest.retryAt': 'Podrás volver a subir {time}.',
+
+  // --- expiry & compression input ---
+  'expiry.invalidDate': '`{input}` no es una fecha válida. Usa `7d`, `2w`, `1h30m`, `AAAA-MM-DD` o `nunca`.',
+  'expiry.past': '`{input}` está en el pasado. Elige una fecha futura.',
+  'expiry.unreadable': 'No se pudo leer `{input}`. Usa `7d`, `2w`, `1h30m`, `AAAA-MM-DD` o `nunca`.',
+  'expiry.unreadableDuration': 'No se pudo leer `{input}`. Usa `7d`, `2w`, `1h30m` o `nunca`.',
+  'expiry.unknownUnit': 'Unidad desconocida `{unit}` en `{input}`. Usa `7d`, `2w`, `1h30m`, `AAAA-MM-DD` o `nunca`.',
+  'expiry.unknownUnitDuration': 'Unidad desconocida `{unit}` en `{input}`. Usa `7d`, `2w`, `1h30m` o `nunca`.',
+  'expiry.tooShort': 'La caducidad debe ser de al menos un minuto.',
+  'expiry.tooLong': 'La caducidad puede ser como máximo de 10 años.',
+  'expiry.dateAsDefault': 'Un valor predeterminado guardado no puede ser una fecha fija como `{input}`, dejaría de funcionar cuando pase esa fecha. Usa una duración como `7d`, `2w` o `1h30m`.',
+  'compression.outOfRange': 'La compresión debe ser un número de {min} a {max} (porcentaje), o `none`.',
+
+  // --- guild restrictions ---
+  'restriction.roles.upload': '❗ En este servidor solo los miembros con alguno de estos roles pueden subir archivos: {roles}',
+  'restriction.roles.delete': '❗ En este servidor solo los miembros con alguno de estos roles pueden eliminar archivos: {roles}',
+  'restriction.guestUploads': '❗ Las subidas de invitado están desactivadas en este servidor. Vincula primero tu propia cuenta de Zipline con `/zipline settoken`.',
+
+  // --- settoken / logout / instances ---
+  'settoken.invalidInstance': '❗ La instancia debe ser una URL http(s) como `https://zipline.example.com`.',
+  'settoken.privateInstance': '❗ Esta instancia está en una red privada o en el propio host del bot, así que no se puede vincular. Pide al propietario del bot que la añada a `trustedInstanceUrls`.',
+  'settoken.saved.title': '✅ ¡Token válido y guardado!',
+  'settoken.saved.description': '**Usuario:** {user}\n**Rol:** {role}\n**Almacenamiento:** {used}/{max}',
+  'settoken.saved.openDashboard': 'Abrir panel',
+  'settoken.saved.activeFooter': 'Ahora es tu instancia activa. Usa /zipline instances para cambiar.',
+  'settoken.invalid.title': '❌ Token no válido',
+  'settoken.invalid.error': '**Error:** {error}',
+  'settoken.invalid.unauthorized': 'HTTP {status} - Token no válido o sin autorización',
+  'settoken.invalid.network': 'Error de red o URL de Zipline no válida',
+  'settoken.invalid.tip': '💡 Consejo',
+  'settoken.invalid.tipValue': 'Obtén tu token en {url}/dashboard',
+  'settoken.invalid.dashboard': 'Panel de Zipline',
+  'logout.unknownInstance': '❗ No has vinculado esa instancia.',
+  'logout.switched': '🚪 Sesión cerrada en {instance}. Tu instancia activa ahora es {active}.',
+  'logout.done': '🚪 Has cerrado sesión.',
+  'instances.title': '🌐 Tus instancias de Zipline',
+  'instances.active': '(activa)',
+  'instances.empty': 'Aún no has vinculado ninguna instancia. Usa `/zipline settoken` para añadir una.',
+  'instances.footer': 'Elige una instancia abajo para activarla.',
+  'instances.placeholder': 'Cambiar instancia activa',
+  'instances.notLinked': '❗ Esa instancia ya no está vinculada.',
+
+  // --- info commands ---
+  'invite.message': '🤖 Invítame con este enlace:\n{link}',
+  'about.header': '💡 **Zipline Bot v{version}**',
+  'about.upload': 'Subir un archivo',
+  'about.fileInfo': 'Marcar como favorito, renombrar, proteger o mover tus subidas',
+  'about.folderList': 'Crear, ver y eliminar tus carpetas',
+  'about.support': 'Soporte',
+  'about.website': 'Sitio web',
+  'help.message': '¿Necesitas ayuda? Consulta la documentación de abajo.\n\nPara cualquier otra cosa, únete a nuestro servidor de soporte:\nhttps://discord.gg/9rr2uRZbuV.',
+  'help.botDocs': 'Documentación',
+  'status.online': '✅ Zipline en línea',
+  'status.offline': '❌ Zipline fuera de línea',
+  'status.statusCode': 'Código de estado',
+  'status.version': 'Versión',
+  'status.error': 'Error',
+  'status.uptime': '📈 Disponibilidad',
+  'status.uptimeValue': '24 h: **{day}** · 7 d: **{week}** · 30 d: **{month}**',
+  'status.noData': 'aún no hay datos',
+  'status.responseTime': '⏱️ Tiempo de respuesta medio (24 h)',
+  'status.incidents': '🗂️ Incidencias recientes',
+  'status.noIncidents': 'Ninguna incidencia en los últimos 30 días',
+  'status.incidentOngoing': '🔴 Caído desde {start}',
+  'uptime.downTitle': '🔴 Zipline está caído',
+  'uptime.downDescription': '{url} dejó de responder {time}.',
+  'uptime.upTitle': '🟢 Zipline vuelve a estar disponible',
+  'uptime.upDescription': '{url} vuelve a estar accesible tras {duration} sin servicio.',
+  'me.title': '👤 Información de la cuenta',
+  'me.username': 'Nombre de usuario',
+  'me.role': 'Rol',
+  'me.storage': '📦 Almacenamiento',
+  'me.instance': '🌐 Instancia',
+  'stats.title': '📊 Estadísticas del servidor y de Zipline',
+  'stats.unavailable': 'No disponible',
+  'stats.host': '🖥️ Sistema anfitrión',
+  'stats.hostValue': '**SO:** {os}\n**Tiempo activo:** {uptime}\n**CPUs:** {cpus}\n**RAM:** {ram}',
+  'stats.zipline': '📈 Zipline',
+  'stats.ziplineValue': '**Usuarios:** {users}\n**Archivos:** {files}\n**Almacenamiento usado:** {storage}\n**Vistas:** {views}\n**URLs:** {urls}',
+  'stats.userUsed': '**Usado:** {used}',
+
+  // --- settings ---
+  'settings.title': '⚙️ Ajustes de usuario',
+  'settings.description': 'Gestiona tus ajustes de subida predeterminados',
+  'settings.footer': 'Pulsa un botón de abajo para editar los ajustes',
+  'settings.expiry': '📅 Caducidad',
+  'settings.compression': '🗜️ Compresión',
+  'settings.folder': '📁 Carpeta',
+  'settings.language': '🌍 Idioma',
+  'settings.languageAuto': 'Automático (idioma de Discord)',
+  'settings.languagePlaceholder': 'Idioma del bot',
+  'settings.notSet': 'Sin definir',
+  'settings.editExpiry': 'Editar caducidad',
+  'settings.editCompression': 'Editar compresión',
+  'settings.editFolder': 'Editar carpeta',
+  'settings.expiryModal.title': 'Caducidad (duración)',
+  'settings.expiryModal.label': 'Caducidad (7d, 2w, 1h30m, nunca)',
+  'settings.compressionModal.title': 'Nivel de compresión',
+  'settings.compressionModal.label': 'Compresión ({min}-{max} o none)',
+  'settings.folderPlaceholder': 'Elige una carpeta predeterminada',
+  'settings.noDefaultFolder': 'Sin carpeta predeterminada',
+  'settings.updated.title': '✅ ¡Ajustes actualizados!',
+  'settings.updated.description': 'Tus nuevos ajustes de subida predeterminados:',
+  'settings.updated.footer': 'Estos ajustes se aplican a todas tus próximas subidas.',
+  'settings.expiresAt': 'Una subida hecha ahora caducaría el {date} ({relative}).',
+  'settings.neverExpires': 'Las subidas no caducan.',
+
+  // --- files ---
+  'file.untitled': 'Archivo',
+  'file.viewLink': 'Haz clic en el enlace para ver tu subida',
+  'file.favorite': '⭐ Favorito',
+  'file.password': '🔒 Contraseña',
+  'file.passwordSet': 'Definida',
+  'file.views': '👁️ Vistas',
+  'file.folder': '📁 Carpeta',
+  'file.size': '📦 Tamaño',
+  'file.button.favorite': 'Marcar favorito',
+  'file.button.unfavorite': 'Quitar favorito',
+  'file.button.password': 'Contraseña',
+  'file.button.maxViews': 'Vistas máx.',
+  'file.button.rename': 'Renombrar',
+  'file.button.move': 'Mover',
+  'file.modal.password.title': 'Definir contraseña',
+  'file.modal.password.label': 'Contraseña (vacía para quitarla)',
+  'file.modal.maxviews.title': 'Definir vistas máximas',
+  'file.modal.maxviews.label': 'Vistas máx. (0 o vacío para quitar)',
+  'file.modal.rename.title': 'Renombrar archivo',
+  'file.modal.rename.label': 'Nuevo nombre original del archivo',
+  'file.selectFolder': 'Elige una carpeta',
+  'file.maxViewsInvalid': '❗ Las vistas máximas deben ser un número positivo.',
+  'file.updateFailed': '❌ No se pudo actualizar el archivo: {error}',
+  'file.loadFailed': '❌ No se pudo cargar ese archivo.',
+  'file.notFound': '❗ Archivo no encontrado. Elige una de tus subidas de la lista.',
+  'file.delete.title': '🗑️ ¿Eliminar archivo?',
+  'file.delete.confirm': '¿Seguro que quieres eliminar **{name}**?\nEsto no se puede deshacer.',
+  'file.deleteFailed': '❌ No se pudo eliminar el archivo.',
+  'file.deleted': '✅ Archivo eliminado',
+
+  // --- folders ---
+  'folder.created': '📁 Carpeta creada',
+  'folder.public': 'pública',
+  'folder.default': 'predeterminada',
+  'folder.none': '📁 Aún no tienes carpetas.',
+  'folder.listTitle': '📁 Tus carpetas',
+  'folder.count': '{count} carpeta(s)',
+  'folder.fileCount': '{count} archivo(s)',
+  'folder.more': '… y {count} más',
+  'folder.empty': 'Esta carpeta está vacía.',
+  'folder.notFound': '❗ Carpeta no encontrada. Elige una de tus carpetas de la lista.',
+  'folder.delete.title': '🗑️ ¿Eliminar carpeta?',
+  'folder.delete.confirm': '¿Seguro que quieres eliminar la carpeta **{name}**?',
+  'folder.deleteFailed': '❌ No se pudo eliminar la carpeta.',
+  'folder.deleted': '✅ Carpeta eliminada',
+
+  // --- listing ---
+  'list.title': 'Tus subidas',
+  'list.created': 'Creado: {time}',
+  'list.createdUnknown': 'desconocido',
+  'list.managePlaceholder': 'Gestionar un archivo…',
+  'list.invalidDate': '❗ Las fechas deben tener el formato `2025-01-31`.',
+  'list.empty': 'No se encontraron subidas.',
+  'list.emptyLimited': 'Ninguna coincidencia en los primeros {count} archivos revisados. Puede haber más resultados, prueba con filtros más concretos.',
+  'list.moreMayExist': 'Puede haber más resultados',
+
+  // --- uploads ---
+  'upload.title.success': '✅ Subida completada',
+  'upload.title.failed': '❌ Error en la subida',
+  'upload.title.partial': '⚠️ Subida completada en parte',
+  'upload.title.cancelled': '🛑 Subida cancelada',
+  'upload.title.guestSuccess': '✅ Subida de invitado completada',
+  'upload.title.guestFailed': '❌ Error en la subida de invitado',
+  'upload.title.guestPartial': '⚠️ Subida de invitado completada en parte',
+  'upload.title.guestCancelled': '🛑 Subida de invitado cancelada',
+  'upload.footer': '{ok}/{total} archivo(s) subido(s)',
+  'upload.expiry': '⏱ Caducidad',
+  'upload.expiryValue': 'Este archivo caducará tras: `{expiry}`',
+  'upload.noExpiry': 'No hay caducidad predeterminada configurada.',
+  'upload.resume': 'Reanudar {name}',
+  'upload.cancelled': 'Cancelada',
+  'upload.rejected': 'Zipline rechazó la subida (HTTP {status}).',
+  'upload.expiryPassed': 'La caducidad {date} ya pasó, así que no se subió nada. Define una nueva en {command} o pide a un administrador del servidor que cambie el valor predeterminado.',
+  'upload.downloadFailed': 'No se pudo descargar el archivo adjunto de Discord.',
+  'upload.guestNotConfigured': 'Las subidas de invitados no están configuradas en este bot (no hay instancia de Zipline ni token para invitados).',
+  'upload.partialRejected': 'Zipline indicó que la subida por partes falló.',
+  'upload.chunkRejected': 'Zipline rechazó la parte (HTTP {status})',
+  'upload.chunkFailed': 'La parte {chunk} (bytes {from}-{to}) falló tras {attempts} intento(s): {reason}',
+  'upload.networkError': 'No se pudo conectar con Zipline (error de red).',
+  'upload.blockedInstance': 'Esta instancia de Zipline está en una red privada o en el propio host del bot, así que el bot no se conecta a ella.',
+  'upload.progress': '⏳ Subiendo...',
+  'upload.noPublicResults': '❗ En este servidor no se pueden publicar los resultados de las subidas.',
+  'upload.publicBy': '📤 Subido por {user}',
+  'upload.multipleFiles': '{count} archivos',
+  'resume.expired': '❗ Esta subida ya no se puede reanudar.',
+  'resume.notOwner': '❗ Solo quien inició esta subida puede reanudarla.',
+  'resume.noToken': '❗ Ya no hay un token de Zipline para esta instancia, así que esta subida no se puede reanudar.',
+  'resume.passwordLost': '❗ La contraseña de esta subida se perdió al reiniciar el bot, así que no se puede reanudar.',
+  'paste.title': 'Pegar en Zipline',
+  'paste.content': 'Texto o código',
+  'paste.filename': 'Nombre del archivo (opcional)',
+  'paste.language': 'Lenguaje / extensión (p. ej. js, python, log)',
+
+  // --- upload queue ---
+  'queue.waiting': '🕒 En la cola de subidas — posición **{position}**. Tu subida empezará automáticamente.',
+  'queue.cancelledBeforeStart': '🛑 Subida cancelada antes de empezar.',
+  'queue.title': '🕒 Tus subidas',
+  'queue.running': '⏳ **{label}** — subiendo desde {time}',
+  'queue.queued': '🕒 **{label}** — posición {position} en la cola',
+  'queue.empty': 'No tienes subidas en curso ni en cola.',
+  'queue.footer': '{running}/{concurrency} espacio(s) de subida en uso, {queued} en espera en total',
+  'queue.finished': '❗ Esta subida ya ha terminado.',
+  'queue.notOwner': '❗ Solo quien inició esta subida puede cancelarla.',
+  'queue.cancelling': '🛑 Cancelando la subida...',
+
+  // --- short links ---
+  'shorten.invalidUrl': '❗ Indica una URL http(s) válida.',
+  'shorten.title': '🔗 URL acortada',
+  'urls.title': 'Tus enlaces cortos',
+  'urls.empty': 'No se encontraron enlaces cortos.',
+  'urls.deletePlaceholder': 'Eliminar un enlace corto…',
+  'urls.deleteConfirm': '¿Eliminar el enlace corto {url}?',
+  'urls.deleteFailed': '❌ No se pudo eliminar el enlace corto.',
+  'urls.deleted': '✅ Enlace corto eliminado.',
+
+  // --- context menu commands ---
+  'messageUpload.nothing': '❗️ Este mensaje no tiene archivos adjuntos ni URLs reconocidas para subir.',
+  'messageUpload.skipped': 'Omitidos',
+  'messageUpload.skippedValue': '{count} archivo(s) más por encima del límite de {max}',
+  'messageUpload.failed': '❌ Error en la subida: {error}',
+  'messageShorten.nothing': '❗️ Este mensaje no tiene URLs para acortar.',
+  'messageShorten.more': '… {count} URL(s) más omitida(s)',
+  'messageShorten.title': '🔗 Enlaces acortados',
+  'messageShorten.failed': '❌ Error al acortar: {error}',
+
+  // --- auto-mirror ---
+  'mirror.threadName': 'Subidas de Zipline',
+  'mirror.summaryHeader': '📚 **Subidas replicadas**',
+  'mirror.failed': 'error en la subida',
+
+  // --- /zipline-admin ---
+  'admin.guildOnly': '❗ Este comando solo se puede usar en un servidor.',
+  'admin.needManageGuild': '❗ Necesitas el permiso **Gestionar servidor** para usar este comando.',
+  'admin.mirrorDisabled': '❗ Los canales replicados están desactivados en este bot. Quien lo administra debe activar primero `enableMirrorChannels` en la configuración.',
+  'admin.updated': '✅ Ajustes del servidor actualizados',
+  'admin.title': '🛠️ Ajustes de Zipline para {guild}',
+  'admin.thisServer': 'este servidor',
+  'admin.everyone': 'Todos',
+  'admin.allowed': 'Permitido',
+  'admin.disabled': 'Desactivado',
+  'admin.userSetting': 'Ajuste del usuario',
+  'admin.modeThread': 'resumen en un hilo',
+  'admin.modeReply': 'respuesta',
+  'admin.guestUploads': '👥 Subidas de invitados',
+  'admin.publicResults': '📢 Resultados públicos',
+  'admin.roles': '🔐 Roles para subir/eliminar',
+  'admin.defaultExpiry': '📅 Caducidad predeterminada',
+  'admin.defaultCompression': '🗜️ Compresión predeterminada',
+  'admin.mirrorChannels': '🪞 Canales replicados',
+  'admin.statusAlerts': '🚨 Alertas de estado',
+  'admin.footer': 'Los valores del servidor sustituyen los ajustes de subida de cada miembro.',
+
+  // --- slash command localizations (registered by deployCommands) ---
+  'command.uploadWithZipline.name': 'Subir con Zipline',
+  'command.shortenWithZipline.name': 'Acortar enlaces con Zipline',
+  'command.zipline.description': 'Comandos de Zipline',
+  'command.zipline.settoken.name': 'configurar-token',
+  'command.zipline.settoken.description': 'Configura tu token de API de Zipline',
+  'command.zipline.settoken.token.description': 'Tu token',
+  'command.zipline.settoken.instance.description': 'URL de tu instancia de Zipline (por defecto, la del bot)',
+  'command.zipline.instances.name': 'instancias',
+  'command.zipline.instances.description': 'Lista tus instancias de Zipline vinculadas y cambia entre ellas',
+  'command.zipline.me.name': 'yo',
+  'command.zipline.me.description': 'Muestra la información de tu cuenta',
+  'command.zipline.list.name': 'lista',
+  'command.zipline.list.description': 'Lista tus subidas',
+  'command.zipline.list.search.description': 'Buscar en los nombres de archivo',
+  'command.zipline.list.type.description': 'Tipo MIME, p. ej. image/png o video',
+  'command.zipline.list.favorites.description': 'Mostrar solo favoritos',
+  'command.zipline.list.after.description': 'Solo archivos subidos después de esta fecha (AAAA-MM-DD)',
+  'command.zipline.list.before.description': 'Solo archivos subidos antes de esta fecha (AAAA-MM-DD)',
+  'command.zipline.list.sort.description': 'Orden',
+  'command.zipline.list.sort.choices.newest': 'Más recientes primero',
+  'command.zipline.list.sort.choices.oldest': 'Más antiguos primero',
+  'command.zipline.list.sort.choices.largest': 'Más grandes primero',
+  'command.zipline.list.sort.choices.smallest': 'Más pequeños primero',
+  'command.zipline.list.sort.choices.name': 'Nombre (A-Z)',
+  'command.zipline.list.sort.choices.views': 'Más vistos',
+  'command.zipline.upload.name': 'subir',
+  'command.zipline.upload.description': 'Sube uno o varios archivos',
+  'command.zipline.upload.file.description': 'Archivo que subir',
+  'command.zipline.upload.folder.description': 'Carpeta de destino (por defecto, la de tus ajustes)',
+  'command.zipline.upload.public.description': 'Publicar también el resultado en este canal',
+  'command.zipline.upload.expiry.description': 'Caducidad de esta subida, p. ej. 7d (sustituye tus ajustes)',
+  'command.zipline.upload.compression.description': 'Compresión de imagen 0-100 para esta subida (sustituye tus ajustes)',
+  'command.zipline.upload.password.description': 'Contraseña necesaria para ver el archivo',
+  'command.zipline.upload.max_views.description': 'Eliminar el archivo tras este número de vistas',
+  'command.zipline.upload.name_format.description': 'Cómo nombra Zipline el archivo',
+  'command.zipline.upload.domain.description': 'Dominio del enlace devuelto, p. ej. i.example.com',
+  'command.zipline.upload.fileN.description': 'Archivo adicional n.º {n}',
+  'command.zipline.paste.name': 'pegar',
+  'command.zipline.paste.description': 'Sube texto o código como archivo',
+  'command.zipline.queue.name': 'cola',
+  'command.zipline.queue.description': 'Muestra tus subidas en curso y en cola',
+  'command.zipline.delete.name': 'eliminar',
+  'command.zipline.delete.description': 'Elimina una de tus subidas',
+  'command.zipline.delete.file.description': 'Archivo que eliminar',
+  'command.zipline.file.name': 'archivo',
+  'command.zipline.file.description': 'Gestiona una de tus subidas',
+  'command.zipline.file.info.name': 'info',
+  'command.zipline.file.info.description': 'Muestra un archivo y sus botones de gestión',
+  'command.zipline.file.info.file.description': 'Archivo',
+  'command.zipline.file.favorite.name': 'favorito',
+  'command.zipline.file.favorite.description': 'Marca o desmarca un archivo como favorito',
+  'command.zipline.file.favorite.file.description': 'Archivo',
+  'command.zipline.file.password.name': 'contraseña',
+  'command.zipline.file.password.description': 'Define o quita la contraseña de un archivo',
+  'command.zipline.file.password.file.description': 'Archivo',
+  'command.zipline.file.password.password.description': 'Nueva contraseña (omítela para quitarla)',
+  'command.zipline.file.maxviews.name': 'vistas-max',
+  'command.zipline.file.maxviews.description': 'Define o quita las vistas máximas de un archivo',
+  'command.zipline.file.maxviews.file.description': 'Archivo',
+  'command.zipline.file.maxviews.views.description': 'Vistas máximas (0 para quitar)',
+  'command.zipline.file.rename.name': 'renombrar',
+  'command.zipline.file.rename.description': 'Cambia el nombre original de un archivo',
+  'command.zipline.file.rename.file.description': 'Archivo',
+  'command.zipline.file.rename.name.description': 'Nuevo nombre',
+  'command.zipline.file.move.name': 'mover',
+  'command.zipline.file.move.description': 'Mueve un archivo a una carpeta',
+  'command.zipline.file.move.file.description': 'Archivo',
+  'command.zipline.file.move.folder.description': 'Carpeta de destino',
+  'command.zipline.folder.name': 'carpeta',
+  'command.zipline.folder.description': 'Gestiona tus carpetas',
+  'command.zipline.folder.create.name': 'crear',
+  'command.zipline.folder.create.description': 'Crea una carpeta',
+  'command.zipline.folder.create.name.description': 'Nombre de la carpeta',
+  'command.zipline.folder.create.public.description': 'Hacer la carpeta visible públicamente',
+  'command.zipline.folder.list.name': 'lista',
+  'command.zipline.folder.list.description': 'Lista tus carpetas',
+  'command.zipline.folder.view.name': 'ver',
+  'command.zipline.folder.view.description': 'Muestra los archivos de una carpeta',
+  'command.zipline.folder.view.folder.description': 'Carpeta',
+  'command.zipline.folder.delete.name': 'eliminar',
+  'command.zipline.folder.delete.description': 'Elimina una carpeta',
+  'command.zipline.folder.delete.folder.description': 'Carpeta',
+  'command.zipline.shorten.name': 'acortar',
+  'command.zipline.shorten.description': 'Acorta una URL',
+  'command.zipline.shorten.url.description': 'URL que acortar',
+  'command.zipline.shorten.vanity.description': 'Código personalizado para el enlace corto',
+  'command.zipline.shorten.maxviews.description': 'Desactivar el enlace tras este número de vistas',
+  'command.zipline.shorten.password.description': 'Contraseña para proteger el enlace',
+  'command.zipline.urls.name': 'enlaces',
+  'command.zipline.urls.description': 'Lista y elimina tus enlaces cortos',
+  'command.zipline.settings.name': 'ajustes',
+  'command.zipline.settings.description': 'Gestiona tus ajustes de subida predeterminados',
+  'command.zipline.logout.name': 'cerrar-sesión',
+  'command.zipline.logout.description': 'Elimina el token (cerrar sesión)',
+  'command.zipline.logout.instance.description': 'Instancia de la que cerrar sesión (por defecto, la activa)',
+  'command.zipline.invite.name': 'invitar',
+  'command.zipline.invite.description': 'Muestra el enlace de invitación del bot',
+  'command.zipline.about.name': 'acerca-de',
+  'command.zipline.about.description': 'Información sobre el bot y sus comandos',
+  'command.zipline.stats.name': 'estadísticas',
+  'command.zipline.stats.description': 'Recursos del anfitrión, estadísticas de Zipline y tu almacenamiento usado',
+  'command.zipline.help.name': 'ayuda',
+  'command.zipline.help.description': 'Enlace a la documentación',
+  'command.zipline.status.name': 'estado',
+  'command.zipline.status.description': 'Comprueba el estado de la instancia de Zipline',
+  'command.zipline-admin.description': 'Configura Zipline Bot para este servidor',
+  'command.zipline-admin.show.name': 'mostrar',
+  'command.zipline-admin.show.description': 'Muestra los ajustes actuales del servidor',
+  'command.zipline-admin.guest-uploads.name': 'subidas-invitados',
+  'command.zipline-admin.guest-uploads.description': 'Permite o bloquea las subidas de miembros sin cuenta de Zipline vinculada',
+  'command.zipline-admin.guest-uploads.enabled.description': 'Permitir subidas de invitados',
+  'command.zipline-admin.public-results.name': 'resultados-públicos',
+  'command.zipline-admin.public-results.description': 'Permite o bloquea publicar los resultados de las subidas',
+  'command.zipline-admin.public-results.enabled.description': 'Permitir resultados públicos',
+  'command.zipline-admin.defaults.name': 'predeterminados',
+  'command.zipline-admin.defaults.description': 'Valores de subida que sustituyen los ajustes de los miembros ("none" los borra)',
+  'command.zipline-admin.defaults.expiry.description': 'Caducidad predeterminada, p. ej. 7d (o "none")',
+  'command.zipline-admin.defaults.compression.description': 'Compresión predeterminada, p. ej. 50 (o "none")',
+  'command.zipline-admin.roles.name': 'roles',
+  'command.zipline-admin.roles.description': 'Limita los comandos de subir/eliminar a ciertos roles',
+  'command.zipline-admin.roles.add.name': 'añadir',
+  'command.zipline-admin.roles.add.description': 'Permite a un rol usar los comandos de subir/eliminar',
+  'command.zipline-admin.roles.add.role.description': 'Rol que permitir',
+  'command.zipline-admin.roles.remove.name': 'quitar',
+  'command.zipline-admin.roles.remove.description': 'Quita un rol de la lista permitida',
+  'command.zipline-admin.roles.remove.role.description': 'Rol que quitar',
+  'command.zipline-admin.roles.clear.name': 'vaciar',
+  'command.zipline-admin.roles.clear.description': 'Permite de nuevo a todos usar los comandos de subir/eliminar',
+  'command.zipline-admin.mirror.name': 'replicar',
+  'command.zipline-admin.mirror.description': 'Sube automáticamente los adjuntos publicados en un canal',
+  'command.zipline-admin.mirror.add.name': 'añadir',
+  'command.zipline-admin.mirror.add.description': 'Replica en Zipline cada adjunto publicado en un canal',
+  'command.zipline-admin.mirror.add.channel.description': 'Canal que replicar',
+  'command.zipline-admin.mirror.add.mode.description': 'Cómo publicar los enlaces (por defecto: respuesta)',
+  'command.zipline-admin.mirror.add.mode.choices.reply': 'Responder a cada mensaje',
+  'command.zipline-admin.mirror.add.mode.choices.thread': 'Mensaje resumen en un hilo',
+  'command.zipline-admin.mirror.remove.name': 'quitar',
+  'command.zipline-admin.mirror.remove.description': 'Deja de replicar un canal',
+  'command.zipline-admin.mirror.remove.channel.description': 'Canal que dejar de replicar',
+  'command.zipline-admin.status-alerts.name': 'alertas-estado',
+  'command.zipline-admin.status-alerts.description': 'Publica las caídas y recuperaciones de Zipline en un canal',
+  'command.zipline-admin.status-alerts.channel.description': 'Canal para las alertas (omítelo para desactivarlas)',
+  'command.zipline-admin.reset.name': 'restablecer',
+  'command.zipline-admin.reset.description': 'Restablece todos los ajustes del servidor a los valores predeterminados',
+};
@@ -0,0 +1,439 @@
+// locales/fr.js
+// French catalog; keys missing here fall back to English.
+
+export default {
+  // --- common ---
+  'common.error': '❌ Une erreur est survenue.',
+  'common.yes': 'Oui',
+  'common.no': 'Non',
+  'common.none': 'Aucun',
+  'common.unknown': 'Inconnu',
+  'common.unnamed': 'Sans nom',
+  'common.delete': 'Supprimer',
+  'common.cancel': 'Annuler',
+  'common.back': '⬅️ Précédent',
+  'common.next': '➡️ Suivant',
+  'common.page': 'Page {page} sur {pages}',
+  'common.pageOpen': 'Page {page}',
+  'common.onlyYouCanNavigate': 'Vous seul pouvez changer de page !',
+  'common.setTokenFirst': '❗ Veuillez d\'abord définir votre token avec {command}.\n🔗 URL Zipline : {url}',
+  'common.setTokenFirstShort': '❗ Veuillez d\'abord définir votre token.',
+  'common.deletionCancelled': 'Suppression annulée.',
+  'common.botUserId': '🆔 ID utilisateur du bot',
+
+  // --- guest limits ---
+  'guest.limit.user.perHour': 'Vous avez atteint la limite de {count} envoi(s) invité par heure.',
+  'guest.limit.global.perHour': 'L\'instance invité a atteint la limite de {count} envoi(s) invité par heure.',
+  'guest.limit.user.perDay': 'Vous avez atteint votre quota invité de {size} par jour.',
+  'guest.limit.global.perDay': 'L\'instance invité a atteint son quota de {size} par jour.',
+  'guest.limit.fileOverDaily': 'Ce fichier dépasse le quota invité de {size} par jour.',
+  'guest.limit.maxSize': 'Les envois invités sont limités à {size}.',
+  'guest.limit.extension': 'Les invités ne peuvent envoyer que des fichiers {extensions}.',
+  'guest.limit.mimeType': 'Les invités ne peuvent envoyer que des fichiers de type {types}.',
+  'guest.retryAt': 'Vous pourrez envoyer à nouveau {time}.',
+
+  // --- expiry & compression input ---
+  'expiry.invalidDate': '`{input}` n\'est pas une date valide. Utilisez `7d`, `2w`, `1h30m`, `AAAA-MM-JJ` ou `jamais`.',
+  'expiry.past': '`{input}` est dans le passé. Choisissez une date future.',
+  'expiry.unreadable': 'Impossible de lire `{input}`. Utilisez `7d`, `2w`, `1h30m`, `AAAA-MM-JJ` ou `jamais`.',
+  'expiry.unreadableDuration': 'Impossible de lire `{input}`. Utilisez `7d`, `2w`, `1h30m` ou `jamais`.',
+  'expiry.unknownUnit': 'Unité inconnue `{unit}` dans `{input}`. Utilisez `7d`, `2w`, `1h30m`, `AAAA-MM-JJ` ou `jamais`.',
+  'expiry.unknownUnitDuration': 'Unité inconnue `{unit}` dans `{input}`. Utilisez `7d`, `2w`, `1h30m` ou `jamais`.',
+  'expiry.tooShort': 'L\'expiration doit être d\'au moins une minute.',
+  'expiry.tooLong': 'L\'expiration ne peut pas dépasser 10 ans.',
+  'expiry.dateAsDefault': 'Une valeur par défaut enregistrée ne peut pas être une date fixe comme `{input}`, elle cesserait de fonctionner une fois cette date passée. Utilisez une durée comme `7d`, `2w` ou `1h30m`.',
+  'compression.outOfRange': 'La compression doit être un nombre entre {min} et {max} (pourcentage), ou `none`.',
+
+  // --- guild restrictions ---
+  'restriction.roles.upload': '❗ Sur ce serveur, seuls les membres ayant l\'un de ces rôles peuvent envoyer des fichiers : {roles}',
+  'restriction.roles.delete': '❗ Sur ce serveur, seuls les membres ayant l\'un de ces rôles peuvent supprimer des fichiers : {roles}',
+  'restriction.guestUploads': '❗ Les envois invités sont désactivés sur ce serveur. Liez d\'abord votre propre compte Zipline avec `/zipline settoken`.',
+
+  // --- settoken / logout / instances ---
+  'settoken.invalidInstance': '❗ L\'instance doit être une URL http(s) comme `https://zipline.example.com`.',
+  'settoken.privateInstance': '❗ Cette instance se trouve sur un réseau privé ou sur l\'hôte du bot, elle ne peut donc pas être liée. Demandez au propriétaire du bot de l\'ajouter à `trustedInstanceUrls`.',
+  'settoken.saved.title': '✅ Token valide et enregistré !',
+  'settoken.saved.description': '**Utilisateur :** {user}\n**Rôle :** {role}\n**Stockage :** {used}/{max}',
+  'settoken.saved.openDashboard': 'Ouvrir le tableau de bord',
+  'settoken.saved.activeFooter': 'C\'est désormais votre instance active. Utilisez /zipline instances pour changer.',
+  'settoken.invalid.title': '❌ Token invalide',
+  'settoken.invalid.error': '**Erreur :** {error}',
+  'settoken.invalid.unauthorized': 'HTTP {status} - Token invalide ou non autorisé',
+  'settoken.invalid.network': 'Erreur réseau ou URL Zipline invalide',
+  'settoken.invalid.tip': '💡 Astuce',
+  'settoken.invalid.tipValue': 'Récupérez votre token sur {url}/dashboard',
+  'settoken.invalid.dashboard': 'Tableau de bord Zipline',
+  'logout.unknownInstance': '❗ Vous n\'avez pas lié cette instance.',
+  'logout.switched': '🚪 Déconnecté de {instance}. Votre instance active est maintenant {active}.',
+  'logout.done': '🚪 Vous avez été déconnecté.',
+  'instances.title': '🌐 Vos instances Zipline',
+  'instances.active': '(active)',
+  'instances.empty': 'Vous n\'avez encore lié aucune instance. Utilisez `/zipline settoken` pour en ajouter une.',
+  'instances.footer': 'Choisissez une instance ci-dessous pour l\'activer.',
+  'instances.placeholder': 'Changer d\'instance active',
+  'instances.notLinked': '❗ Cette instance n\'est plus liée.',
+
+  // --- info commands ---
+  'invite.message': '🤖 Invitez-moi avec ce lien :\n{link}',
+  'about.header': '💡 **Zipline Bot v{version}**',
+  'about.upload': 'Envoyer un fichier',
+  'about.fileInfo': 'Mettre en favori, renommer, protéger ou déplacer vos envois',
+  'about.folderList': 'Créer, consulter et supprimer vos dossiers',
+  'about.support': 'Support',
+  'about.website': 'Site web',
+  'help.message': 'Besoin d\'aide ? Consultez la documentation ci-dessous.\n\nPour toute autre question, rejoignez notre serveur d\'assistance :\nhttps://discord.gg/9rr2uRZbuV.',
+  'help.botDocs': 'Documentation',
+  'status.online': '✅ Zipline en ligne',
+  'status.offline': '❌ Zipline hors ligne',
+  'status.statusCode': 'Code de statut',
+  'status.version': 'Version',
+  'status.error': 'Erreur',
+  'status.uptime': '📈 Disponibilité',
+  'status.uptimeValue': '24 h : **{day}** · 7 j : **{week}** · 30 j : **{month}**',
+  'status.noData': 'pas encore de données',
+  'status.responseTime': '⏱️ Temps de réponse moyen (24 h)',
+  'status.incidents': '🗂️ Incidents récents',
+  'status.noIncidents': 'Aucun incident ces 30 derniers jours',
+  'status.incidentOngoing': '🔴 Hors ligne depuis {start}',
+  'uptime.downTitle': '🔴 Zipline est hors ligne',
+  'uptime.downDescription': '{url} ne répond plus depuis {time}.',
+  'uptime.upTitle': '🟢 Zipline est de nouveau en ligne',
+  'uptime.upDescription': '{url} est de nouveau joignable après {duration} d\'interruption.',
+  'me.title': '👤 Informations du compte',
+  'me.username': 'Nom d\'utilisateur',
+  'me.role': 'Rôle',
+  'me.storage': '📦 Stockage',
+  'me.instance': '🌐 Instance',
+  'stats.title': '📊 Statistiques du serveur et de Zipline',
+  'stats.unavailable': 'Indisponible',
+  'stats.host': '🖥️ Système hôte',
+  'stats.hostValue': '**OS :** {os}\n**Disponibilité :** {uptime}\n**CPU :** {cpus}\n**RAM :** {ram}',
+  'stats.zipline': '📈 Zipline',
+  'stats.ziplineValue': '**Utilisateurs :** {users}\n**Fichiers :** {files}\n**Stockage utilisé :** {storage}\n**Vues :** {views}\n**URL :** {urls}',
+  'stats.userUsed': '**Utilisé :** {used}',
+
+  // --- settings ---
+  'settings.title': '⚙️ Paramètres utilisateur',
+  'settings.description': 'Gérez vos paramètres d\'envoi par défaut',
+  'settings.footer': 'Cliquez sur un bouton ci-dessous pour modifier les paramètres',
+  'settings.expiry': '📅 Expiration',
+  'settings.compression': '🗜️ Compression',
+  'settings.folder': '📁 Dossier',
+  'settings.language': '🌍 Langue',
+  'settings.languageAuto': 'Automatique (langue de Discord)',
+  'settings.languagePlaceholder': 'Langue du bot',
+  'settings.notSet': 'Non défini',
+  'settings.editExpiry': 'Modifier l\'expiration',
+  'settings.editCompression': 'Modifier la compression',
+  'settings.editFolder': 'Modifier le dossier',
+  'settings.expiryModal.title': 'Expiration (durée)',
+  'settings.expiryModal.label': 'Durée (7d, 2w, 1h30m ou jamais)',
+  'settings.compressionModal.title': 'Niveau de compression',
+  'settings.compressionModal.label': 'Compression ({min}-{max} ou none)',
+  'settings.folderPlaceholder': 'Choisir un dossier par défaut',
+  'settings.noDefaultFolder': 'Aucun dossier par défaut',
+  'settings.updated.title': '✅ Paramètres mis à jour !',
+  'settings.updated.description': 'Vos nouveaux paramètres d\'envoi par défaut :',
+  'settings.updated.footer': 'Ces paramètres s\'appliquent à tous vos prochains envois.',
+  'settings.expiresAt': 'Un envoi effectué maintenant expirerait le {date} ({relative}).',
+  'settings.neverExpires': 'Les envois n\'expirent pas.',
+
+  // --- files ---
+  'file.untitled': 'Fichier',
+  'file.viewLink': 'Cliquez sur le lien pour voir votre envoi',
+  'file.favorite': '⭐ Favori',
+  'file.password': '🔒 Mot de passe',
+  'file.passwordSet': 'Défini',
+  'file.views': '👁️ Vues',
+  'file.folder': '📁 Dossier',
+  'file.size': '📦 Taille',
+  'file.button.favorite': 'Mettre en favori',
+  'file.button.unfavorite': 'Retirer des favoris',
+  'file.button.password': 'Mot de passe',
+  'file.button.maxViews': 'Vues max',
+  'file.button.rename': 'Renommer',
+  'file.button.move': 'Déplacer',
+  'file.modal.password.title': 'Définir le mot de passe',
+  'file.modal.password.label': 'Mot de passe (vide pour le retirer)',
+  'file.modal.maxviews.title': 'Définir les vues max',
+  'file.modal.maxviews.label': 'Vues max (0 ou vide pour retirer)',
+  'file.modal.rename.title': 'Renommer le fichier',
+  'file.modal.rename.label': 'Nouveau nom de fichier d\'origine',
+  'file.selectFolder': 'Choisir un dossier',
+  'file.maxViewsInvalid': '❗ Les vues max doivent être un nombre positif.',
+  'file.updateFailed': '❌ Impossible de modifier le fichier : {error}',
+  'file.loadFailed': '❌ Impossible de charger ce fichier.',
+  'file.notFound': '❗ Fichier introuvable. Choisissez l\'un de vos envois dans la liste.',
+  'file.delete.title': '🗑️ Supprimer le fichier ?',
+  'file.delete.confirm': 'Voulez-vous vraiment supprimer **{name}** ?\nCette action est irréversible.',
+  'file.deleteFailed': '❌ Impossible de supprimer le fichier.',
+  'file.deleted': '✅ Fichier supprimé',
+
+  // --- folders ---
+  'folder.created': '📁 Dossier créé',
+  'folder.public': 'public',
+  'folder.default': 'par défaut',
+  'folder.none': '📁 Vous n\'avez encore aucun dossier.',
+  'folder.listTitle': '📁 Vos dossiers',
+  'folder.count': '{count} dossier(s)',
+  'folder.fileCount': '{count} fichier(s)',
+  'folder.more': '… et {count} de plus',
+  'folder.empty': 'Ce dossier est vide.',
+  'folder.notFound': '❗ Dossier introuvable. Choisissez l\'un de vos dossiers dans la liste.',
+  'folder.delete.title': '🗑️ Supprimer le dossier ?',
+  'folder.delete.confirm': 'Voulez-vous vraiment supprimer le dossier **{name}** ?',
+  'folder.deleteFailed': '❌ Impossible de supprimer le dossier.',
+  'folder.deleted': '✅ Dossier supprimé',
+
+  // --- listing ---
+  'list.title': 'Vos envois',
+  'list.created': 'Créé : {time}',
+  'list.createdUnknown': 'inconnu',
+  'list.managePlaceholder': 'Gérer un fichier…',
+  'list.invalidDate': '❗ Les dates doivent ressembler à `2025-01-31`.',
+  'list.empty': 'Aucun envoi trouvé.',
+  'list.emptyLimited': 'Aucun résultat parmi les {count} premiers fichiers vérifiés. D\'autres résultats peuvent exister, essayez des filtres plus précis.',
+  'list.moreMayExist': 'D\'autres résultats peuvent exister',
+
+  // --- uploads ---
+  'upload.title.success': '✅ Envoi réussi',
+  'upload.title.failed': '❌ Échec de l\'envoi',
+  'upload.title.partial': '⚠️ Envoi partiellement réussi',
+  'upload.title.cancelled': '🛑 Envoi annulé',
+  'upload.title.guestSuccess': '✅ Envoi invité réussi',
+  'upload.title.guestFailed': '❌ Échec de l\'envoi invité',
+  'upload.title.guestPartial': '⚠️ Envoi invité partiellement réussi',
+  'upload.title.guestCancelled': '🛑 Envoi invité annulé',
+  'upload.footer': '{ok}/{total} fichier(s) envoyé(s)',
+  'upload.expiry': '⏱ Expiration',
+  'upload.expiryValue': 'Ce fichier expirera après : `{expiry}`',
+  'upload.noExpiry': 'Aucune expiration par défaut configurée.',
+  'upload.resume': 'Reprendre {name}',
+  'upload.cancelled': 'Annulé',
+  'upload.rejected': 'Zipline a refusé l\'envoi (HTTP {status}).',
+  'upload.expiryPassed': 'L\'expiration {date} est déjà passée, rien n\'a donc été envoyé. Définissez-en une nouvelle avec {command} ou demandez à un administrateur du serveur de modifier la valeur par défaut.',
+  'upload.downloadFailed': 'Impossible de télécharger la pièce jointe depuis Discord.',
+  'upload.guestNotConfigured': 'Les envois invités ne sont pas configurés sur ce bot (aucune instance Zipline invitée ni jeton).',
+  'upload.partialRejected': 'Zipline a signalé l\'échec de l\'envoi par morceaux.',
+  'upload.chunkRejected': 'Zipline a refusé le morceau (HTTP {status})',
+  'upload.chunkFailed': 'Le morceau {chunk} (octets {from}-{to}) a échoué après {attempts} tentative(s) : {reason}',
+  'upload.networkError': 'Impossible de joindre Zipline (erreur réseau).',
+  'upload.blockedInstance': 'Cette instance Zipline se trouve sur un réseau privé ou sur l\'hôte du bot, le bot ne s\'y connecte donc pas.',
+  'upload.progress': '⏳ Envoi en cours...',
+  'upload.noPublicResults': '❗ Les résultats d\'envoi ne peuvent pas être publiés sur ce serveur.',
+  'upload.publicBy': '📤 Envoyé par {user}',
+  'upload.multipleFiles': '{count} fichiers',
+  'resume.expired': '❗ Cet envoi ne peut plus être repris.',
+  'resume.notOwner': '❗ Seule la personne qui a lancé cet envoi peut le reprendre.',
+  'resume.noToken': '❗ Aucun jeton Zipline n\'est plus défini pour cette instance, cet envoi ne peut donc pas être repris.',
+  'resume.passwordLost': '❗ Le mot de passe de cet envoi a été perdu au redémarrage du bot, il ne peut donc pas être repris.',
+  'paste.title': 'Coller dans Zipline',
+  'paste.content': 'Texte ou code',
+  'paste.filename': 'Nom du fichier (facultatif)',
+  'paste.language': 'Langage / extension (ex. js, python, log)',
+
+  // --- upload queue ---
+  'queue.waiting': '🕒 En attente dans la file d\'envoi — position **{position}**. Votre envoi démarrera automatiquement.',
+  'queue.cancelledBeforeStart': '🛑 Envoi annulé avant son démarrage.',
+  'queue.title': '🕒 Vos envois',
+  'queue.running': '⏳ **{label}** — en cours depuis {time}',
+  'queue.queued': '🕒 **{label}** — position {position} dans la file',
+  'queue.empty': 'Vous n\'avez aucun envoi en cours ou en attente.',
+  'queue.footer': '{running}/{concurrency} emplacement(s) d\'envoi utilisé(s), {queued} en attente au total',
+  'queue.finished': '❗ Cet envoi est déjà terminé.',
+  'queue.notOwner': '❗ Seule la personne qui a lancé cet envoi peut l\'annuler.',
+  'queue.cancelling': '🛑 Annulation de l\'envoi...',
+
+  // --- short links ---
+  'shorten.invalidUrl': '❗ Veuillez fournir une URL http(s) valide.',
+  'shorten.title': '🔗 URL raccourcie',
+  'urls.title': 'Vos liens courts',
+  'urls.empty': 'Aucun lien court trouvé.',
+  'urls.deletePlaceholder': 'Supprimer un lien court…',
+  'urls.deleteConfirm': 'Supprimer le lien court {url} ?',
+  'urls.deleteFailed': '❌ Impossible de supprimer le lien court.',
+  'urls.deleted': '✅ Lien court supprimé.',
+
+  // --- context menu commands ---
+  'messageUpload.nothing': '❗️ Ce message ne contient aucune pièce jointe ni URL reconnue à envoyer.',
+  'messageUpload.skipped': 'Ignorés',
+  'messageUpload.skippedValue': '{count} fichier(s) de plus au-delà de la limite de {max}',
+  'messageUpload.failed': '❌ Échec de l\'envoi : {error}',
+  'messageShorten.nothing': '❗️ Ce message ne contient aucune URL à raccourcir.',
+  'messageShorten.more': '… {count} URL de plus ignorée(s)',
+  'messageShorten.title': '🔗 Liens raccourcis',
+  'messageShorten.failed': '❌ Échec du raccourcissement : {error}',
+
+  // --- auto-mirror ---
+  'mirror.threadName': 'Envois Zipline',
+  'mirror.summaryHeader': '📚 **Envois mis en miroir**',
+  'mirror.failed': 'échec de l\'envoi',
+
+  // --- /zipline-admin ---
+  'admin.guildOnly': '❗ Cette commande ne peut être utilisée que sur un serveur.',
+  'admin.needManageGuild': '❗ Vous avez besoin de la permission **Gérer le serveur** pour utiliser cette commande.',
+  'admin.mirrorDisabled': '❗ Les salons en miroir sont désactivés pour ce bot. Son propriétaire doit d\'abord activer `enableMirrorChannels` dans la configuration.',
+  'admin.updated': '✅ Paramètres du serveur mis à jour',
+  'admin.title': '🛠️ Paramètres Zipline pour {guild}',
+  'admin.thisServer': 'ce serveur',
+  'admin.everyone': 'Tout le monde',
+  'admin.allowed': 'Autorisé',
+  'admin.disabled': 'Désactivé',
+  'admin.userSetting': 'Paramètre du membre',
+  'admin.modeThread': 'résumé dans un fil',
+  'admin.modeReply': 'réponse',
+  'admin.guestUploads': '👥 Envois invités',
+  'admin.publicResults': '📢 Résultats publics',
+  'admin.roles': '🔐 Rôles envoi/suppression',
+  'admin.defaultExpiry': '📅 Expiration par défaut',
+  'admin.defaultCompression': '🗜️ Compression par défaut',
+  'admin.mirrorChannels': '🪞 Salons en miroir',
+  'admin.statusAlerts': '🚨 Alertes de statut',
+  'admin.footer': 'Les valeurs du serveur remplacent les paramètres d\'envoi de chaque membre.',
+
+  // --- slash command localizations (registered by deployCommands) ---
+  'command.uploadWithZipline.name': 'Envoyer avec Zipline',
+  'command.shortenWithZipline.name': 'Raccourcir avec Zipline',
+  'command.zipline.description': 'Commandes Zipline',
+  'command.zipline.settoken.name': 'définir-token',
+  'command.zipline.settoken.description': 'Définir votre token d\'API Zipline',
+  'command.zipline.settoken.token.description': 'Votre token',
+  'command.zipline.settoken.instance.description': 'URL de votre instance Zipline (par défaut celle du bot)',
+  'command.zipline.instances.name': 'instances',
+  'command.zipline.instances.description': 'Lister vos instances Zipline liées et passer de l\'une à l\'autre',
+  'command.zipline.me.name': 'moi',
+  'command.zipline.me.description': 'Afficher les informations de votre compte',
+  'command.zipline.list.name': 'liste',
+  'command.zipline.list.description': 'Lister vos envois',
+  'command.zipline.list.search.description': 'Rechercher dans les noms de fichiers',
+  'command.zipline.list.type.description': 'Type MIME, ex. image/png ou video',
+  'command.zipline.list.favorites.description': 'Afficher uniquement les favoris',
+  'command.zipline.list.after.description': 'Uniquement les fichiers envoyés après cette date (AAAA-MM-JJ)',
+  'command.zipline.list.before.description': 'Uniquement les fichiers envoyés avant cette date (AAAA-MM-JJ)',
+  'command.zipline.list.sort.description': 'Ordre de tri',
+  'command.zipline.list.sort.choices.newest': 'Plus récents d\'abord',
+  'command.zipline.list.sort.choices.oldest': 'Plus anciens d\'abord',
+  'command.zipline.list.sort.choices.largest': 'Plus gros d\'abord',
+  'command.zipline.list.sort.choices.smallest': 'Plus petits d\'abord',
+  'command.zipline.list.sort.choices.name': 'Nom (A-Z)',
+  'command.zipline.list.sort.choices.views': 'Plus vus',
+  'command.zipline.upload.name': 'envoyer',
+  'command.zipline.upload.description': 'Envoyer un ou plusieurs fichiers',
+  'command.zipline.upload.file.description': 'Fichier à envoyer',
+  'command.zipline.upload.folder.description': 'Dossier de destination (par défaut celui de vos paramètres)',
+  'command.zipline.upload.public.description': 'Publier aussi le résultat dans ce salon',
+  'command.zipline.upload.expiry.description': 'Expiration de cet envoi, ex. 7d (remplace vos paramètres)',
+  'command.zipline.upload.compression.description': 'Compression d\'image 0-100 pour cet envoi (remplace vos paramètres)',
+  'command.zipline.upload.password.description': 'Mot de passe requis pour voir le fichier',
+  'command.zipline.upload.max_views.description': 'Supprimer le fichier après ce nombre de vues',
+  'command.zipline.upload.name_format.description': 'Comment Zipline nomme le fichier',
+  'command.zipline.upload.domain.description': 'Domaine du lien renvoyé, ex. i.example.com',
+  'command.zipline.upload.fileN.description': 'Fichier supplémentaire n°{n}',
+  'command.zipline.paste.name': 'coller',
+  'command.zipline.paste.description': 'Envoyer du texte ou du code comme fichier',
+  'command.zipline.queue.name': 'file-attente',
+  'command.zipline.queue.description': 'Afficher vos envois en cours et en attente',
+  'command.zipline.delete.name': 'supprimer',
+  'command.zipline.delete.description': 'Supprimer l\'un de vos envois',
+  'command.zipline.delete.file.description': 'Fichier à supprimer',
+  'command.zipline.file.name': 'fichier',
+  'command.zipline.file.description': 'Gérer l\'un de vos envois',
+  'command.zipline.file.info.name': 'info',
+  'command.zipline.file.info.description': 'Afficher un fichier et ses boutons de gestion',
+  'command.zipline.file.info.file.description': 'Fichier',
+  'command.zipline.file.favorite.name': 'favori',
+  'command.zipline.file.favorite.description': 'Ajouter ou retirer un fichier des favoris',
+  'command.zipline.file.favorite.file.description': 'Fichier',
+  'command.zipline.file.password.name': 'mot-de-passe',
+  'command.zipline.file.password.description': 'Définir ou retirer le mot de passe d\'un fichier',
+  'command.zipline.file.password.file.description': 'Fichier',
+  'command.zipline.file.password.password.description': 'Nouveau mot de passe (omettre pour le retirer)',
+  'command.zipline.file.maxviews.name': 'vues-max',
+  'command.zipline.file.maxviews.description': 'Définir ou retirer le nombre de vues max d\'un fichier',
+  'command.zipline.file.maxviews.file.description': 'Fichier',
+  'command.zipline.file.maxviews.views.description': 'Vues max (0 pour retirer)',
+  'command.zipline.file.rename.name': 'renommer',
+  'command.zipline.file.rename.description': 'Changer le nom d\'origine d\'un fichier',
+  'command.zipline.file.rename.file.description': 'Fichier',
+  'command.zipline.file.rename.name.description': 'Nouveau nom',
+  'command.zipline.file.move.name': 'déplacer',
+  'command.zipline.file.move.description': 'Déplacer un fichier dans un dossier',
+  'command.zipline.file.move.file.description': 'Fichier',
+  'command.zipline.file.move.folder.description': 'Dossier de destination',
+  'command.zipline.folder.name': 'dossier',
+  'command.zipline.folder.description': 'Gérer vos dossiers',
+  'command.zipline.folder.create.name': 'créer',
+  'command.zipline.folder.create.description': 'Créer un dossier',
+  'command.zipline.folder.create.name.description': 'Nom du dossier',
+  'command.zipline.folder.create.public.description': 'Rendre le dossier visible publiquement',
+  'command.zipline.folder.list.name': 'liste',
+  'command.zipline.folder.list.description': 'Lister vos dossiers',
+  'command.zipline.folder.view.name': 'voir',
+  'command.zipline.folder.view.description': 'Afficher les fichiers d\'un dossier',
+  'command.zipline.folder.view.folder.description': 'Dossier',
+  'command.zipline.folder.delete.name': 'supprimer',
+  'command.zipline.folder.delete.description': 'Supprimer un dossier',
+  'command.zipline.folder.delete.folder.description': 'Dossier',
+  'command.zipline.shorten.name': 'raccourcir',
+  'command.zipline.shorten.description': 'Raccourcir une URL',
+  'command.zipline.shorten.url.description': 'URL à raccourcir',
+  'command.zipline.shorten.vanity.description': 'Code personnalisé pour le lien court',
+  'command.zipline.shorten.maxviews.description': 'Désactiver le lien après ce nombre de vues',
+  'command.zipline.shorten.password.description': 'Mot de passe pour protéger le lien',
+  'command.zipline.urls.name': 'liens',
+  'command.zipline.urls.description': 'Lister et supprimer vos liens courts',
+  'command.zipline.settings.name': 'paramètres',
+  'command.zipline.settings.description': 'Gérer vos paramètres d\'envoi par défaut',
+  'command.zipline.logout.name': 'déconnexion',
+  'command.zipline.logout.description': 'Supprimer le token (déconnexion)',
+  'command.zipline.logout.instance.description': 'Instance à déconnecter (par défaut l\'instance active)',
+  'command.zipline.invite.name': 'inviter',
+  'command.zipline.invite.description': 'Afficher le lien d\'invitation du bot',
+  'command.zipline.about.name': 'à-propos',
+  'command.zipline.about.description': 'Informations sur le bot et ses commandes',
+  'command.zipline.stats.name': 'statistiques',
+  'command.zipline.stats.description': 'Ressources de l\'hôte, statistiques Zipline et votre stockage utilisé',
+  'command.zipline.help.name': 'aide',
+  'command.zipline.help.description': 'Lien vers la documentation',
+  'command.zipline.status.name': 'statut',
+  'command.zipline.status.description': 'Vérifier l\'état de l\'instance Zipline',
+  'command.zipline-admin.description': 'Configurer Zipline Bot pour ce serveur',
+  'command.zipline-admin.show.name': 'afficher',
+  'command.zipline-admin.show.description': 'Afficher les paramètres actuels du serveur',
+  'command.zipline-admin.guest-uploads.name': 'envois-invités',
+  'command.zipline-admin.guest-uploads.description': 'Autoriser ou bloquer les envois des membres sans compte Zipline lié',
+  'command.zipline-admin.guest-uploads.enabled.description': 'Autoriser les envois invités',
+  'command.zipline-admin.public-results.name': 'résultats-publics',
+  'command.zipline-admin.public-results.description': 'Autoriser ou bloquer la publication des résultats d\'envoi',
+  'command.zipline-admin.public-results.enabled.description': 'Autoriser les résultats publics',
+  'command.zipline-admin.defaults.name': 'par-défaut',
+  'command.zipline-admin.defaults.description': 'Définir des valeurs d\'envoi qui remplacent celles des membres ("none" efface)',
+  'command.zipline-admin.defaults.expiry.description': 'Expiration par défaut, ex. 7d (ou "none")',
+  'command.zipline-admin.defaults.compression.description': 'Compression par défaut, ex. 50 (ou "none")',
+  'command.zipline-admin.roles.name': 'rôles',
+  'command.zipline-admin.roles.description': 'Réserver les commandes d\'envoi/suppression à certains rôles',
+  'command.zipline-admin.roles.add.name': 'ajouter',
+  'command.zipline-admin.roles.add.description': 'Autoriser un rôle à utiliser les commandes d\'envoi/suppression',
+  'command.zipline-admin.roles.add.role.description': 'Rôle à autoriser',
+  'command.zipline-admin.roles.remove.name': 'retirer',
+  'command.zipline-admin.roles.remove.description': 'Retirer un rôle de la liste autorisée',
+  'command.zipline-admin.roles.remove.role.description': 'Rôle à retirer',
+  'command.zipline-admin.roles.clear.name': 'vider',
+  'command.zipline-admin.roles.clear.description': 'Permettre à nouveau à tout le monde d\'envoyer/supprimer',
+  'command.zipline-admin.mirror.name': 'miroir',
+  'command.zipline-admin.mirror.description': 'Envoyer automatiquement les pièces jointes publiées dans un salon',
+  'command.zipline-admin.mirror.add.name': 'ajouter',
+  'command.zipline-admin.mirror.add.description': 'Mettre en miroir sur Zipline chaque pièce jointe d\'un salon',
+  'command.zipline-admin.mirror.add.channel.description': 'Salon à mettre en miroir',
+  'command.zipline-admin.mirror.add.mode.description': 'Comment publier les liens (par défaut : réponse)',
+  'command.zipline-admin.mirror.add.mode.choices.reply': 'Répondre à chaque message',
+  'command.zipline-admin.mirror.add.mode.choices.thread': 'Message récapitulatif dans un fil',
+  'command.zipline-admin.mirror.remove.name': 'retirer',
+  'command.zipline-admin.mirror.remove.description': 'Arrêter la mise en miroir d\'un salon',
+  'command.zipline-admin.mirror.remove.channel.description': 'Salon à ne plus mettre en miroir',
+  'command.zipline-admin.status-alerts.name': 'alertes-statut',
+  'command.zipline-admin.status-alerts.description': 'Publier les pannes et rétablissements de Zipline dans un salon',
+  'command.zipline-admin.status-alerts.channel.description': 'Salon des alertes (laisser vide pour les désactiver)',
+  'command.zipline-admin.reset.name': 'réinitialiser',
+  'command.zipline-admin.reset.description': 'Rétablir les valeurs par défaut de tous les paramètres du serveur',
+};
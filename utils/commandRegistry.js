@@ -0,0 +1,48 @@
+// utils/commandRegistry.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { localizeCommand } from './i18n.js';
+
+const COMMANDS_DIR = fileURLToPath(new URL('../commands/', import.meta.url));
+
+const commands = new Map();   // command name -> module
+const commandIds = new Map(); // command name -> application command id, filled in by deployCommands
+
+// every file in commands/ exporting `data` (a command builder) and `execute` is a command.
+// Optional exports: handleAutocomplete, handleComponents (returns true when it handled the interaction)
+// and localizationKey (catalog prefix, defaults to "command.<name>").
+export async function loadCommands(dir = COMMANDS_DIR) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    if (!mod.data || typeof mod.execute !== 'function') continue;
+    commands.set(mod.data.name, mod);
+  }
+  return commands;
+}
+
+export function getCommand(name) {
+  return commands.get(name) || null;
+}
+
+export function listCommands() {
+  return [...commands.values()];
+}
+
+// command JSON as sent to Discord, with name/description localizations from locales/
+export function commandDefinitions() {
+  return listCommands().map(mod => localizeCommand(mod.data.toJSON(), mod.localizationKey));
+}
+
+export function setCommandIds(ids) {
+  commandIds.clear();
+  for (const [name, id] of Object.entries(ids)) commandIds.set(name, id);
+}
+
+// clickable </name sub:id> mention once Discord has told us the ID, plain text until then
+export function commandMention(name, subcommand = null) {
+  const full = subcommand ? `${name} ${subcommand}` : name;
+  const id = commandIds.get(name);
+  return id ? `</${full}:${id}>` : `\`/${full}\``;
+}
@@ -0,0 +1,214 @@
+// utils/config.js
+import fs from 'fs';
+import chalk from 'chalk';
+import { parseExpiry } from './uploadSettings.js';
+
+const ENV_PREFIX = 'ZIPLINE_BOT_';
+const MB = 1024 * 1024;
+
+// --- value types ---
+// each returns { value } or { error }; env values always arrive as strings
+const TYPES = {
+  string: raw => (typeof raw === 'string' ? { value: raw.trim() } : { error: 'must be a string' }),
+  url: raw => {
+    if (typeof raw !== 'string' || !/^https?:\/\/[^\s/]+/i.test(raw.trim())) {
+      return { error: 'must be an http(s) URL like https://zipline.example.com' };
+    }
+    return { value: raw.trim().replace(/\/+$/, '') };
+  },
+  snowflake: raw => (/^\d{17,20}$/.test(String(raw).trim())
+    ? { value: String(raw).trim() }
+    : { error: 'must be a Discord ID (17-20 digits)' }),
+  integer: raw => {
+    const n = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return Number.isInteger(n) ? { value: n } : { error: 'must be a whole number' };
+  },
+  boolean: raw => {
+    if (typeof raw === 'boolean') return { value: raw };
+    const s = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(s)) return { value: true };
+    if (['false', '0', 'no', 'off'].includes(s)) return { value: false };
+    return { error: 'must be true or false' };
+  },
+  list: raw => {
+    if (typeof raw === 'string') return { value: raw.split(',').map(s => s.trim()).filter(Boolean) };
+    if (Array.isArray(raw) && raw.every(s => typeof s === 'string')) return { value: raw };
+    return { error: 'must be a list of strings (comma-separated in environment variables)' };
+  },
+};
+
+// --- schema ---
+// key: dotted path in config.json; env: override for the derived ZIPLINE_BOT_* name
+const SCHEMA = [
+  { key: 'discordToken', type: 'string', required: true, secret: true },
+  { key: 'clientId', type: 'snowflake', required: true },
+  // only used by `npm run deploy-commands:guild`, so a leftover placeholder ("TEST_GUILD_ID") just warns
+  { key: 'guildId', type: 'snowflake', default: null, warnOnly: true },
+  { key: 'ziplineBaseUrl', type: 'url', required: true },
+  { key: 'errorWebhookUrl', type: 'url', default: null, secret: true },
+  // instances users may link even though they resolve to private addresses (the configured ones always can)
+  { key: 'trustedInstanceUrls', type: 'list', default: [] },
+
+  // guest uploads are disabled unless both are set
+  { key: 'anonymousZiplineBaseUrl', type: 'url', default: null },
+  { key: 'anonymousZiplineToken', type: 'string', default: null, secret: true },
+  { key: 'anonymousUploadExpiry', type: 'string', default: null, normalize: normalizeExpiry },
+  { key: 'mirrorFallbackToken', type: 'string', default: null, secret: true },
+  // mirror channels need the privileged Message Content intent, so they are opt-in
+  { key: 'enableMirrorChannels', type: 'boolean', default: false },
+
+  { key: 'tokenEncryptionKey', type: 'string', default: null, secret: true, env: 'ZIPLINE_BOT_TOKEN_KEY' },
+  { key: 'previousTokenEncryptionKeys', type: 'list', default: [], secret: true, env: 'ZIPLINE_BOT_PREVIOUS_TOKEN_KEYS' },
+
+  { key: 'storage.driver', type: 'string', default: 'sqlite', values: ['sqlite', 'json'] },
+  { key: 'storage.sqlitePath', type: 'string', default: './data/zipline.db' },
+
+  { key: 'chunkThresholdBytes', type: 'integer', default: 100 * MB, min: 1 },
+  { key: 'chunkSizeBytes', type: 'integer', default: 8 * MB, min: 1 },
+  { key: 'chunkConcurrency', type: 'integer', default: 3, min: 1 },
+  { key: 'chunkMemoryLimitBytes', type: 'integer', default: 64 * MB, min: 1 },
+  { key: 'chunkRetries', type: 'integer', default: 5, min: 0 },
+  { key: 'chunkRetryBaseDelayMs', type: 'integer', default: 1000, min: 0 },
+
+  { key: 'uploadConcurrency', type: 'integer', default: 3, min: 1 },
+  { key: 'uploadConcurrencyPerUser', type: 'integer', default: 1, min: 1 },
+
+  // background /api/version checks for uptime history and alerts; 0 = disabled
+  { key: 'uptimeCheckIntervalSeconds', type: 'integer', default: 60, min: 0, check: s => (s > 0 && s < 10 ? 'must be 0 (off) or at least 10' : null) },
+
+  // /healthz and /metrics; the server only starts when a port is set
+  { key: 'httpPort', type: 'integer', default: null, min: 1, check: port => (port > 65535 ? 'must be a port number (1-65535)' : null) },
+  { key: 'httpHost', type: 'string', default: '127.0.0.1' },
+
+  // 0 / empty = no limit
+  { key: 'guestLimits.uploadsPerHour', type: 'integer', default: 0, min: 0 },
+  { key: 'guestLimits.bytesPerDay', type: 'integer', default: 0, min: 0 },
+  { key: 'guestLimits.globalUploadsPerHour', type: 'integer', default: 0, min: 0 },
+  { key: 'guestLimits.globalBytesPerDay', type: 'integer', default: 0, min: 0 },
+  { key: 'guestLimits.maxFileSizeBytes', type: 'integer', default: 0, min: 0 },
+  { key: 'guestLimits.allowedMimeTypes', type: 'list', default: [] },
+  { key: 'guestLimits.allowedExtensions', type: 'list', default: [] },
+];
+
+// stores what x-zipline-deletes-at gets ("1h30m" -> "90m"); a fixed date would stop working once it passes
+function normalizeExpiry(value) {
+  const parsed = parseExpiry(value, { allowDates: false });
+  return parsed.ok ? { value: parsed.value } : { error: 'must be a duration like 7d, 2w or 1h30m (at most 10y)' };
+}
+
+// rules that involve more than one key
+function crossChecks(config) {
+  const issues = [];
+  if (Boolean(config.anonymousZiplineBaseUrl) !== Boolean(config.anonymousZiplineToken)) {
+    issues.push('"anonymousZiplineBaseUrl" and "anonymousZiplineToken" have to be set together (leave both empty to disable guest uploads)');
+  }
+  if (config.chunkSizeBytes > config.chunkThresholdBytes) {
+    issues.push('"chunkSizeBytes" can\'t be larger than "chunkThresholdBytes"');
+  }
+  // one chunk is read ahead while at least one other is uploading
+  if (config.chunkSizeBytes * 2 > config.chunkMemoryLimitBytes) {
+    issues.push('"chunkMemoryLimitBytes" has to be at least twice "chunkSizeBytes"');
+  }
+  return issues;
+}
+
+// "guestLimits.uploadsPerHour" -> ZIPLINE_BOT_GUEST_LIMITS_UPLOADS_PER_HOUR
+function envName(entry) {
+  return entry.env || ENV_PREFIX + entry.key.replace(/\./g, '_').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, part) => (o && typeof o === 'object' ? o[part] : undefined), obj);
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let target = obj;
+  for (const part of parts) target = target[part] ||= {};
+  target[last] = value;
+}
+
+function readFile(file) {
+  if (!fs.existsSync(file)) return { raw: {}, issues: [] };
+  try {
+    return { raw: JSON.parse(fs.readFileSync(file, 'utf8')), issues: [] };
+  } catch (e) {
+    return { raw: {}, issues: [`${file} is not valid JSON: ${e.message}`] };
+  }
+}
+
+// unknown keys are most likely typos, so name them instead of silently ignoring them;
+// keys starting with "//" are comments (see config.example.json)
+function unknownKeys(raw, prefix = '') {
+  const known = new Set(SCHEMA.map(e => e.key));
+  const sections = new Set(SCHEMA.filter(e => e.key.includes('.')).map(e => e.key.split('.')[0]));
+  const unknown = [];
+  for (const [k, v] of Object.entries(raw || {})) {
+    if (k.startsWith('//')) continue;
+    const key = prefix + k;
+    if (sections.has(key) && v && typeof v === 'object' && !Array.isArray(v)) unknown.push(...unknownKeys(v, `${key}.`));
+    else if (!known.has(key)) unknown.push(key);
+  }
+  return unknown;
+}
+
+// returns { config, issues, warnings }; config has every key filled in (defaults included)
+export function loadConfig({ file = './config.json', env = process.env } = {}) {
+  const { raw, issues } = readFile(file);
+  if (issues.length) return { config: null, issues, warnings: [] };
+  const warnings = unknownKeys(raw).map(key => `Unknown config key "${key}" in ${file} (ignored)`);
+  const config = {};
+
+  for (const entry of SCHEMA) {
+    const name = envName(entry);
+    const fromEnv = env[name] !== undefined && env[name] !== '';
+    const input = fromEnv ? env[name] : getPath(raw, entry.key);
+    const source = fromEnv ? `environment variable ${name}` : `"${entry.key}"`;
+
+    // null and "" mean "not set", same as leaving the key out
+    if (input === undefined || input === null || input === '') {
+      if (entry.required) issues.push(`"${entry.key}" is required (set it in ${file} or via ${name})`);
+      setPath(config, entry.key, entry.default ?? null);
+      continue;
+    }
+
+    const parsed = TYPES[entry.type](input);
+    let { value } = parsed;
+    let problem = parsed.error;
+    if (!problem && entry.min !== undefined && value < entry.min) problem = `must be at least ${entry.min}`;
+    if (!problem && entry.values && !entry.values.includes(value)) problem = `must be one of ${entry.values.join(', ')}`;
+    if (!problem && entry.check) problem = entry.check(value);
+    if (!problem && entry.normalize) ({ value, error: problem } = entry.normalize(value));
+    if (problem && entry.warnOnly) {
+      warnings.push(`${source} ${problem} (got ${JSON.stringify(input)}); ignoring it`);
+      setPath(config, entry.key, entry.default ?? null);
+      continue;
+    }
+    if (problem) {
+      // never echo secrets back into logs
+      issues.push(entry.secret ? `${source} ${problem}` : `${source} ${problem} (got ${JSON.stringify(input)})`);
+      setPath(config, entry.key, entry.default ?? null);
+      continue;
+    }
+    setPath(config, entry.key, value);
+  }
+
+  if (!issues.length) issues.push(...crossChecks(config));
+  return { config, issues, warnings };
+}
+
+// the shared, validated config every module imports; a broken config stops the bot at startup
+function loadOrExit() {
+  const file = process.env.ZIPLINE_BOT_CONFIG || './config.json';
+  const { config, issues, warnings } = loadConfig({ file });
+  for (const warning of warnings) console.warn(chalk.yellow('[WARN]'), warning);
+  if (issues.length) {
+    console.error(chalk.red('[ERROR]'), `Invalid configuration (${issues.length} problem(s)):`);
+    for (const issue of issues) console.error(chalk.red('  -'), issue);
+    process.exit(1);
+  }
+  return config;
+}
+
+export const config = loadOrExit();
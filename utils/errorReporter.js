@@ -0,0 +1,139 @@
+// utils/errorReporter.js
+import fetch from 'node-fetch';
+import chalk from 'chalk';
+
+const DEDUPE_WINDOW_MS = 10 * 60 * 1000; // identical errors are reported once per 10 minutes
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX = 5;                // max webhook posts per window
+
+let webhookUrl = null;
+const recent = new Map(); // fingerprint -> { lastSent, suppressed }
+let sentTimestamps = [];
+let droppedByRateLimit = 0;
+const alreadyReported = new WeakSet(); // errors rethrown up the stack are only reported once
+const pending = new Set();             // webhook posts still in flight
+
+export function initErrorReporter(url) {
+  webhookUrl = url && /^https?:\/\//.test(url) ? url : null;
+}
+
+// pulls command/subcommand/user/guild info out of any interaction
+export function interactionDetails(interaction) {
+  if (!interaction) return {};
+  let subcommand = null;
+  try {
+    const group = interaction.options?.getSubcommandGroup?.(false);
+    subcommand = interaction.options?.getSubcommand?.(false) || null;
+    if (group && subcommand) subcommand = `${group} ${subcommand}`;
+  } catch { /* not a chat input command */ }
+
+  return {
+    command: interaction.commandName || null,
+    subcommand,
+    customId: interaction.customId || null,
+    userId: interaction.user?.id || null,
+    guildId: interaction.guildId || null,
+    guildName: interaction.guild?.name || null,
+  };
+}
+
+function fingerprint(error, ctx, details) {
+  const message = error instanceof Error ? error.message : String(error);
+  const frame = error instanceof Error && error.stack ? (error.stack.split('\n')[1] || '').trim() : '';
+  return [ctx, details.command, details.subcommand, message, frame].join('|');
+}
+
+function truncate(str, max) {
+  if (!str) return '';
+  return str.length > max ? str.slice(0, max - 15) + '\n… (truncated)' : str;
+}
+
+function buildEmbed(error, ctx, details, suppressed) {
+  const message = error instanceof Error ? error.message : String(error);
+  const stack = error instanceof Error && error.stack ? error.stack : message;
+
+  const fields = [
+    { name: 'Context', value: ctx || 'unknown', inline: true },
+    {
+      name: 'Command',
+      value: details.command
+        ? `/${details.command}${details.subcommand ? ` ${details.subcommand}` : ''}`
+        : 'N/A',
+      inline: true,
+    },
+    { name: 'User ID', value: details.userId || 'N/A', inline: true },
+    {
+      name: 'Guild',
+      value: details.guildId ? `${details.guildName || 'Unknown'} (${details.guildId})` : 'DM / N/A',
+      inline: true,
+    },
+  ];
+  if (details.customId) fields.push({ name: 'Component', value: truncate(details.customId, 100), inline: true });
+  if (suppressed > 0) {
+    fields.push({ name: 'Repeated', value: `${suppressed} identical error(s) suppressed since last report`, inline: false });
+  }
+  if (droppedByRateLimit > 0) {
+    fields.push({ name: 'Rate limited', value: `${droppedByRateLimit} other error(s) were not reported`, inline: false });
+  }
+
+  return {
+    title: `❌ ${truncate(message, 240)}`,
+    description: `\`\`\`\n${truncate(stack, 3900)}\n\`\`\``,
+    color: 0xff0000,
+    fields,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// fire-and-forget; never throws
+export function reportError(error, ctx = '', details = {}) {
+  if (!webhookUrl) return;
+  if (error && typeof error === 'object') {
+    if (alreadyReported.has(error)) return;
+    alreadyReported.add(error);
+  }
+
+  const now = Date.now();
+  const key = fingerprint(error, ctx, details);
+  const entry = recent.get(key);
+  if (entry && now - entry.lastSent < DEDUPE_WINDOW_MS) {
+    entry.suppressed++;
+    return;
+  }
+
+  sentTimestamps = sentTimestamps.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+  if (sentTimestamps.length >= RATE_LIMIT_MAX) {
+    droppedByRateLimit++;
+    return;
+  }
+
+  const suppressed = entry ? entry.suppressed : 0;
+  const embed = buildEmbed(error, ctx, details, suppressed);
+  recent.set(key, { lastSent: now, suppressed: 0 });
+  sentTimestamps.push(now);
+  droppedByRateLimit = 0;
+
+  // forget old fingerprints so the map doesn't grow forever
+  for (const [k, v] of recent) {
+    if (now - v.lastSent >= DEDUPE_WINDOW_MS && v.suppressed === 0) recent.delete(k);
+  }
+
+  const post = fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'Zipline Bot Errors', embeds: [embed] }),
+  })
+    .then(res => {
+      if (!res.ok) console.error(chalk.red('[ERROR]'), `Error webhook responded with HTTP ${res.status}`);
+    })
+    .catch(e => {
+      console.error(chalk.red('[ERROR]'), 'Failed to post to error webhook:', e.message);
+    })
+    .finally(() => pending.delete(post));
+  pending.add(post);
+}
+
+// for short-lived scripts: wait for in-flight webhook posts before exiting
+export function flushErrorReports() {
+  return Promise.allSettled([...pending]);
+}
@@ -0,0 +1,108 @@
+// utils/guestLimits.js
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const GLOBAL_KEY = '*';
+
+function extensionOf(filename) {
+  const m = /\.([^./\\]+)$/.exec(filename || '');
+  return m ? m[1].toLowerCase() : '';
+}
+
+function mimeAllowed(contentType, allowed) {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  return allowed.some(entry => {
+    const rule = String(entry).toLowerCase();
+    return rule.endsWith('/*') ? mime.startsWith(rule.slice(0, -1)) : mime === rule;
+  });
+}
+
+// earliest time at which enough old events have expired to bring `used` back under `limit`
+function retryAfter(events, window, freeAtLeast) {
+  let freed = 0;
+  for (const [at, amount] of events) {
+    freed += amount;
+    if (freed >= freeAtLeast) return at + window;
+  }
+  return null;
+}
+
+// limits: uploadsPerHour, bytesPerDay, globalUploadsPerHour, globalBytesPerDay,
+// maxFileSizeBytes, allowedMimeTypes, allowedExtensions (unset/0/empty = no limit)
+// usage: { get(key), set(key, events) } where events are [timestamp, bytes] pairs.
+// Failed checks return { ok: false, reason, vars, retryAt }; reason is a message id from locales/.
+export function createGuestLimiter(limits = {}, usage, formatSize = bytes => `${bytes} bytes`) {
+  const allowedMimeTypes = limits.allowedMimeTypes || [];
+  const allowedExtensions = (limits.allowedExtensions || []).map(e => String(e).replace(/^\./, '').toLowerCase());
+
+  function eventsFor(key, now) {
+    return (usage.get(key) || []).filter(([at]) => now - at < DAY).sort((a, b) => a[0] - b[0]);
+  }
+
+  // scope is 'user' or 'global' and picks the message id
+  function checkKey(key, size, now, { uploadsPerHour, bytesPerDay }, scope) {
+    const events = eventsFor(key, now);
+
+    if (uploadsPerHour) {
+      const lastHour = events.filter(([at]) => now - at < HOUR);
+      if (lastHour.length >= uploadsPerHour) {
+        return {
+          ok: false,
+          reason: `guest.limit.${scope}.perHour`,
+          vars: { count: uploadsPerHour },
+          retryAt: retryAfter(lastHour.map(([at]) => [at, 1]), HOUR, lastHour.length - uploadsPerHour + 1),
+        };
+      }
+    }
+
+    if (bytesPerDay) {
+      const used = events.reduce((sum, [, bytes]) => sum + bytes, 0);
+      if (size > bytesPerDay) {
+        return { ok: false, reason: 'guest.limit.fileOverDaily', vars: { size: formatSize(bytesPerDay) }, retryAt: null };
+      }
+      if (used + size > bytesPerDay || (size === 0 && used >= bytesPerDay)) {
+        return {
+          ok: false,
+          reason: `guest.limit.${scope}.perDay`,
+          vars: { size: formatSize(bytesPerDay) },
+          retryAt: retryAfter(events, DAY, Math.max(1, used + size - bytesPerDay)),
+        };
+      }
+    }
+    return { ok: true };
+  }
+
+  // rate limits only; size = bytes about to be uploaded (0 when not known yet)
+  function checkUser(userId, size = 0, now = Date.now()) {
+    const own = userId
+      ? checkKey(userId, size, now, limits, 'user')
+      : { ok: true };
+    if (!own.ok) return own;
+    return checkKey(GLOBAL_KEY, size, now, {
+      uploadsPerHour: limits.globalUploadsPerHour,
+      bytesPerDay: limits.globalBytesPerDay,
+    }, 'global');
+  }
+
+  // size, type and rate limits for a concrete file
+  function checkFile({ userId, filename, contentType, size = 0 }, now = Date.now()) {
+    if (limits.maxFileSizeBytes && size > limits.maxFileSizeBytes) {
+      return { ok: false, reason: 'guest.limit.maxSize', vars: { size: formatSize(limits.maxFileSizeBytes) }, retryAt: null };
+    }
+    if (allowedExtensions.length && !allowedExtensions.includes(extensionOf(filename))) {
+      return { ok: false, reason: 'guest.limit.extension', vars: { extensions: allowedExtensions.map(e => `.${e}`).join(', ') }, retryAt: null };
+    }
+    if (allowedMimeTypes.length && !mimeAllowed(contentType, allowedMimeTypes)) {
+      return { ok: false, reason: 'guest.limit.mimeType', vars: { types: allowedMimeTypes.join(', ') }, retryAt: null };
+    }
+    return checkUser(userId, size, now);
+  }
+
+  function record(userId, bytes, now = Date.now()) {
+    for (const key of userId ? [userId, GLOBAL_KEY] : [GLOBAL_KEY]) {
+      usage.set(key, [...eventsFor(key, now), [now, bytes || 0]]);
+    }
+  }
+
+  return { checkUser, checkFile, record };
+}
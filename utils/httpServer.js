@@ -0,0 +1,48 @@
+// utils/httpServer.js
+import http from 'http';
+import chalk from 'chalk';
+import { renderMetrics } from './metrics.js';
+import { reportError } from './errorReporter.js';
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+// GET /healthz -> health() as JSON, 200 when it reports ok and 503 otherwise
+// GET /metrics -> Prometheus text format
+export function startHttpServer({ port, host = '127.0.0.1', health }) {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname === '/healthz') {
+        const result = await health();
+        send(res, result.ok ? 200 : 503, 'application/json', `${JSON.stringify(result, null, 2)}\n`);
+      } else if (pathname === '/metrics') {
+        send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', renderMetrics());
+      } else {
+        send(res, 404, 'text/plain; charset=utf-8', 'Not found\n');
+      }
+    } catch (error) {
+      console.error(chalk.red('[ERROR]'), 'httpServer', error);
+      reportError(error, 'httpServer', { path: req.url });
+      if (!res.headersSent) send(res, 500, 'text/plain; charset=utf-8', 'Internal error\n');
+      else res.end();
+    }
+  });
+
+  server.on('error', error => {
+    console.error(chalk.red('[ERROR]'), `Health/metrics server on ${host}:${port}:`, error.message);
+    reportError(error, 'httpServer.listen');
+  });
+  server.listen(port, host, () => {
+    console.log(chalk.blue('[INFO]'), `Health and metrics on http://${host}:${port} (/healthz, /metrics)`);
+  });
+  return server;
+}
@@ -0,0 +1,60 @@
+// utils/i18n.js
+import en from '../locales/en.js';
+import de from '../locales/de.js';
+import fr from '../locales/fr.js';
+import es from '../locales/es.js';
+
+const CATALOGS = { en, de, fr, es };
+const FALLBACK = 'en';
+
+export const LOCALE_NAMES = { en: 'English', de: 'Deutsch', fr: 'Français', es: 'Español' };
+
+// Discord locale codes each catalog is registered under for command localizations
+const DISCORD_LOCALES = { de: ['de'], fr: ['fr'], es: ['es-ES', 'es-419'] };
+
+// "de", "es-ES", "en-US" -> catalog key; anything we have no catalog for -> en
+export function resolveLocale(locale) {
+  const lang = String(locale || '').split('-')[0].toLowerCase();
+  return CATALOGS[lang] ? lang : FALLBACK;
+}
+
+function interpolate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// missing keys fall back to English, then to the key itself so a gap is visible but harmless
+export function t(locale, key, vars = {}) {
+  const template = CATALOGS[resolveLocale(locale)][key] ?? CATALOGS[FALLBACK][key] ?? key;
+  return interpolate(template, vars);
+}
+
+function localizations(key, vars) {
+  const result = {};
+  for (const [lang, codes] of Object.entries(DISCORD_LOCALES)) {
+    const template = CATALOGS[lang][key];
+    if (!template) continue;
+    for (const code of codes) result[code] = interpolate(template, vars);
+  }
+  return Object.keys(result).length ? result : null;
+}
+
+// fills name_localizations / description_localizations of command JSON (as sent to Discord)
+// from "command.<name>.<subcommand>.<option>.name|description" keys, and choice names from
+// "...<option>.choices.<value>". Numbered options like file2..file10 share one "fileN" key.
+export function localizeCommand(json, prefix = `command.${json.name}`) {
+  const numbered = /\d+$/.exec(json.name || '');
+  const vars = numbered ? { n: numbered[0] } : {};
+  const keyPrefix = numbered ? prefix.replace(/\d+$/, 'N') : prefix;
+
+  const names = localizations(`${keyPrefix}.name`, vars);
+  if (names) json.name_localizations = names;
+  const descriptions = localizations(`${keyPrefix}.description`, vars);
+  if (descriptions) json.description_localizations = descriptions;
+
+  for (const choice of json.choices || []) {
+    const choiceNames = localizations(`${keyPrefix}.choices.${choice.value}`, vars);
+    if (choiceNames) choice.name_localizations = choiceNames;
+  }
+  for (const option of json.options || []) localizeCommand(option, `${prefix}.${option.name}`);
+  return json;
+}
@@ -0,0 +1,81 @@
+// utils/instanceGuard.js
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+
+// loopback, private, link-local, CGNAT and other non-public ranges; BlockList matches
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(host) {
+  const err = new Error(`${host} is not a public address`);
+  err.code = 'EBLOCKEDADDRESS';
+  return err;
+}
+
+// dns.lookup that refuses to hand out non-public addresses; used by the agents below,
+// so the check happens on every connection and not just once when a token is saved
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.length || !addresses.every(a => isPublicAddress(a.address))) {
+      return callback(blockedError(hostname));
+    }
+    return callback(null, address, family);
+  });
+}
+
+// requests to instances users pick themselves must not reach the bot host or its network;
+// trusted instances (the configured ones) skip the check, e.g. a Zipline on the same machine
+export function createInstanceGuard({ trustedUrls = [] } = {}) {
+  const origin = url => {
+    try { return new URL(url).origin; } catch { return null; }
+  };
+  const trusted = new Set(trustedUrls.map(origin).filter(Boolean));
+  const agents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup }),
+  };
+
+  function isTrusted(baseUrl) {
+    return trusted.has(origin(baseUrl));
+  }
+
+  // extra node-fetch options for a request to baseUrl; throws for IP literals, which skip the lookup
+  function fetchOptions(baseUrl) {
+    if (isTrusted(baseUrl)) return {};
+    const host = new URL(baseUrl).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) throw blockedError(host);
+    return { agent: url => agents[url.protocol], redirect: 'error' };
+  }
+
+  // for /zipline settoken: false when the instance is (or resolves to) a non-public address
+  async function isAllowed(baseUrl) {
+    if (isTrusted(baseUrl)) return true;
+    const host = new URL(baseUrl).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return isPublicAddress(host);
+    try {
+      const addresses = await dns.promises.lookup(host, { all: true });
+      return addresses.length > 0 && addresses.every(a => isPublicAddress(a.address));
+    } catch {
+      return true; // unresolvable hosts fail later with a normal network error
+    }
+  }
+
+  return { isTrusted, fetchOptions, isAllowed };
+}
@@ -0,0 +1,86 @@
+// utils/metrics.js
+
+// Minimal Prometheus registry: counters, histograms and gauges read at scrape time,
+// rendered in the text exposition format for /metrics.
+const registered = [];
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(name, help, type, lines) {
+  if (registered.some(m => m.name === name)) throw new Error(`Metric ${name} is already registered`);
+  registered.push({ name, help, type, lines });
+}
+
+// one value per label set, kept in first-seen order
+function seriesMap() {
+  const series = new Map();
+  return {
+    get(labels, init) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) series.set(key, { labels, ...init() });
+      return series.get(key);
+    },
+    values: () => [...series.values()],
+  };
+}
+
+export function counter(name, help) {
+  const series = seriesMap();
+  register(name, help, 'counter', () =>
+    series.values().map(s => `${name}${formatLabels(s.labels)} ${s.value}`));
+  return {
+    inc(labels = {}, by = 1) {
+      series.get(labels, () => ({ value: 0 })).value += by;
+    },
+  };
+}
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = seriesMap();
+  register(name, help, 'histogram', () => series.values().flatMap(s => [
+    ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+    `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+    `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+    `${name}_count${formatLabels(s.labels)} ${s.count}`,
+  ]));
+  return {
+    observe(labels, value) {
+      const s = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+  };
+}
+
+// collect() returns a number, or [{ labels, value }] for several series
+export function gauge(name, help, collect) {
+  register(name, help, 'gauge', () => {
+    const result = collect();
+    const samples = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+    return samples.map(s => `${name}${formatLabels(s.labels || {})} ${s.value}`);
+  });
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const metric of registered) {
+    let lines;
+    try {
+      lines = metric.lines();
+    } catch {
+      continue; // a broken gauge shouldn't take the whole scrape down
+    }
+    out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines);
+  }
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,273 @@
+// utils/storage/index.js
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { createJsonBackend } from './jsonStorage.js';
+import { createSqliteBackend } from './sqliteStorage.js';
+
+const TOKENS = 'userTokens';     // legacy: one token per user for the default instance
+const ACCOUNTS = 'userAccounts'; // userId -> { active, instances: { [baseUrl]: token } }
+const SETTINGS = 'userSettings';
+const IDS = 'userIds';
+const PARTIALS = 'partialUploads';
+const GUEST_USAGE = 'guestUsage';
+const GUILD_SETTINGS = 'guildSettings';
+const UPTIME = 'uptimeHistory';
+
+const DEFAULT_GUILD_SETTINGS = {
+  guestUploads: true,
+  allowedRoles: [],
+  defaultExpiry: null,
+  defaultCompression: null,
+  publicResults: true,
+  mirrorChannels: [], // [{ channelId, mode: 'reply' | 'thread', threadId, summaryMessageId }]
+  statusAlertChannelId: null, // Zipline outage/recovery alerts
+};
+
+// the data/<namespace>.json files an SQLite database takes over on first start
+const NAMESPACES = [TOKENS, ACCOUNTS, SETTINGS, IDS, PARTIALS, GUEST_USAGE, GUILD_SETTINGS, UPTIME];
+
+async function openBackend({ driver, dataDir, sqlitePath }) {
+  if (driver === 'json') return createJsonBackend(dataDir);
+
+  // sqlitePath is checked first: a failed open can still leave an empty database file behind
+  const hadDatabase = fs.existsSync(sqlitePath);
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return createSqliteBackend(Database, sqlitePath, dataDir, NAMESPACES);
+  } catch (e) {
+    // once the database exists the JSON files are stale; reading and writing them would lose data quietly
+    if (hadDatabase) {
+      throw new Error(`SQLite storage unavailable (${e.message}) but ${sqlitePath} holds the bot's data. Reinstall better-sqlite3 (npm install) to start the bot again.`);
+    }
+    console.warn(chalk.yellow('[WARN]'), `SQLite storage unavailable (${e.message}); falling back to JSON files.`);
+    return createJsonBackend(dataDir);
+  }
+}
+
+// tokenCipher: { encrypt, decrypt, needsReencrypt, enabled } from utils/tokenCrypto.js
+// defaultInstanceAliases: other spellings of defaultInstanceUrl that accounts may have been saved under
+export async function createStorage({
+  driver = 'sqlite',
+  dataDir = './data',
+  sqlitePath = path.join(dataDir, 'zipline.db'),
+  tokenCipher,
+  defaultInstanceUrl = null,
+  defaultInstanceAliases = [],
+} = {}) {
+  const backend = await openBackend({ driver, dataDir, sqlitePath });
+
+  // tokens saved before multi-instance support belong to the default instance
+  if (defaultInstanceUrl) {
+    backend.transaction(() => {
+      for (const [uid, stored] of backend.entries(TOKENS)) {
+        const account = backend.get(ACCOUNTS, uid) || { active: null, instances: {} };
+        if (!account.instances[defaultInstanceUrl]) account.instances[defaultInstanceUrl] = stored;
+        if (!account.active) account.active = defaultInstanceUrl;
+        backend.set(ACCOUNTS, uid, account);
+        backend.delete(TOKENS, uid);
+      }
+
+      const aliases = defaultInstanceAliases.filter(url => url && url !== defaultInstanceUrl);
+      if (!aliases.length) return;
+      for (const [uid, account] of backend.entries(ACCOUNTS)) {
+        let changed = false;
+        for (const alias of aliases) {
+          if (!account.instances[alias]) continue;
+          if (!account.instances[defaultInstanceUrl]) account.instances[defaultInstanceUrl] = account.instances[alias];
+          delete account.instances[alias];
+          if (account.active === alias) account.active = defaultInstanceUrl;
+          changed = true;
+        }
+        if (changed) backend.set(ACCOUNTS, uid, account);
+      }
+    });
+  }
+
+  // { baseUrl, token } for the given instance, or the user's active one
+  function getUserAccount(userId, baseUrl = null) {
+    const account = backend.get(ACCOUNTS, userId);
+    if (!account) return null;
+    const url = baseUrl || account.active;
+    const stored = account.instances[url];
+    if (!stored) return null;
+    return { baseUrl: url, token: tokenCipher ? tokenCipher.decrypt(stored) : stored };
+  }
+  function listUserInstances(userId) {
+    const account = backend.get(ACCOUNTS, userId);
+    if (!account) return [];
+    return Object.keys(account.instances).map(baseUrl => ({ baseUrl, active: baseUrl === account.active }));
+  }
+  // linking a token also makes its instance the active one
+  function setUserToken(userId, token, baseUrl) {
+    const account = backend.get(ACCOUNTS, userId) || { active: null, instances: {} };
+    account.instances[baseUrl] = tokenCipher ? tokenCipher.encrypt(token) : token;
+    account.active = baseUrl;
+    backend.set(ACCOUNTS, userId, account);
+  }
+  function setActiveInstance(userId, baseUrl) {
+    const account = backend.get(ACCOUNTS, userId);
+    if (!account || !account.instances[baseUrl]) return false;
+    account.active = baseUrl;
+    backend.set(ACCOUNTS, userId, account);
+    return true;
+  }
+  // removes one instance (the active one by default); returns how many stay linked
+  function deleteUserToken(userId, baseUrl = null) {
+    const account = backend.get(ACCOUNTS, userId);
+    if (!account) return 0;
+    delete account.instances[baseUrl || account.active];
+    const remaining = Object.keys(account.instances);
+    if (!remaining.length) {
+      backend.delete(ACCOUNTS, userId);
+      return 0;
+    }
+    if (!account.instances[account.active]) account.active = remaining[0];
+    backend.set(ACCOUNTS, userId, account);
+    return remaining.length;
+  }
+  function listTokenUserIds() {
+    return backend.entries(ACCOUNTS).map(([uid]) => uid);
+  }
+
+  function getUserSettings(userId) {
+    return backend.get(SETTINGS, userId) || { expiry: null, compression: null, folder: null, folderName: null, locale: null };
+  }
+  function setUserSettings(userId, settings) {
+    backend.set(SETTINGS, userId, settings);
+  }
+
+  function getBotUserId(discordUserId) {
+    return backend.get(IDS, discordUserId);
+  }
+  function ensureAssignBotUserId(discordUserId) {
+    return backend.transaction(() => {
+      const current = backend.get(IDS, discordUserId);
+      if (current) return current;
+      const existing = backend.entries(IDS)
+        .map(([, v]) => parseInt(v, 10))
+        .filter(n => !isNaN(n));
+      const next = (existing.length ? Math.max(...existing) : 0) + 1;
+      backend.set(IDS, discordUserId, next);
+      return next;
+    });
+  }
+
+  // resume state of interrupted chunked uploads, keyed by a random resume id.
+  // A per-upload password is encrypted like the tokens; without a key it is only kept in memory
+  // and the state is flagged with passwordInMemory, so a restart makes it unresumable.
+  const partialPasswords = new Map();
+  function getPartialUpload(resumeId) {
+    const state = backend.get(PARTIALS, resumeId);
+    if (!state) return state;
+    const settings = { ...state.settings };
+    if (state.passwordInMemory) {
+      if (partialPasswords.has(resumeId)) settings.password = partialPasswords.get(resumeId);
+    } else if (settings.password && tokenCipher) {
+      settings.password = tokenCipher.decrypt(settings.password);
+    }
+    return { ...state, settings };
+  }
+  function setPartialUpload(resumeId, state) {
+    const { password, ...settings } = state.settings || {};
+    const { passwordInMemory, ...rest } = state;
+    if (!password) {
+      partialPasswords.delete(resumeId);
+      backend.set(PARTIALS, resumeId, { ...rest, settings });
+    } else if (tokenCipher && tokenCipher.enabled) {
+      backend.set(PARTIALS, resumeId, { ...rest, settings: { ...settings, password: tokenCipher.encrypt(password) } });
+    } else {
+      partialPasswords.set(resumeId, password);
+      backend.set(PARTIALS, resumeId, { ...rest, settings, passwordInMemory: true });
+    }
+  }
+  function deletePartialUpload(resumeId) {
+    partialPasswords.delete(resumeId);
+    backend.delete(PARTIALS, resumeId);
+  }
+  function listPartialUploads() {
+    return backend.entries(PARTIALS);
+  }
+
+  // recent guest uploads as [timestamp, bytes] pairs, keyed by Discord user id ('*' = everyone)
+  function getGuestUsage(key) {
+    return backend.get(GUEST_USAGE, key) || [];
+  }
+  function setGuestUsage(key, events) {
+    backend.set(GUEST_USAGE, key, events);
+  }
+
+  // per-guild overrides managed through /zipline-admin
+  function getGuildSettings(guildId) {
+    return { ...DEFAULT_GUILD_SETTINGS, ...(backend.get(GUILD_SETTINGS, guildId) || {}) };
+  }
+  function setGuildSettings(guildId, settings) {
+    backend.set(GUILD_SETTINGS, guildId, settings);
+  }
+  function deleteGuildSettings(guildId) {
+    backend.delete(GUILD_SETTINGS, guildId);
+  }
+  function listGuildSettings() {
+    return backend.entries(GUILD_SETTINGS).map(([guildId, stored]) => [guildId, { ...DEFAULT_GUILD_SETTINGS, ...stored }]);
+  }
+
+  // uptime checks and incidents from utils/uptimeMonitor.js, keyed by instance URL
+  function getUptimeHistory(baseUrl) {
+    return backend.get(UPTIME, baseUrl);
+  }
+  function setUptimeHistory(baseUrl, history) {
+    backend.set(UPTIME, baseUrl, history);
+  }
+
+  // encrypt plaintext tokens and re-encrypt tokens from rotated keys; returns how many changed
+  function migrateTokens() {
+    if (!tokenCipher || !tokenCipher.enabled) return 0;
+    let migrated = 0;
+    backend.transaction(() => {
+      for (const [uid, account] of backend.entries(ACCOUNTS)) {
+        let changed = false;
+        for (const [baseUrl, stored] of Object.entries(account.instances)) {
+          if (!tokenCipher.needsReencrypt(stored)) continue;
+          try {
+            account.instances[baseUrl] = tokenCipher.encrypt(tokenCipher.decrypt(stored));
+            changed = true;
+            migrated++;
+          } catch (e) {
+            console.warn(`Failed to re-encrypt token for user ${uid} (${baseUrl}):`, e.message);
+          }
+        }
+        if (changed) backend.set(ACCOUNTS, uid, account);
+      }
+    });
+    return migrated;
+  }
+
+  return {
+    driver: backend.driver,
+    backend,
+    getUserAccount,
+    listUserInstances,
+    setUserToken,
+    setActiveInstance,
+    deleteUserToken,
+    listTokenUserIds,
+    getUserSettings,
+    setUserSettings,
+    getBotUserId,
+    ensureAssignBotUserId,
+    getPartialUpload,
+    setPartialUpload,
+    deletePartialUpload,
+    listPartialUploads,
+    getGuestUsage,
+    setGuestUsage,
+    getGuildSettings,
+    setGuildSettings,
+    deleteGuildSettings,
+    listGuildSettings,
+    getUptimeHistory,
+    setUptimeHistory,
+    migrateTokens,
+    close: () => backend.close(),
+  };
+}
@@ -0,0 +1,98 @@
+// utils/storage/jsonStorage.js
+import fs from 'fs';
+import path from 'path';
+
+// one <namespace>.json file per namespace, compatible with the old data/*.json layout
+export function createJsonBackend(dataDir) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+  const cache = new Map();
+  const dirty = new Set();
+  const snapshots = new Map(); // namespace -> data as it was before the current transaction
+  let inTransaction = false;
+
+  function fileFor(namespace) {
+    return path.join(dataDir, `${namespace}.json`);
+  }
+
+  function load(namespace) {
+    if (cache.has(namespace)) return snapshot(namespace, cache.get(namespace));
+    const file = fileFor(namespace);
+    let data = {};
+    if (fs.existsSync(file)) {
+      const raw = fs.readFileSync(file, 'utf8');
+      data = raw.trim() ? JSON.parse(raw) : {};
+    }
+    cache.set(namespace, data);
+    return snapshot(namespace, data);
+  }
+
+  // a transaction keeps a copy of every namespace it reads, so a failed one can be undone like in SQLite
+  function snapshot(namespace, data) {
+    if (inTransaction && !snapshots.has(namespace)) snapshots.set(namespace, structuredClone(data));
+    return data;
+  }
+
+  // write to a temp file, fsync and rename so a crash never leaves a half-written file
+  function persist(namespace) {
+    if (inTransaction) {
+      dirty.add(namespace);
+      return;
+    }
+    const file = fileFor(namespace);
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(load(namespace), null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    driver: 'json',
+    get(namespace, key) {
+      const data = load(namespace);
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    },
+    set(namespace, key, value) {
+      load(namespace)[key] = value;
+      persist(namespace);
+    },
+    delete(namespace, key) {
+      const data = load(namespace);
+      if (!Object.prototype.hasOwnProperty.call(data, key)) return;
+      delete data[key];
+      persist(namespace);
+    },
+    entries(namespace) {
+      return Object.entries(load(namespace));
+    },
+    // batches writes: each touched file is written once when the outermost call returns;
+    // if fn throws, nothing is written and the cached data goes back to how it was
+    transaction(fn) {
+      if (inTransaction) return fn();
+      inTransaction = true;
+      let result;
+      try {
+        result = fn();
+      } catch (e) {
+        for (const [namespace, data] of snapshots) cache.set(namespace, data);
+        dirty.clear();
+        throw e;
+      } finally {
+        inTransaction = false;
+        snapshots.clear();
+      }
+      try {
+        for (const namespace of dirty) persist(namespace);
+      } finally {
+        dirty.clear();
+      }
+      return result;
+    },
+    close() { },
+  };
+}
@@ -0,0 +1,92 @@
+// utils/storage/sqliteStorage.js
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+// single key/value table; every value is stored as JSON
+export function createSqliteBackend(Database, dbPath, dataDir, namespaces = []) {
+  const dir = path.dirname(dbPath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (namespace, key)
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const stmts = {
+    get: db.prepare('SELECT value FROM kv WHERE namespace = ? AND key = ?'),
+    set: db.prepare(`
+      INSERT INTO kv (namespace, key, value) VALUES (?, ?, ?)
+      ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value
+    `),
+    delete: db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?'),
+    entries: db.prepare('SELECT key, value FROM kv WHERE namespace = ? ORDER BY rowid'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+  };
+
+  const backend = {
+    driver: 'sqlite',
+    get(namespace, key) {
+      const row = stmts.get.get(namespace, String(key));
+      return row ? JSON.parse(row.value) : null;
+    },
+    set(namespace, key, value) {
+      stmts.set.run(namespace, String(key), JSON.stringify(value));
+    },
+    delete(namespace, key) {
+      stmts.delete.run(namespace, String(key));
+    },
+    entries(namespace) {
+      return stmts.entries.all(namespace).map(row => [row.key, JSON.parse(row.value)]);
+    },
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+    close() {
+      db.close();
+    },
+  };
+
+  importJsonFiles(backend, stmts, dataDir, namespaces);
+  return backend;
+}
+
+// one-time import of the legacy data/<namespace>.json files; other files in data/ aren't storage
+function importJsonFiles(backend, stmts, dataDir, namespaces) {
+  if (!dataDir || !fs.existsSync(dataDir)) return;
+
+  for (const namespace of namespaces) {
+    const file = `${namespace}.json`;
+    if (!fs.existsSync(path.join(dataDir, file))) continue;
+    const metaKey = `imported:${namespace}`;
+    if (stmts.getMeta.get(metaKey)) continue;
+
+    try {
+      const raw = fs.readFileSync(path.join(dataDir, file), 'utf8');
+      const data = raw.trim() ? JSON.parse(raw) : {};
+      if (!data || typeof data !== 'object' || Array.isArray(data)) continue;
+
+      const entries = Object.entries(data);
+      backend.transaction(() => {
+        for (const [key, value] of entries) {
+          if (backend.get(namespace, key) === null) backend.set(namespace, key, value);
+        }
+        stmts.setMeta.run(metaKey, new Date().toISOString());
+      });
+      console.log(chalk.blue('[INFO]'), `Imported ${entries.length} entries from ${file} into SQLite.`);
+    } catch (e) {
+      console.warn(`Failed to import ${file} into SQLite:`, e.message);
+    }
+  }
+}
@@ -0,0 +1,72 @@
+// utils/tokenCrypto.js
+import crypto from 'crypto';
+
+// stored format: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (all base64url)
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret), 'utf8').digest();
+}
+
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+export function isEncryptedToken(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// secret: current key, previousSecrets: old keys that may still be used to decrypt
+export function createTokenCipher(secret, previousSecrets = []) {
+  const current = secret ? deriveKey(secret) : null;
+  const currentId = current ? keyIdFor(current) : null;
+
+  const keys = new Map();
+  if (current) keys.set(currentId, current);
+  for (const old of previousSecrets || []) {
+    if (!old) continue;
+    const key = deriveKey(old);
+    const id = keyIdFor(key);
+    if (!keys.has(id)) keys.set(id, key);
+  }
+
+  function encrypt(plain) {
+    if (!current) return plain;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, current, iv);
+    const encrypted = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${PREFIX}${currentId}:${iv.toString('base64url')}:${tag.toString('base64url')}:${encrypted.toString('base64url')}`;
+  }
+
+  function decrypt(value) {
+    if (!isEncryptedToken(value)) return value;
+
+    const [keyId, ivB64, tagB64, dataB64] = value.slice(PREFIX.length).split(':');
+    const key = keys.get(keyId);
+    if (!key) throw new Error(`No encryption key available for stored token (key id ${keyId})`);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivB64, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tagB64, 'base64url'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(dataB64, 'base64url')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+
+  // true when the stored value is plaintext or was encrypted with an old key
+  function needsReencrypt(value) {
+    if (!current) return false;
+    if (!isEncryptedToken(value)) return true;
+    return value.slice(PREFIX.length).split(':')[0] !== currentId;
+  }
+
+  return {
+    enabled: Boolean(current),
+    encrypt,
+    decrypt,
+    needsReencrypt,
+  };
+}
@@ -0,0 +1,116 @@
+// utils/uploadQueue.js
+
+// FIFO job queue with a global and a per-user concurrency limit.
+// Jobs that can't start because their user is at the limit are skipped, not blocking others.
+export function createUploadQueue({ concurrency = 3, perUserConcurrency = 1 } = {}) {
+  const queued = [];
+  const running = new Set();
+  const jobs = new Map(); // id -> job (queued or running)
+  let nextId = 1;
+
+  function runningFor(userId) {
+    let n = 0;
+    for (const job of running) if (job.userId === userId) n++;
+    return n;
+  }
+
+  function start(job) {
+    job.state = 'running';
+    job.position = 0;
+    job.startedAt = Date.now();
+    running.add(job);
+
+    // run after enqueue() returned, so callers always have the job object first
+    Promise.resolve()
+      .then(() => job.run(job))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running.delete(job);
+        jobs.delete(job.id);
+        pump();
+      });
+  }
+
+  function pump() {
+    for (let i = 0; i < queued.length && running.size < concurrency;) {
+      const job = queued[i];
+      if (runningFor(job.userId) >= perUserConcurrency) {
+        i++;
+        continue;
+      }
+      queued.splice(i, 1);
+      start(job);
+    }
+
+    queued.forEach((job, i) => {
+      if (job.position === i + 1) return;
+      job.position = i + 1;
+      if (job.onPosition) {
+        try { job.onPosition(job.position, job); } catch { /* display only */ }
+      }
+    });
+  }
+
+  // run(job) does the work and should honour job.signal; onPosition(position, job) fires while queued
+  function enqueue({ userId, label = 'Upload', run, onPosition }) {
+    const controller = new AbortController();
+    const job = {
+      id: String(nextId++),
+      userId,
+      label,
+      run,
+      onPosition,
+      state: 'queued',
+      position: null,
+      cancelled: false,
+      createdAt: Date.now(),
+      startedAt: null,
+      controller,
+      signal: controller.signal,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    jobs.set(job.id, job);
+    queued.push(job);
+    pump();
+    return job;
+  }
+
+  // queued jobs are dropped (their promise rejects with err.cancelled), running jobs are aborted
+  function cancel(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return false;
+    job.cancelled = true;
+
+    if (job.state === 'queued') {
+      queued.splice(queued.indexOf(job), 1);
+      jobs.delete(job.id);
+      const err = new Error('Upload cancelled');
+      err.cancelled = true;
+      job.reject(err);
+      pump();
+    } else {
+      job.controller.abort();
+    }
+    return true;
+  }
+
+  function get(jobId) {
+    return jobs.get(jobId) || null;
+  }
+
+  function jobsForUser(userId) {
+    return [...running, ...queued]
+      .filter(job => job.userId === userId)
+      .map(({ id, label, state, position, createdAt, startedAt }) => ({ id, label, state, position, createdAt, startedAt }));
+  }
+
+  function stats() {
+    return { running: running.size, queued: queued.length, concurrency, perUserConcurrency };
+  }
+
+  return { enqueue, cancel, get, jobsForUser, stats };
+}
@@ -0,0 +1,121 @@
+// utils/uploadSettings.js
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const UNIT_MS = {
+  s: 1000,
+  m: MINUTE,
+  h: 60 * MINUTE,
+  d: DAY,
+  w: 7 * DAY,
+  mo: 30 * DAY,
+  y: 365 * DAY,
+};
+
+const UNIT_ALIASES = {
+  s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+  m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  d: 'd', day: 'd', days: 'd',
+  w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w',
+  mo: 'mo', month: 'mo', months: 'mo',
+  y: 'y', yr: 'y', yrs: 'y', year: 'y', years: 'y',
+};
+
+// German, French and Spanish unit names are accepted too
+const LOCALIZED_UNITS = {
+  sek: 's', sekunde: 's', sekunden: 's', seconde: 's', secondes: 's', segundo: 's', segundos: 's',
+  minute: 'm', minuten: 'm', minuto: 'm', minutos: 'm',
+  std: 'h', stunde: 'h', stunden: 'h', heure: 'h', heures: 'h', hora: 'h', horas: 'h',
+  t: 'd', tag: 'd', tage: 'd', tagen: 'd', j: 'd', jour: 'd', jours: 'd', día: 'd', días: 'd', dia: 'd', dias: 'd',
+  woche: 'w', wochen: 'w', semaine: 'w', semaines: 'w', sem: 'w', semana: 'w', semanas: 'w',
+  monat: 'mo', monate: 'mo', monaten: 'mo', mois: 'mo', mes: 'mo', meses: 'mo',
+  jahr: 'y', jahre: 'y', jahren: 'y', an: 'y', ans: 'y', année: 'y', années: 'y', año: 'y', años: 'y',
+};
+
+const NEVER = ['never', 'none', 'off', 'reset', 'nie', 'niemals', 'jamais', 'nunca'];
+
+// anything longer is almost certainly a typo (and breaks Discord timestamps long before that)
+const MAX_EXPIRY = 10 * UNIT_MS.y;
+
+export const COMPRESSION_MIN = 0;
+export const COMPRESSION_MAX = 100;
+
+// largest unit that divides the duration evenly, so Zipline gets e.g. "90m" for "1h30m" and "14d" for "2w"
+function formatDuration(ms) {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms % UNIT_MS[unit] === 0) return `${ms / UNIT_MS[unit]}${unit}`;
+  }
+  return `${Math.ceil(ms / 1000)}s`;
+}
+
+// accepts durations ("7d", "2w", "1h30m", "3 days"), ISO dates and "never".
+// Returns { ok: true, value, expiresAt } where value is what x-zipline-deletes-at expects
+// (null for never), or { ok: false, error, vars } with a message id from locales/.
+// Saved defaults pass allowDates: false, since a fixed date would make every later upload fail once it passes.
+export function parseExpiry(input, { now = Date.now(), allowDates = true } = {}) {
+  const text = String(input || '').trim().toLowerCase();
+  if (!text || NEVER.includes(text)) return { ok: true, value: null, expiresAt: null };
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    if (!allowDates) return { ok: false, error: 'expiry.dateAsDefault', vars: { input } };
+    const date = new Date(text.toUpperCase());
+    if (isNaN(date.getTime())) {
+      return { ok: false, error: 'expiry.invalidDate', vars: { input } };
+    }
+    if (date.getTime() <= now) {
+      return { ok: false, error: 'expiry.past', vars: { input } };
+    }
+    if (date.getTime() - now > MAX_EXPIRY) return { ok: false, error: 'expiry.tooLong' };
+    return { ok: true, value: `date=${date.toISOString()}`, expiresAt: date.getTime() };
+  }
+
+  const parts = [...text.matchAll(/(\d+(?:[.,]\d+)?)\s*(\p{L}+)/gu)];
+  if (!parts.length || text.replace(/(\d+(?:[.,]\d+)?)\s*(\p{L}+)/gu, '').replace(/[\s,]|\b(?:and|und|et|y)\b/g, '') !== '') {
+    return { ok: false, error: allowDates ? 'expiry.unreadable' : 'expiry.unreadableDuration', vars: { input } };
+  }
+
+  let ms = 0;
+  for (const [, amount, rawUnit] of parts) {
+    const unit = UNIT_ALIASES[rawUnit] || LOCALIZED_UNITS[rawUnit];
+    if (!unit) {
+      return { ok: false, error: allowDates ? 'expiry.unknownUnit' : 'expiry.unknownUnitDuration', vars: { unit: rawUnit, input } };
+    }
+    ms += parseFloat(amount.replace(',', '.')) * UNIT_MS[unit];
+  }
+  ms = Math.round(ms);
+  if (ms < MINUTE) return { ok: false, error: 'expiry.tooShort' };
+  if (ms > MAX_EXPIRY) return { ok: false, error: 'expiry.tooLong' };
+
+  return { ok: true, value: formatDuration(ms), expiresAt: now + ms };
+}
+
+// defaults saved before dates were rejected for them may have passed since; Zipline refuses those
+export function expiryHasPassed(expiry, now = Date.now()) {
+  if (!expiry || !expiry.startsWith('date=')) return false;
+  const at = new Date(expiry.slice(5)).getTime();
+  return !isNaN(at) && at <= now;
+}
+
+// absolute dates are stored as "date=<ISO>" (the form Zipline expects); show those as Discord timestamps
+export function formatExpiry(expiry) {
+  if (expiry.startsWith('date=')) {
+    const at = Math.floor(new Date(expiry.slice(5)).getTime() / 1000);
+    if (!isNaN(at)) return `<t:${at}:F>`;
+  }
+  return `\`${expiry}\``;
+}
+
+// accepts 0-100 (optionally with %) and "none"; returns { ok, value } or { ok: false, error, vars }
+export function parseCompression(input) {
+  const text = String(input || '').trim().toLowerCase();
+  if (!text || NEVER.includes(text)) return { ok: true, value: null };
+
+  const m = /^(\d{1,3})\s*%?$/.exec(text);
+  const value = m ? parseInt(m[1], 10) : NaN;
+  if (isNaN(value) || value < COMPRESSION_MIN || value > COMPRESSION_MAX) {
+    return { ok: false, error: 'compression.outOfRange', vars: { min: COMPRESSION_MIN, max: COMPRESSION_MAX } };
+  }
+  return { ok: true, value: String(value) };
+}
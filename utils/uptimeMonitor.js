@@ -0,0 +1,163 @@
+// utils/uptimeMonitor.js
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const HISTORY = 30 * DAY;   // hourly buckets and finished incidents older than this are dropped
+const MAX_INCIDENTS = 50;
+
+function emptyHistory() {
+  return {
+    state: { online: null, since: null, failures: 0, firstFailureAt: null, lastCheck: null },
+    hours: [],     // [{ hour, up, total, responseMs }], responseMs summed over successful checks
+    incidents: [], // newest first: { start, end, statusCode, error }; end is null while still down
+  };
+}
+
+// Polls check() (resolves to { online, statusCode, version, error }) every intervalMs and keeps
+// hourly up/total counts, response times and a list of incidents.
+// Going down takes `failuresBeforeDown` failed checks in a row so a single dropped request
+// doesn't raise an alert; one successful check ends the incident.
+// store: { load(), save(history) }; onChange({ online, incident }) fires on up/down transitions
+export function createUptimeMonitor({
+  check,
+  store,
+  intervalMs,
+  failuresBeforeDown = 2,
+  onChange = () => {},
+  onError = () => {},
+  now = Date.now,
+}) {
+  let timer = null;
+  let stopped = true;
+
+  function load() {
+    const history = store.load();
+    return history ? { ...emptyHistory(), ...history } : emptyHistory();
+  }
+
+  // applies one check result; returns the transition, if any
+  function record(result, at = now()) {
+    const history = load();
+    const { state, hours, incidents } = history;
+
+    const hour = at - (at % HOUR);
+    let bucket = hours[hours.length - 1];
+    if (!bucket || bucket.hour !== hour) {
+      bucket = { hour, up: 0, total: 0, responseMs: 0 };
+      hours.push(bucket);
+    }
+    bucket.total++;
+    if (result.online) {
+      bucket.up++;
+      bucket.responseMs += result.responseTimeMs || 0;
+    }
+
+    state.lastCheck = {
+      at,
+      online: result.online,
+      statusCode: result.statusCode ?? null,
+      version: result.version ?? null,
+      responseTimeMs: result.responseTimeMs ?? null,
+      error: result.error ?? null,
+    };
+
+    let change = null;
+    if (result.online) {
+      state.failures = 0;
+      state.firstFailureAt = null;
+      if (state.online !== true) {
+        const open = incidents[0] && !incidents[0].end ? incidents[0] : null;
+        if (open) open.end = at;
+        // no alert for the very first check after a fresh start
+        if (state.online === false) change = { online: true, incident: open };
+        state.online = true;
+        state.since = at;
+      }
+    } else {
+      state.failures++;
+      if (!state.firstFailureAt) state.firstFailureAt = at;
+      if (state.online !== false && state.failures >= failuresBeforeDown) {
+        const incident = {
+          start: state.firstFailureAt,
+          end: null,
+          statusCode: result.statusCode ?? null,
+          error: result.error ?? null,
+        };
+        incidents.unshift(incident);
+        change = { online: false, incident };
+        state.online = false;
+        state.since = incident.start;
+      }
+    }
+
+    history.hours = hours.filter(b => b.hour >= at - HISTORY);
+    history.incidents = incidents
+      .filter(i => !i.end || i.end >= at - HISTORY)
+      .slice(0, MAX_INCIDENTS);
+    store.save(history);
+    return change;
+  }
+
+  async function poll() {
+    const started = now();
+    let result;
+    try {
+      result = await check();
+    } catch (e) {
+      result = { online: false, statusCode: 0, error: e.message };
+    }
+    const at = now();
+    const change = record({ ...result, responseTimeMs: at - started }, at);
+    if (change) await onChange(change);
+    return change;
+  }
+
+  function start() {
+    if (!stopped || !intervalMs) return;
+    stopped = false;
+    const tick = async () => {
+      try {
+        await poll();
+      } catch (e) {
+        onError(e);
+      }
+      if (stopped) return;
+      timer = setTimeout(tick, intervalMs);
+      timer.unref();
+    };
+    timer = setTimeout(tick, 0);
+    timer.unref();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // uptime ratios (0-1, null without data) for the last 24h / 7d / 30d, average response time
+  // over the last 24h and the most recent incidents
+  function summary({ incidents: incidentLimit = 5 } = {}) {
+    const { state, hours, incidents } = load();
+    const at = now();
+    const within = ms => hours.filter(b => b.hour + HOUR > at - ms);
+    const ratio = ms => {
+      const buckets = within(ms);
+      const total = buckets.reduce((n, b) => n + b.total, 0);
+      return total ? buckets.reduce((n, b) => n + b.up, 0) / total : null;
+    };
+    const day = within(DAY);
+    const upChecks = day.reduce((n, b) => n + b.up, 0);
+
+    return {
+      online: state.online,
+      since: state.since,
+      lastCheck: state.lastCheck,
+      uptime: { day: ratio(DAY), week: ratio(7 * DAY), month: ratio(30 * DAY) },
+      averageResponseMs: upChecks ? Math.round(day.reduce((n, b) => n + b.responseMs, 0) / upChecks) : null,
+      incidents: incidents.slice(0, incidentLimit),
+    };
+  }
+
+  return { start, stop, poll, record, summary };
+}